@@ -0,0 +1,141 @@
+// Block registry fed from JSON block packs.
+//
+// A pack is { id, name, blocks: [definition, ...] }. A definition holds:
+//   id          cell value 1..255 (optional; the lowest free id is assigned)
+//   key         stable name used by saves and blueprints (required, unique)
+//   label       palette label
+//   colors      { top, side, bottom } as '#rrggbb' strings or numbers, or a
+//               single `color` for every face; `highlight` and the palette
+//               `swatch` default to the top and side colours
+//   texture     { generator: 'grass' } for a procedural tile set (see
+//               TEXTURE_SETS in tile-painters.js), or { image: 'url' } /
+//               { image: { top, side, bottom } } for pixel-art images
+//   roughness, metalness, variation, castShadow, placeable
+//   transparent, opacity, emissive, emissiveIntensity
+//   liquid      drawn in the translucent water pass and flows (fluids.js)
+//   gravity     falls when nothing is underneath it (gravity.js)
+//   light       block light given off, 0..15 (see lighting.js)
+//   lightOpacity extra light lost passing through; defaults to 15 (blocks
+//               light) for opaque cubes, 2 for liquids and 0 otherwise
+//   shape       'cube' (default), 'slab', 'stairs' or 'layer' (a thin
+//               covering such as settled snow)
+//   rotation    'axis' (logs) or 'horizontal'; see block-state.js
+
+export const AIR_ID = 0;
+const MAX_BLOCK_ID = 255;
+
+function parseColor(value, fallback) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+  const parsed = Number.parseInt(String(value).replace(/^#|^0x/i, ''), 16);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`Invalid block colour "${value}"`);
+  }
+  return parsed;
+}
+
+export class BlockRegistry {
+  constructor() {
+    this.byId = new Map();
+    this.idByKey = new Map();
+    this.packs = [];
+    this.register({ id: AIR_ID, key: 'air', label: 'Air', placeable: false });
+  }
+
+  nextFreeId() {
+    for (let id = 1; id <= MAX_BLOCK_ID; id += 1) {
+      if (!this.byId.has(id)) {
+        return id;
+      }
+    }
+    throw new Error('Block registry is full');
+  }
+
+  register(definition, packId = 'core') {
+    const { key } = definition;
+    if (!key || typeof key !== 'string') {
+      throw new Error('Block definitions need a string "key"');
+    }
+    if (this.idByKey.has(key)) {
+      throw new Error(`Block key "${key}" is already registered`);
+    }
+    const id = definition.id ?? this.nextFreeId();
+    if (!Number.isInteger(id) || id < AIR_ID || id > MAX_BLOCK_ID) {
+      throw new Error(`Block "${key}" has invalid id ${id}`);
+    }
+    if (this.byId.has(id)) {
+      throw new Error(`Block id ${id} for "${key}" is already used by "${this.byId.get(id).key}"`);
+    }
+
+    const baseColor = parseColor(definition.color, 0xffffff);
+    const blockType = {
+      ...definition,
+      id,
+      key,
+      pack: packId,
+      label: definition.label ?? key,
+      placeable: id !== AIR_ID && definition.placeable !== false,
+    };
+    if (id !== AIR_ID) {
+      blockType.colors = {
+        top: parseColor(definition.colors?.top, baseColor),
+        side: parseColor(definition.colors?.side, baseColor),
+        bottom: parseColor(definition.colors?.bottom, baseColor),
+      };
+      blockType.highlight = parseColor(definition.highlight, blockType.colors.top);
+      blockType.swatch = parseColor(definition.swatch, blockType.colors.side);
+      if (definition.emissive !== undefined) {
+        blockType.emissive = parseColor(definition.emissive, 0x000000);
+      }
+    }
+    this.byId.set(id, blockType);
+    this.idByKey.set(key, id);
+    return blockType;
+  }
+
+  // Registers every block of a pack, or none of them if one is invalid
+  loadPack(pack) {
+    if (!pack || !Array.isArray(pack.blocks)) {
+      throw new Error('Block packs need a "blocks" array');
+    }
+    const packId = pack.id ?? `pack-${this.packs.length}`;
+    if (this.packs.some((loaded) => loaded.id === packId)) {
+      throw new Error(`Block pack "${packId}" is already loaded`);
+    }
+    const registered = [];
+    try {
+      pack.blocks.forEach((definition) => {
+        registered.push(this.register(definition, packId));
+      });
+    } catch (error) {
+      registered.forEach((blockType) => {
+        this.byId.delete(blockType.id);
+        this.idByKey.delete(blockType.key);
+      });
+      throw error;
+    }
+    this.packs.push({ id: packId, name: pack.name ?? packId, blockCount: registered.length });
+    return registered;
+  }
+
+  get(id) {
+    return this.byId.get(id) ?? null;
+  }
+
+  getByKey(key) {
+    const id = this.idByKey.get(key);
+    return id === undefined ? null : this.byId.get(id);
+  }
+
+  list() {
+    return Array.from(this.byId.values()).sort((a, b) => a.id - b.id);
+  }
+
+  placeable() {
+    return this.list().filter((blockType) => blockType.placeable);
+  }
+}
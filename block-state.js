@@ -0,0 +1,151 @@
+// Per-cell block state: one byte stored next to the block id.
+//
+// bits 0-2  facing, an index into FACING_VECTORS (0 = none)
+// bit 3     upper half, for top slabs and upside-down stairs
+//
+// What the state means depends on the block type:
+//   rotation: 'axis'        logs; the facing is the positive end of the axis
+//   rotation: 'horizontal'  the facing points out of the block's front
+//   shape: 'slab'           uses the upper-half bit
+//   shape: 'stairs'         facing is the direction the steps climb towards,
+//                           plus the upper-half bit for upside-down stairs
+//   liquid: true            flow level and falling flag instead of a
+//                           facing; see fluids.js
+//
+// History and clipboards carry cells as a packed value, blockId | state << 8,
+// so a value with state 0 is just the block id.
+
+export const Facing = {
+  NONE: 0,
+  POS_X: 1,
+  NEG_X: 2,
+  POS_Y: 3,
+  NEG_Y: 4,
+  POS_Z: 5,
+  NEG_Z: 6,
+};
+
+export const FACING_VECTORS = [
+  null,
+  { x: 1, y: 0, z: 0 },
+  { x: -1, y: 0, z: 0 },
+  { x: 0, y: 1, z: 0 },
+  { x: 0, y: -1, z: 0 },
+  { x: 0, y: 0, z: 1 },
+  { x: 0, y: 0, z: -1 },
+];
+
+const FACING_MASK = 0b111;
+const UPPER_BIT = 0b1000;
+
+export function packState({ facing = Facing.NONE, upper = false } = {}) {
+  return (facing & FACING_MASK) | (upper ? UPPER_BIT : 0);
+}
+
+export function stateFacing(state) {
+  return state & FACING_MASK;
+}
+
+export function stateIsUpper(state) {
+  return (state & UPPER_BIT) !== 0;
+}
+
+export function packCellValue(blockId, state = 0) {
+  return blockId | (state << 8);
+}
+
+export function cellValueBlock(value) {
+  return value & 0xff;
+}
+
+export function cellValueState(value) {
+  return (value >> 8) & 0xff;
+}
+
+// Facing along the dominant axis of a vector
+export function facingFromVector(vector, { horizontal = false } = {}) {
+  const ax = Math.abs(vector.x);
+  const ay = horizontal ? -1 : Math.abs(vector.y);
+  const az = Math.abs(vector.z);
+  if (ax >= ay && ax >= az) {
+    if (ax === 0) {
+      return Facing.NONE;
+    }
+    return vector.x > 0 ? Facing.POS_X : Facing.NEG_X;
+  }
+  if (ay >= az) {
+    return vector.y > 0 ? Facing.POS_Y : Facing.NEG_Y;
+  }
+  return vector.z > 0 ? Facing.POS_Z : Facing.NEG_Z;
+}
+
+function oppositeFacing(facing) {
+  if (facing === Facing.NONE) {
+    return facing;
+  }
+  return facing % 2 === 1 ? facing + 1 : facing - 1;
+}
+
+function axisFacing(facing) {
+  if (facing === Facing.NEG_X || facing === Facing.NEG_Y || facing === Facing.NEG_Z) {
+    return facing - 1;
+  }
+  return facing;
+}
+
+// State for a block placed against a face.
+// normal        the clicked face's outward normal
+// hitOffsetY    hit height within the clicked face, -0.5 (bottom) .. 0.5 (top)
+// viewDirection camera look direction, for placements on top or bottom faces
+export function placementState(blockType, { normal, hitOffsetY = 0, viewDirection }) {
+  if (!blockType || !normal) {
+    return 0;
+  }
+  const isSideFace = normal.y === 0;
+  const upper = normal.y < 0 || (isSideFace && hitOffsetY > 0);
+  const view = viewDirection ?? { x: 0, y: 0, z: -1 };
+
+  if (blockType.shape === 'stairs') {
+    const facing = isSideFace
+      ? oppositeFacing(facingFromVector(normal))
+      : facingFromVector(view, { horizontal: true });
+    return packState({ facing, upper });
+  }
+  if (blockType.shape === 'slab') {
+    return packState({ upper });
+  }
+  if (blockType.rotation === 'axis') {
+    return packState({ facing: axisFacing(facingFromVector(normal)) });
+  }
+  if (blockType.rotation === 'horizontal') {
+    const facing = isSideFace
+      ? facingFromVector(normal)
+      : oppositeFacing(facingFromVector(view, { horizontal: true }));
+    return packState({ facing });
+  }
+  return 0;
+}
+
+function transformFacing(state, mapVector) {
+  const facing = stateFacing(state);
+  if (facing === Facing.NONE) {
+    return state;
+  }
+  const rotated = mapVector(FACING_VECTORS[facing]);
+  return (state & ~FACING_MASK) | facingFromVector(rotated);
+}
+
+// Quarter turns counter-clockwise around +Y, matching rotateClipboardY
+export function rotateStateY(state, turns = 1) {
+  const steps = ((turns % 4) + 4) % 4;
+  let result = state;
+  for (let i = 0; i < steps; i += 1) {
+    result = transformFacing(result, (v) => ({ x: v.z, y: v.y, z: -v.x }));
+  }
+  return result;
+}
+
+// Mirrors the facing across the plane perpendicular to `axis`
+export function mirrorState(state, axis) {
+  return transformFacing(state, (v) => ({ ...v, [axis]: -v[axis] }));
+}
@@ -0,0 +1,120 @@
+// Voxel blueprints: named prefabs stored as cells plus block keys, so they
+// survive block id changes. The built-ins are voxel versions of the
+// my-island prefabs (tree, house, rock, lamp).
+//
+// Blueprint: { id, name, size: { x, y, z }, cells: [{ x, y, z, block, state }] }
+// where cells are relative to the blueprint's minimum corner and the block
+// state (see block-state.js) is optional.
+
+function createBlueprint(id, name, cells) {
+  const size = { x: 0, y: 0, z: 0 };
+  cells.forEach((cell) => {
+    size.x = Math.max(size.x, cell.x + 1);
+    size.y = Math.max(size.y, cell.y + 1);
+    size.z = Math.max(size.z, cell.z + 1);
+  });
+  return { id, name, size, cells };
+}
+
+// Trunk with a four-layer stepped canopy, as in my-island's tree
+function treeCells() {
+  const cells = [];
+  const centre = 4;
+  for (let y = 0; y < 4; y += 1) {
+    cells.push({ x: centre, y, z: centre, block: 'wood' });
+  }
+  for (let layer = 0; layer < 4; layer += 1) {
+    const size = 4 - layer;
+    const reach = size + (layer === 0 ? 0 : 1);
+    for (let dx = -size; dx <= size; dx += 1) {
+      for (let dz = -size; dz <= size; dz += 1) {
+        if (Math.abs(dx) + Math.abs(dz) <= reach) {
+          cells.push({ x: centre + dx, y: 4 + layer, z: centre + dz, block: 'leaves' });
+        }
+      }
+    }
+  }
+  return cells;
+}
+
+// Hollow wooden room with a doorway and a stepped pyramid roof
+function houseCells() {
+  const cells = [];
+  for (let y = 0; y < 3; y += 1) {
+    for (let x = 1; x <= 5; x += 1) {
+      for (let z = 1; z <= 5; z += 1) {
+        const isWall = x === 1 || x === 5 || z === 1 || z === 5;
+        const isDoor = x === 3 && z === 5 && y < 2;
+        if (isWall && !isDoor) {
+          cells.push({ x, y, z, block: 'wood' });
+        }
+      }
+    }
+  }
+  for (let step = 0; step < 4; step += 1) {
+    for (let x = step; x <= 6 - step; x += 1) {
+      for (let z = step; z <= 6 - step; z += 1) {
+        cells.push({ x, y: 3 + step, z, block: 'roof' });
+      }
+    }
+  }
+  return cells;
+}
+
+function rockCells() {
+  const cells = [];
+  for (let x = 0; x < 3; x += 1) {
+    for (let z = 0; z < 3; z += 1) {
+      cells.push({ x, y: 0, z, block: 'stone' });
+      if (x === 1 || z === 1) {
+        cells.push({ x, y: 1, z, block: 'stone' });
+      }
+    }
+  }
+  cells.push({ x: 1, y: 2, z: 1, block: 'stone' });
+  return cells;
+}
+
+function lampCells() {
+  const cells = [];
+  for (let y = 0; y < 4; y += 1) {
+    cells.push({ x: 0, y, z: 0, block: 'stone' });
+  }
+  cells.push({ x: 0, y: 4, z: 0, block: 'lamp' });
+  return cells;
+}
+
+export const BUILTIN_BLUEPRINTS = [
+  createBlueprint('tree', 'Tree', treeCells()),
+  createBlueprint('house', 'House', houseCells()),
+  createBlueprint('rock', 'Rock', rockCells()),
+  createBlueprint('lamp', 'Lamp', lampCells()),
+];
+
+// Converts a clipboard ({ size, cells: [{ x, y, z, blockId }] }) into a
+// blueprint keyed by block name.
+export function blueprintFromClipboard(id, name, clipboard, keyById) {
+  const cells = clipboard.cells
+    .filter((cell) => keyById.has(cell.blockId))
+    .map((cell) => {
+      const stored = { x: cell.x, y: cell.y, z: cell.z, block: keyById.get(cell.blockId) };
+      if (cell.state) {
+        stored.state = cell.state;
+      }
+      return stored;
+    });
+  return { id, name, size: { ...clipboard.size }, cells };
+}
+
+// Resolves block keys against the running registry, producing a clipboard
+// that the paste / stamp tools can place. Unknown blocks are dropped.
+export function resolveBlueprint(blueprint, idByKey) {
+  const cells = [];
+  blueprint.cells.forEach((cell) => {
+    const blockId = idByKey.get(cell.block);
+    if (blockId !== undefined) {
+      cells.push({ x: cell.x, y: cell.y, z: cell.z, blockId, state: cell.state ?? 0 });
+    }
+  });
+  return { size: { ...blueprint.size }, cells };
+}
@@ -0,0 +1,163 @@
+// Cellular flowing-liquid simulation over a VoxelWorld.
+//
+// A liquid cell's block state holds its flow: state 0 is a source, levels
+// 1..FLUID_MAX_LEVEL are flowing cells getting thinner away from their
+// source, and FALLING_BIT marks a full cell fed from above. Each step
+// recomputes the active cells from their neighbours, so liquid spreads down
+// and sideways into air and recedes once nothing feeds it any more.
+// Liquid only flows into chunks that already exist.
+
+import { packCellValue } from './block-state.js';
+
+export const FLUID_MAX_LEVEL = 7;
+export const FALLING_BIT = 0b1000;
+const LEVEL_MASK = 0b111;
+const AIR = 0;
+
+const HORIZONTAL_OFFSETS = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+];
+
+export function isSourceState(state) {
+  return state === 0;
+}
+
+// Effective level for spreading: sources and falling cells count as full
+export function fluidLevel(state) {
+  return state & FALLING_BIT ? 0 : state & LEVEL_MASK;
+}
+
+// Surface height of a liquid cell as a fraction of a block
+export function fluidHeight(state) {
+  return 1 - fluidLevel(state) / (FLUID_MAX_LEVEL + 1);
+}
+
+export class FluidSimulation {
+  // options.isLiquid        (blockId) => boolean
+  // options.maxCellsPerStep cap on cells evaluated per step; the rest wait
+  constructor(world, { isLiquid, maxCellsPerStep = 4096 }) {
+    this.world = world;
+    this.isLiquid = isLiquid;
+    this.maxCellsPerStep = maxCellsPerStep;
+    this.active = new Set();
+  }
+
+  hasWork() {
+    return this.active.size > 0;
+  }
+
+  clear() {
+    this.active.clear();
+  }
+
+  // Queues a cell and its six neighbours for the next step
+  activate(x, y, z) {
+    this.active.add(`${x},${y},${z}`);
+    this.active.add(`${x + 1},${y},${z}`);
+    this.active.add(`${x - 1},${y},${z}`);
+    this.active.add(`${x},${y + 1},${z}`);
+    this.active.add(`${x},${y - 1},${z}`);
+    this.active.add(`${x},${y},${z + 1}`);
+    this.active.add(`${x},${y},${z - 1}`);
+  }
+
+  activateAllLiquids() {
+    this.world.forEachBlock((blockId, x, y, z) => {
+      if (this.isLiquid(blockId)) {
+        this.activate(x, y, z);
+      }
+    });
+  }
+
+  canHold(x, y, z) {
+    if (!this.world.inBounds(x, y, z)) {
+      return false;
+    }
+    const { cx, cy, cz } = this.world.chunkCoords(x, y, z);
+    return this.world.getChunk(cx, cy, cz) !== null;
+  }
+
+  // Packed cell value the cell should hold next, or null to leave it alone
+  desiredValue(x, y, z) {
+    const { world } = this;
+    const blockId = world.getBlock(x, y, z);
+    const isLiquidCell = blockId !== AIR && this.isLiquid(blockId);
+    if (blockId !== AIR && !isLiquidCell) {
+      return null;
+    }
+    if (isLiquidCell && isSourceState(world.getState(x, y, z))) {
+      return null;
+    }
+    if (!isLiquidCell && !this.canHold(x, y, z)) {
+      return null;
+    }
+
+    const above = world.getBlock(x, y + 1, z);
+    if (this.isLiquid(above) && (!isLiquidCell || above === blockId)) {
+      return packCellValue(above, FALLING_BIT);
+    }
+
+    let bestLevel = Infinity;
+    let bestId = null;
+    HORIZONTAL_OFFSETS.forEach(([dx, dz]) => {
+      const nx = x + dx;
+      const nz = z + dz;
+      const neighbour = world.getBlock(nx, y, nz);
+      if (!this.isLiquid(neighbour) || (isLiquidCell && neighbour !== blockId)) {
+        return;
+      }
+      // Liquid only spreads sideways once it rests on something: a solid
+      // block or a pool of sources, not air or more flowing liquid
+      const below = world.getBlock(nx, y - 1, nz);
+      if (below === AIR || (below === neighbour && !isSourceState(world.getState(nx, y - 1, nz)))) {
+        return;
+      }
+      const level = fluidLevel(world.getState(nx, y, nz)) + 1;
+      if (level <= FLUID_MAX_LEVEL && level < bestLevel) {
+        bestLevel = level;
+        bestId = neighbour;
+      }
+    });
+
+    if (bestId === null) {
+      return isLiquidCell ? AIR : null;
+    }
+    return packCellValue(bestId, bestLevel);
+  }
+
+  // Advances the simulation one tick. Returns the applied
+  // { cell, from, to } changes (packed cell values).
+  step() {
+    const keys = [];
+    for (const key of this.active) {
+      keys.push(key);
+      if (keys.length >= this.maxCellsPerStep) {
+        break;
+      }
+    }
+    keys.forEach((key) => this.active.delete(key));
+
+    // Decide every cell from the same snapshot before writing any of them
+    const changes = [];
+    keys.forEach((key) => {
+      const [x, y, z] = key.split(',').map(Number);
+      const next = this.desiredValue(x, y, z);
+      if (next === null) {
+        return;
+      }
+      const current = this.world.getCell(x, y, z);
+      if (next !== current) {
+        changes.push({ cell: { x, y, z }, from: current, to: next });
+      }
+    });
+
+    changes.forEach(({ cell, to }) => {
+      this.world.setCell(cell.x, cell.y, cell.z, to);
+      this.activate(cell.x, cell.y, cell.z);
+    });
+    return changes;
+  }
+}
@@ -0,0 +1,67 @@
+// Settling of loose blocks: block types flagged `gravity` fall until they
+// rest on something. collectFalls runs against the world right after an
+// edit and returns the moves in the order they happen, lowest block of each
+// column first, so a stack collapses from the bottom up.
+
+const AIR = 0;
+
+// cells             the edited cells; their columns are checked upwards
+// options.isLoose   (blockId) => boolean, blocks that fall
+// options.isSupport (blockId) => boolean, blocks something can rest on
+// Returns [{ from, to, value, replaced, chain }]: packed `value` moves from
+// `from` to `to` (null when it falls out of the world), overwriting the
+// packed `replaced` value there; `chain` counts the blocks below it in the
+// same collapsing stack.
+export function collectFalls(world, cells, { isLoose, isSupport }) {
+  // Moves are planned against an overlay so later blocks see earlier ones
+  const overlay = new Map();
+  const valueAt = (x, y, z) => {
+    const key = `${x},${y},${z}`;
+    return overlay.has(key) ? overlay.get(key) : world.getCell(x, y, z);
+  };
+
+  const columns = new Map();
+  cells.forEach((cell) => {
+    const key = `${cell.x},${cell.z}`;
+    const lowest = columns.get(key);
+    if (!lowest || cell.y < lowest.y) {
+      columns.set(key, cell);
+    }
+  });
+
+  const moves = [];
+  Array.from(columns.values())
+    .sort((a, b) => a.y - b.y)
+    .forEach(({ x, y: startY, z }) => {
+      let chain = 0;
+      for (let y = startY; world.inBounds(x, y, z); y += 1) {
+        const value = valueAt(x, y, z);
+        if (!isLoose(value & 0xff)) {
+          // The edited cell itself may be a hole that unsupports the column
+          if (y === startY) {
+            continue;
+          }
+          break;
+        }
+
+        let landing = y;
+        while (landing !== null && !isSupport(valueAt(x, landing - 1, z) & 0xff)) {
+          landing = world.inBounds(x, landing - 1, z) ? landing - 1 : null;
+        }
+        if (landing === y) {
+          // Resting blocks hold up everything stacked on them
+          break;
+        }
+
+        const to = landing === null ? null : { x, y: landing, z };
+        const replaced = to ? valueAt(x, landing, z) : AIR;
+        overlay.set(`${x},${y},${z}`, AIR);
+        if (to) {
+          overlay.set(`${x},${landing},${z}`, value);
+        }
+        moves.push({ from: { x, y, z }, to, value, replaced, chain });
+        chain += 1;
+      }
+    });
+  return moves;
+}
@@ -0,0 +1,299 @@
+// Per-cell voxel lighting over a VoxelWorld's chunks.
+//
+// Every cell stores two light levels 0..MAX_LIGHT in one byte: sky light in
+// the high nibble, block light in the low one. Sky light enters from above
+// and travels straight down through clear cells without fading; block light
+// spreads from emissive blocks. Both lose one level per step sideways, plus
+// the opacity of the cell they enter. Cells outside the allocated chunks
+// count as open sky.
+//
+// update() relights only around edited cells: light the edit may have fed
+// is cleared outwards first, then the gap is refilled from its surroundings.
+// updateChunks() does the same for whole chunks as they are allocated.
+
+export const MAX_LIGHT = 15;
+
+const SKY = 0;
+const BLOCK = 1;
+const CHANNELS = [SKY, BLOCK];
+
+// Neighbour offsets; DOWN is the direction sky light keeps its full level in
+const DIRECTIONS = [
+  [1, 0, 0],
+  [-1, 0, 0],
+  [0, 1, 0],
+  [0, -1, 0],
+  [0, 0, 1],
+  [0, 0, -1],
+];
+const DOWN = 3;
+
+export class VoxelLighting {
+  // options.opacity  (blockId) => extra light lost entering the cell;
+  //                  MAX_LIGHT or more blocks light entirely
+  // options.emission (blockId) => block light level the block gives off
+  constructor(world, { opacity, emission }) {
+    this.world = world;
+    this.opacity = opacity;
+    this.emission = emission;
+    this.levels = new Map();
+    // The chunk each entry in `levels` was lit for, to spot replaced chunks
+    this.litChunks = new Map();
+    this.changedChunks = new Set();
+    // Local indices of the cells whose light changed, per chunk key
+    this.changedCells = new Map();
+  }
+
+  locate(x, y, z) {
+    const { world } = this;
+    const { cx, cy, cz } = world.chunkCoords(x, y, z);
+    const chunk = world.getChunk(cx, cy, cz);
+    if (!chunk) {
+      return null;
+    }
+    const lx = x - cx * world.chunkWidth;
+    const ly = y - cy * world.chunkHeight;
+    const lz = z - cz * world.chunkDepth;
+    let levels = this.levels.get(chunk.key);
+    if (!levels) {
+      levels = new Uint8Array(chunk.cellCount());
+      this.levels.set(chunk.key, levels);
+      this.litChunks.set(chunk.key, chunk);
+    }
+    return { chunk, levels, index: chunk.getIndex(lx, ly, lz), lx, ly, lz };
+  }
+
+  getLevel(x, y, z, channel) {
+    const at = this.locate(x, y, z);
+    if (!at) {
+      return channel === SKY ? MAX_LIGHT : 0;
+    }
+    const packed = at.levels[at.index];
+    return channel === SKY ? packed >> 4 : packed & 0x0f;
+  }
+
+  getSkyLight(x, y, z) {
+    return this.getLevel(x, y, z, SKY);
+  }
+
+  getBlockLight(x, y, z) {
+    return this.getLevel(x, y, z, BLOCK);
+  }
+
+  setLevel(at, channel, level) {
+    const packed = at.levels[at.index];
+    at.levels[at.index] = channel === SKY ? (packed & 0x0f) | (level << 4) : (packed & 0xf0) | level;
+    this.markChanged(at);
+  }
+
+  // A cell's light is sampled by faces in every chunk touching it
+  markChanged({ chunk, index, lx, ly, lz }) {
+    let cells = this.changedCells.get(chunk.key);
+    if (!cells) {
+      cells = new Set();
+      this.changedCells.set(chunk.key, cells);
+    }
+    cells.add(index);
+    const offsets = (local, size) => {
+      const result = [0];
+      if (local === 0) {
+        result.push(-1);
+      }
+      if (local === size - 1) {
+        result.push(1);
+      }
+      return result;
+    };
+    offsets(lx, chunk.width).forEach((dx) => {
+      offsets(ly, chunk.height).forEach((dy) => {
+        offsets(lz, chunk.depth).forEach((dz) => {
+          this.changedChunks.add(`${chunk.cx + dx},${chunk.cy + dy},${chunk.cz + dz}`);
+        });
+      });
+    });
+  }
+
+  // Level a cell would receive from its neighbours and its own block
+  incoming(x, y, z, channel) {
+    const blockId = this.world.getBlock(x, y, z);
+    const source = channel === BLOCK ? this.emission(blockId) : 0;
+    const opacity = this.opacity(blockId);
+    if (opacity >= MAX_LIGHT) {
+      return source;
+    }
+    let best = source;
+    DIRECTIONS.forEach(([dx, dy, dz], direction) => {
+      const level = this.getLevel(x - dx, y - dy, z - dz, channel);
+      const received = channel === SKY && direction === DOWN && level === MAX_LIGHT && opacity === 0
+        ? MAX_LIGHT
+        : level - 1 - opacity;
+      best = Math.max(best, received);
+    });
+    return best;
+  }
+
+  propagate(queue, channel) {
+    for (let head = 0; head < queue.length; head += 1) {
+      const [x, y, z] = queue[head];
+      const level = this.getLevel(x, y, z, channel);
+      DIRECTIONS.forEach(([dx, dy, dz], direction) => {
+        const nx = x + dx;
+        const ny = y + dy;
+        const nz = z + dz;
+        const at = this.locate(nx, ny, nz);
+        if (!at) {
+          return;
+        }
+        const opacity = this.opacity(at.chunk.data[at.index]);
+        if (opacity >= MAX_LIGHT) {
+          return;
+        }
+        const next = channel === SKY && direction === DOWN && level === MAX_LIGHT && opacity === 0
+          ? MAX_LIGHT
+          : level - 1 - opacity;
+        if (next > this.getLevel(nx, ny, nz, channel)) {
+          this.setLevel(at, channel, next);
+          queue.push([nx, ny, nz]);
+        }
+      });
+    }
+  }
+
+  // Relights every allocated chunk from scratch
+  rebuild() {
+    this.levels.clear();
+    this.litChunks.clear();
+    this.changedChunks.clear();
+    const { world } = this;
+    CHANNELS.forEach((channel) => {
+      const queue = [];
+      world.forEachChunk((chunk) => {
+        const ox = chunk.cx * world.chunkWidth;
+        const oy = chunk.cy * world.chunkHeight;
+        const oz = chunk.cz * world.chunkDepth;
+        chunk.forEach((value, lx, ly, lz) => {
+          const x = ox + lx;
+          const y = oy + ly;
+          const z = oz + lz;
+          const level = this.incoming(x, y, z, channel);
+          if (level > 0) {
+            this.setLevel(this.locate(x, y, z), channel, level);
+            queue.push([x, y, z]);
+          }
+        });
+      });
+      this.propagate(queue, channel);
+    });
+    // Every chunk is relit, so there is no point listing cells
+    this.changedCells.clear();
+    world.forEachChunk((chunk) => this.changedChunks.add(chunk.key));
+  }
+
+  // Relights the chunks among `keys` that were allocated, replaced or dropped
+  // since they were last lit. Until now a new chunk's cells counted as open
+  // sky, so they start out that way and relight like edited cells, which
+  // also lets the new blocks shade the chunks around them. When no lit chunk
+  // survives (a reset or a load) everything is rebuilt instead.
+  updateChunks(keys) {
+    const { world } = this;
+    const stale = [...keys].filter((key) => this.litChunks.get(key) !== world.chunks.get(key));
+    if (stale.length === 0) {
+      return;
+    }
+    let kept = 0;
+    world.forEachChunk((chunk) => {
+      if (this.litChunks.get(chunk.key) === chunk) {
+        kept += 1;
+      }
+    });
+    if (kept === 0) {
+      this.rebuild();
+      return;
+    }
+    const cells = [];
+    stale.forEach((key) => {
+      this.levels.delete(key);
+      this.litChunks.delete(key);
+      const chunk = world.chunks.get(key);
+      if (!chunk) {
+        return;
+      }
+      this.levels.set(key, new Uint8Array(chunk.cellCount()).fill(MAX_LIGHT << 4));
+      this.litChunks.set(key, chunk);
+      const ox = chunk.cx * world.chunkWidth;
+      const oy = chunk.cy * world.chunkHeight;
+      const oz = chunk.cz * world.chunkDepth;
+      chunk.forEach((value, lx, ly, lz) => {
+        cells.push({ x: ox + lx, y: oy + ly, z: oz + lz });
+      });
+    });
+    this.update(cells);
+  }
+
+  // Relights around edited cells ({ x, y, z } in world coordinates)
+  update(cells) {
+    CHANNELS.forEach((channel) => {
+      const removal = [];
+      const cleared = [];
+      const refill = [];
+      cells.forEach(({ x, y, z }) => {
+        const at = this.locate(x, y, z);
+        if (!at) {
+          return;
+        }
+        const level = this.getLevel(x, y, z, channel);
+        if (level > 0) {
+          this.setLevel(at, channel, 0);
+          removal.push([x, y, z, level]);
+        }
+        cleared.push([x, y, z]);
+      });
+
+      // Clear everything the old light fed; brighter neighbours refill the gap
+      for (let head = 0; head < removal.length; head += 1) {
+        const [x, y, z, level] = removal[head];
+        DIRECTIONS.forEach(([dx, dy, dz], direction) => {
+          const nx = x + dx;
+          const ny = y + dy;
+          const nz = z + dz;
+          const at = this.locate(nx, ny, nz);
+          if (!at) {
+            return;
+          }
+          const neighbourLevel = this.getLevel(nx, ny, nz, channel);
+          if (neighbourLevel === 0) {
+            return;
+          }
+          const fedByCell = neighbourLevel < level
+            || (channel === SKY && direction === DOWN && level === MAX_LIGHT && neighbourLevel === MAX_LIGHT);
+          if (fedByCell) {
+            this.setLevel(at, channel, 0);
+            removal.push([nx, ny, nz, neighbourLevel]);
+            cleared.push([nx, ny, nz]);
+          } else {
+            refill.push([nx, ny, nz]);
+          }
+        });
+      }
+
+      cleared.forEach(([x, y, z]) => {
+        const level = this.incoming(x, y, z, channel);
+        if (level > this.getLevel(x, y, z, channel)) {
+          this.setLevel(this.locate(x, y, z), channel, level);
+          refill.push([x, y, z]);
+        }
+      });
+      this.propagate(refill, channel);
+    });
+  }
+
+  // Returns and resets what changed since the last call: `chunks` holds the
+  // keys of chunks whose faces need relighting, `cells` the local indices of
+  // relit cells per chunk key (empty after a rebuild)
+  takeChanged() {
+    const changed = { chunks: this.changedChunks, cells: this.changedCells };
+    this.changedChunks = new Set();
+    this.changedCells = new Map();
+    return changed;
+  }
+}
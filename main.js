@@ -1,18 +1,134 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { buildChunkFaces } from './mesher.js';
+import {
+  EditHistory,
+  VoxelWorld,
+  applyTransaction,
+  cloneCell,
+  createTransaction,
+  decodeWorld,
+  encodeWorld,
+  isEmptyAction,
+  writeCellChanges,
+} from './voxel-core.js';
+import { readVox, writeVox } from './vox-format.js';
+import { SaveSlotStore, createSlotId } from './save-slots.js';
+import {
+  boxCells,
+  ellipsoidCells,
+  floodFillCells,
+  hollowBoxCells,
+  lineCells,
+  shapeEdits,
+  wallCells,
+} from './shapes.js';
+import {
+  clipboardOriginAt,
+  copyRegion,
+  mirrorClipboard,
+  normalizeRegion,
+  placeClipboard,
+  regionSize,
+  rotateClipboardY,
+} from './regions.js';
+import { BUILTIN_BLUEPRINTS, blueprintFromClipboard, resolveBlueprint } from './blueprints.js';
+import { BlockRegistry } from './block-registry.js';
+import { connectSandbox, emitSandboxEvent, voxelSandbox } from './sandbox-api.js';
+import { TextureAtlas } from './texture-atlas.js';
+import { TEXTURE_SETS, TILE_PAINTERS } from './tile-painters.js';
+import {
+  Facing,
+  cellValueBlock,
+  cellValueState,
+  packCellValue,
+  placementState,
+  stateFacing,
+  stateIsUpper,
+} from './block-state.js';
+import { FluidSimulation, fluidHeight, isSourceState } from './fluids.js';
+import { collectFalls } from './gravity.js';
+import { MAX_LIGHT, VoxelLighting } from './lighting.js';
+import {
+  ISLAND_CENTER,
+  TERRAIN_PARAM_RANGES,
+  generateTerrain,
+  normalizeTerrainParams,
+  randomTerrainSeed,
+} from './terrain.js';
+import {
+  DEFAULT_TIME_OF_DAY,
+  formatTimeOfDay,
+  normalizeTime,
+  skyStateAt,
+} from './time-of-day.js';
+import {
+  WEATHER_AUTO,
+  WeatherController,
+  findRainCell,
+  findSnowCell,
+  findSurface,
+  isWeather,
+  overcastColor,
+} from './weather.js';
+import { Walker } from './walker.js';
 
 const container = document.getElementById('app');
 const canvas = document.getElementById('scene');
 const blockPalette = document.getElementById('blockPalette');
-const blockButtons = blockPalette
-  ? Array.from(blockPalette.querySelectorAll('.block-btn'))
+const blockGrid = blockPalette ? blockPalette.querySelector('.palette-grid') : null;
+const addBlockPackButton = document.getElementById('addBlockPack');
+const blockPackInput = document.getElementById('blockPackInput');
+let blockButtons = [];
+const toolPalette = document.getElementById('toolPalette');
+const toolButtons = toolPalette
+  ? Array.from(toolPalette.querySelectorAll('[data-tool]'))
+  : [];
+const selectionPanel = document.getElementById('selectionPanel');
+const selectionActionButtons = selectionPanel
+  ? Array.from(selectionPanel.querySelectorAll('[data-selection-action]'))
+  : [];
+const toolStatusElement = document.getElementById('toolStatus');
+const blueprintPalette = document.getElementById('blueprintPalette');
+const blueprintGrid = blueprintPalette ? blueprintPalette.querySelector('.palette-grid') : null;
+const blueprintActionButtons = blueprintPalette
+  ? Array.from(blueprintPalette.querySelectorAll('[data-blueprint-action]'))
   : [];
 const blockCountElement = document.getElementById('blockCount');
 const selectedBlockLabelElement = document.getElementById('selectedBlockLabel');
+const walkBlockLabelElement = document.getElementById('walkBlockLabel');
 const saveStatusElement = document.getElementById('saveStatus');
 const undoButton = document.getElementById('undoAction');
 const redoButton = document.getElementById('redoAction');
 const resetButton = document.getElementById('resetChunk');
+const renderModeSelect = document.getElementById('renderMode');
+const importVoxButton = document.getElementById('importVox');
+const exportVoxButton = document.getElementById('exportVox');
+const voxFileInput = document.getElementById('voxFileInput');
+const slotPanel = document.getElementById('slotPanel');
+const slotSelect = document.getElementById('slotSelect');
+const slotThumbnail = document.getElementById('slotThumbnail');
+const slotMeta = document.getElementById('slotMeta');
+const slotActionButtons = slotPanel
+  ? Array.from(slotPanel.querySelectorAll('[data-slot-action]'))
+  : [];
+const timeOfDayInput = document.getElementById('timeOfDay');
+const timeOfDayLabel = document.getElementById('timeOfDayLabel');
+const dayLengthSelect = document.getElementById('dayLength');
+const weatherModeSelect = document.getElementById('weatherMode');
+const schemeElements = Array.from(document.querySelectorAll('[data-input-scheme]'));
+const walkModeButton = document.getElementById('walkMode');
+const walkHud = document.getElementById('walkHud');
+const walkStatusElement = document.getElementById('walkStatus');
+const newIslandDialog = document.getElementById('newIslandDialog');
+const newIslandTitle = document.getElementById('newIslandTitle');
+const terrainPreviewCanvas = document.getElementById('terrainPreview');
+const islandNameInput = document.getElementById('islandName');
+const terrainSeedInput = document.getElementById('terrainSeed');
+const terrainParamInputs = newIslandDialog
+  ? Array.from(newIslandDialog.querySelectorAll('[data-terrain-param]'))
+  : [];
 
 const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
 renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
@@ -28,7 +144,9 @@ renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
 const scene = new THREE.Scene();
 const FOG_COLOR = 0xb5d6ff; // softer anime-like horizon blue
-scene.fog = new THREE.Fog(FOG_COLOR, 95, 380);
+const FOG_NEAR = 95;
+const FOG_FAR = 380;
+scene.fog = new THREE.Fog(FOG_COLOR, FOG_NEAR, FOG_FAR);
 // Clear with the bottom sky color for cleaner gradient edges
 renderer.setClearColor(new THREE.Color(FOG_COLOR), 1);
 
@@ -61,12 +179,17 @@ sunLight.shadow.camera.top = 58;
 sunLight.shadow.camera.bottom = -36;
 scene.add(sunLight);
 
-// Stylized anime sky: big inverted sphere with banded gradient + soft sun
+// Stylized anime sky: big inverted sphere with banded gradient + soft sun.
+// The colours are driven by the time of day (see applyTimeOfDay).
 const SKY_TOP = new THREE.Color(0x6fb5ff);      // top
 const SKY_HORIZON = new THREE.Color(0xaed8ff);  // horizon blend
 const SKY_BOTTOM = new THREE.Color(FOG_COLOR);  // near-white bottom
+const MOON_COLOR = 0xdfe8ff;
+const MOONLIGHT_COLOR = 0x9fb4ff;
 
-const skyGeo = new THREE.SphereGeometry(4000, 32, 16);
+// Kept centred on the camera and inside its far plane
+const SKY_RADIUS = 450;
+const skyGeo = new THREE.SphereGeometry(SKY_RADIUS, 32, 16);
 const skyMat = new THREE.ShaderMaterial({
   side: THREE.BackSide,
   depthWrite: false,
@@ -81,6 +204,9 @@ const skyMat = new THREE.ShaderMaterial({
     sunColor: { value: new THREE.Color(0xfff2cc).convertSRGBToLinear() },
     sunSize: { value: THREE.MathUtils.degToRad(2.5) },
     sunSoft: { value: THREE.MathUtils.degToRad(2.0) },
+    moonDir: { value: new THREE.Vector3(0, -1, 0) },
+    moonColor: { value: new THREE.Color(MOON_COLOR).convertSRGBToLinear() },
+    moonSize: { value: THREE.MathUtils.degToRad(1.8) },
   },
   vertexShader: `
     varying vec3 vDir;
@@ -97,6 +223,8 @@ const skyMat = new THREE.ShaderMaterial({
     uniform float bands, exponent;
     uniform vec3 sunDir, sunColor;
     uniform float sunSize, sunSoft;
+    uniform vec3 moonDir, moonColor;
+    uniform float moonSize;
 
     float smoothBand(float t, float b){
       float qt = floor(t*b)/b; // quantize
@@ -111,10 +239,15 @@ const skyMat = new THREE.ShaderMaterial({
       vec3 c = mix(bottomColor, horizonColor, smoothstep(0.0, 0.55, t));
       c = mix(c, topColor, smoothstep(0.35, 1.0, t));
 
-      // soft sun disc
+      // soft sun disc, hidden once it sinks below the horizon
       float ang = acos(clamp(dot(normalize(vDir), normalize(sunDir)), -1.0, 1.0));
       float core = 1.0 - smoothstep(sunSize, sunSize + sunSoft, ang);
-      c = mix(c, sunColor, core * 0.6);
+      c = mix(c, sunColor, core * 0.6 * smoothstep(-0.08, 0.02, sunDir.y));
+
+      // crisp moon disc
+      float moonAng = acos(clamp(dot(normalize(vDir), normalize(moonDir)), -1.0, 1.0));
+      float moon = 1.0 - smoothstep(moonSize, moonSize * 1.15, moonAng);
+      c = mix(c, moonColor, moon * 0.85 * smoothstep(-0.08, 0.02, moonDir.y));
 
       gl_FragColor = vec4(c, 1.0);
     }
@@ -122,523 +255,767 @@ const skyMat = new THREE.ShaderMaterial({
 });
 const animeSky = new THREE.Mesh(skyGeo, skyMat);
 animeSky.frustumCulled = false;
+animeSky.renderOrder = -2;
 scene.add(animeSky);
 
-const sunPosition = new THREE.Vector3();
-function updateSun(elevation = 52, azimuth = 135) {
-  const phi = THREE.MathUtils.degToRad(90 - elevation);
-  const theta = THREE.MathUtils.degToRad(azimuth);
-  sunPosition.setFromSphericalCoords(1, phi, theta);
-  sunLight.position.copy(sunPosition).multiplyScalar(120);
-  skyMat.uniforms.sunDir.value.copy(sunPosition);
+// Fixed random stars on the upper part of the sky sphere, faded in at night
+function createStarField(count = 900) {
+  const positions = new Float32Array(count * 3);
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  for (let i = 0; i < count; i += 1) {
+    const theta = random() * Math.PI * 2;
+    const y = random() * 1.1 - 0.1;
+    const ring = Math.sqrt(1 - y * y);
+    const radius = SKY_RADIUS * 0.92;
+    positions[i * 3 + 0] = Math.cos(theta) * ring * radius;
+    positions[i * 3 + 1] = y * radius;
+    positions[i * 3 + 2] = Math.sin(theta) * ring * radius;
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  const material = new THREE.PointsMaterial({
+    color: 0xffffff,
+    size: 1.6,
+    sizeAttenuation: false,
+    transparent: true,
+    opacity: 0,
+    depthWrite: false,
+    fog: false,
+  });
+  const stars = new THREE.Points(geometry, material);
+  stars.frustumCulled = false;
+  stars.renderOrder = -1;
+  stars.visible = false;
+  return stars;
 }
+
+const starField = createStarField();
+animeSky.add(starField);
 scene.environment = null; // disable IBL for consistent toon look
-updateSun();
 
-// Removed ground grid for floating island scene
+// Time of day, 0 = midnight .. 0.5 = noon; saved with the island
+const DAY_LENGTH_KEY = 'voxel-sandbox-day-length';
+const DEFAULT_DAY_LENGTH_MINUTES = 10;
+let timeOfDay = DEFAULT_TIME_OF_DAY;
+let dayLengthMinutes = loadDayLength();
+// The cycle holds still while the slider is being dragged
+let isScrubbingTime = false;
+const sunColor = new THREE.Color();
+const moonlightColor = new THREE.Color(MOONLIGHT_COLOR);
+
+// Weather runs automatically or holds the state picked in the menu; the sky,
+// clouds and precipitation read its blended conditions every frame
+const WEATHER_MODE_KEY = 'voxel-sandbox-weather';
+const weatherController = new WeatherController();
+weatherController.setMode(loadWeatherMode());
+let weatherConditions = weatherController.update(0);
+
+// Sky, fog and lights for the current time of day, dimmed by the weather
+function applyTimeOfDay() {
+  const sky = skyStateAt(timeOfDay);
+  const { overcast, fog } = weatherConditions;
+  const { uniforms } = skyMat;
+  uniforms.topColor.value.setHex(overcastColor(sky.topColor, overcast)).convertSRGBToLinear();
+  uniforms.horizonColor.value.setHex(overcastColor(sky.horizonColor, overcast)).convertSRGBToLinear();
+  uniforms.bottomColor.value.setHex(overcastColor(sky.bottomColor, overcast)).convertSRGBToLinear();
+  uniforms.sunDir.value.copy(sky.sunDirection);
+  uniforms.moonDir.value.copy(sky.moonDirection);
+
+  scene.fog.color.setHex(overcastColor(sky.fogColor, overcast));
+  scene.fog.near = FOG_NEAR * (1 - 0.6 * fog);
+  scene.fog.far = FOG_FAR * (1 - 0.5 * fog);
+  renderer.setClearColor(scene.fog.color, 1);
+  renderer.toneMappingExposure = sky.exposure * (1 - 0.12 * overcast);
+  ambientLight.intensity = sky.ambientIntensity * (1 - 0.25 * overcast);
+  hemiLight.intensity = sky.hemiIntensity * (1 - 0.25 * overcast);
+
+  // One shadow-casting light follows whichever of sun and moon is up
+  const sunIsUp = sky.sunDirection.y >= 0;
+  sunLight.position
+    .copy(sunIsUp ? sky.sunDirection : sky.moonDirection)
+    .multiplyScalar(120);
+  sunLight.intensity = (sky.sunIntensity + sky.moonIntensity) * (1 - 0.7 * overcast);
+  sunLight.color.copy(sunIsUp ? sunColor.setHex(sky.sunColor) : moonlightColor);
+
+  const stars = sky.stars * (1 - overcast);
+  starField.material.opacity = stars;
+  starField.visible = stars > 0.01;
+  starField.rotation.y = timeOfDay * Math.PI * 2;
+
+  if (timeOfDayLabel) {
+    timeOfDayLabel.textContent = formatTimeOfDay(timeOfDay);
+  }
+  if (timeOfDayInput && !isScrubbingTime) {
+    timeOfDayInput.value = String(timeOfDay);
+  }
+}
 
-const Block = {
-  AIR: 0,
-  GRASS: 1,
-  SAND: 2,
-  STONE: 3,
-  WATER: 4,
-  WOOD: 5,
-};
+function setTimeOfDay(time) {
+  timeOfDay = normalizeTime(time);
+  applyTimeOfDay();
+}
 
-class VoxelChunk {
-  constructor(width, height, depth) {
-    this.width = width;
-    this.height = height;
-    this.depth = depth;
-    this.data = new Uint8Array(width * height * depth);
+// The render loop applies the new time together with the weather
+function advanceTimeOfDay(delta) {
+  if (dayLengthMinutes <= 0 || isScrubbingTime) {
+    return;
   }
+  timeOfDay = normalizeTime(timeOfDay + delta / (dayLengthMinutes * 60));
+}
 
-  getIndex(x, y, z) {
-    return y * this.width * this.depth + z * this.width + x;
+function loadDayLength() {
+  try {
+    const stored = window.localStorage.getItem(DAY_LENGTH_KEY);
+    const minutes = Number(stored);
+    if (stored !== null && Number.isFinite(minutes) && minutes >= 0) {
+      return minutes;
+    }
+  } catch (error) {
+    console.warn('[voxel] failed to read day length:', error);
   }
+  return DEFAULT_DAY_LENGTH_MINUTES;
+}
 
-  inBounds(x, y, z) {
-    return (
-      x >= 0 && x < this.width && y >= 0 && y < this.height && z >= 0 && z < this.depth
-    );
+function setupTimeControls() {
+  if (timeOfDayInput) {
+    timeOfDayInput.addEventListener('pointerdown', () => {
+      isScrubbingTime = true;
+    });
+    timeOfDayInput.addEventListener('input', () => {
+      setTimeOfDay(timeOfDayInput.value);
+      scheduleSave();
+    });
+    ['pointerup', 'pointercancel', 'blur'].forEach((type) => {
+      timeOfDayInput.addEventListener(type, () => {
+        isScrubbingTime = false;
+      });
+    });
+  }
+  if (dayLengthSelect) {
+    dayLengthSelect.value = String(dayLengthMinutes);
+    dayLengthSelect.addEventListener('change', () => setDayLength(dayLengthSelect.value));
   }
+  if (weatherModeSelect) {
+    weatherModeSelect.value = weatherController.mode;
+    weatherModeSelect.addEventListener('change', () => setWeatherMode(weatherModeSelect.value));
+  }
+}
 
-  getBlock(x, y, z) {
-    if (!this.inBounds(x, y, z)) {
-      return Block.AIR;
-    }
-    return this.data[this.getIndex(x, y, z)];
+function setDayLength(minutes) {
+  const value = Number(minutes);
+  if (!Number.isFinite(value) || value < 0) {
+    return;
+  }
+  dayLengthMinutes = value;
+  try {
+    window.localStorage.setItem(DAY_LENGTH_KEY, String(value));
+  } catch (error) {
+    console.warn('[voxel] failed to store day length:', error);
   }
+}
 
-  setBlock(x, y, z, value) {
-    if (!this.inBounds(x, y, z)) {
-      return;
+function loadWeatherMode() {
+  try {
+    const stored = window.localStorage.getItem(WEATHER_MODE_KEY);
+    if (stored === WEATHER_AUTO || isWeather(stored)) {
+      return stored;
     }
-    this.data[this.getIndex(x, y, z)] = value;
+  } catch (error) {
+    console.warn('[voxel] failed to read weather mode:', error);
   }
+  return WEATHER_AUTO;
+}
 
-  forEach(callback) {
-    for (let y = 0; y < this.height; y += 1) {
-      for (let z = 0; z < this.depth; z += 1) {
-        for (let x = 0; x < this.width; x += 1) {
-          const value = this.getBlock(x, y, z);
-          callback(value, x, y, z);
-        }
-      }
+function setWeatherMode(mode) {
+  if (mode !== WEATHER_AUTO && !isWeather(mode)) {
+    return;
+  }
+  weatherController.setMode(mode);
+  try {
+    window.localStorage.setItem(WEATHER_MODE_KEY, mode);
+  } catch (error) {
+    console.warn('[voxel] failed to store weather mode:', error);
+  }
+}
+
+applyTimeOfDay();
+
+// Blocky clouds drifting round the island; cloud cover decides how many show
+const CLOUD_COUNT = 14;
+const CLOUD_CLEAR_COLOR = new THREE.Color(0xf7faff);
+const CLOUD_STORM_COLOR = new THREE.Color(0x7d8794);
+
+function createCloudRing() {
+  const group = new THREE.Group();
+  const material = new THREE.MeshStandardMaterial({
+    color: CLOUD_CLEAR_COLOR,
+    roughness: 1,
+    metalness: 0,
+    transparent: true,
+    opacity: 0.85,
+    depthWrite: false,
+  });
+  const clouds = [];
+  for (let i = 0; i < CLOUD_COUNT; i += 1) {
+    const puffs = [];
+    const puffCount = 3 + Math.floor(Math.random() * 4);
+    for (let j = 0; j < puffCount; j += 1) {
+      const puff = new THREE.BoxGeometry(3 + Math.random() * 4, 1 + Math.random() * 1.2, 2 + Math.random() * 3);
+      puff.translate((Math.random() - 0.5) * 6, (Math.random() - 0.5) * 0.8, (Math.random() - 0.5) * 4);
+      puffs.push(puff);
     }
+    const mesh = new THREE.Mesh(mergeGeometries(puffs), material);
+    puffs.forEach((puff) => puff.dispose());
+    mesh.visible = false;
+    group.add(mesh);
+    clouds.push({
+      mesh,
+      // Shuffled so clouds appear all round the ring as cover grows
+      order: Math.random(),
+      angle: (Math.PI * 2 * i) / CLOUD_COUNT,
+      radius: 30 + Math.random() * 16,
+      height: 17 + Math.random() * 7,
+      speed: 0.015 + Math.random() * 0.025,
+    });
+  }
+  clouds.sort((a, b) => a.order - b.order);
+  return { group, material, clouds };
+}
+
+const cloudRing = createCloudRing();
+scene.add(cloudRing.group);
+
+function updateClouds(delta) {
+  const { clouds, overcast } = weatherConditions;
+  const visibleCount = Math.round(clouds * CLOUD_COUNT);
+  cloudRing.material.color.copy(CLOUD_CLEAR_COLOR).lerp(CLOUD_STORM_COLOR, overcast);
+  cloudRing.material.opacity = 0.7 + 0.25 * overcast;
+  cloudRing.clouds.forEach((cloud, index) => {
+    cloud.mesh.visible = index < visibleCount;
+    cloud.angle += cloud.speed * delta;
+    cloud.mesh.position.set(
+      Math.cos(cloud.angle) * cloud.radius,
+      cloud.height,
+      Math.sin(cloud.angle) * cloud.radius,
+    );
+    cloud.mesh.rotation.y = -cloud.angle;
+  });
+}
+
+// Rain and snow are point sprites animated in the vertex shader: each drop
+// falls through a box round the orbit target and wraps back to the top
+const PRECIPITATION_BOX = new THREE.Vector3(90, 50, 90);
+const weatherTime = { value: 0 };
+
+function createPrecipitation({ count, color, size, speed, drift, streak }) {
+  const positions = new Float32Array(count * 3);
+  const seeds = new Float32Array(count);
+  for (let i = 0; i < count; i += 1) {
+    positions[i * 3 + 0] = Math.random();
+    positions[i * 3 + 1] = Math.random();
+    positions[i * 3 + 2] = Math.random();
+    seeds[i] = Math.random();
   }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('seed', new THREE.Float32BufferAttribute(seeds, 1));
+  const material = new THREE.ShaderMaterial({
+    transparent: true,
+    depthWrite: false,
+    uniforms: {
+      time: weatherTime,
+      centre: { value: new THREE.Vector3() },
+      boxSize: { value: PRECIPITATION_BOX },
+      color: { value: new THREE.Color(color) },
+      opacity: { value: 0 },
+      size: { value: size },
+      speed: { value: speed },
+      drift: { value: drift },
+    },
+    defines: streak ? { STREAK: '' } : {},
+    vertexShader: `
+      attribute float seed;
+      uniform float time, size, speed, drift;
+      uniform vec3 centre, boxSize;
+      void main(){
+        vec3 p = position * boxSize;
+        p.y = mod(p.y - time * speed * (0.8 + 0.4 * seed), boxSize.y);
+        p.x += sin(time * 0.9 + seed * 20.0) * drift;
+        p.z += cos(time * 0.7 + seed * 17.0) * drift;
+        vec3 wp = centre + p - vec3(boxSize.x * 0.5, boxSize.y * 0.35, boxSize.z * 0.5);
+        vec4 mv = viewMatrix * vec4(wp, 1.0);
+        gl_PointSize = size * (300.0 / -mv.z);
+        gl_Position = projectionMatrix * mv;
+      }
+    `,
+    fragmentShader: `
+      uniform vec3 color;
+      uniform float opacity;
+      void main(){
+        vec2 pc = gl_PointCoord - 0.5;
+        #ifdef STREAK
+          if (abs(pc.x) > 0.06) discard;
+          float alpha = 1.0 - abs(pc.y) * 2.0;
+        #else
+          float d = length(pc);
+          if (d > 0.5) discard;
+          float alpha = 1.0 - smoothstep(0.25, 0.5, d);
+        #endif
+        gl_FragColor = vec4(color, opacity * alpha);
+      }
+    `,
+  });
+  const points = new THREE.Points(geometry, material);
+  points.frustumCulled = false;
+  points.visible = false;
+  points.userData.count = count;
+  scene.add(points);
+  return points;
+}
+
+const rainParticles = createPrecipitation({
+  count: 7000,
+  color: 0xa9c4e8,
+  size: 1.6,
+  speed: 38,
+  drift: 0.4,
+  streak: true,
+});
+const snowParticles = createPrecipitation({
+  count: 4000,
+  color: 0xffffff,
+  size: 0.7,
+  speed: 4,
+  drift: 1.6,
+  streak: false,
+});
 
-  cellCount() {
-    return this.width * this.height * this.depth;
+function updatePrecipitation(particles, intensity) {
+  particles.visible = intensity > 0.01;
+  if (!particles.visible) {
+    return;
   }
+  particles.geometry.setDrawRange(0, Math.round(particles.userData.count * intensity));
+  particles.material.uniforms.opacity.value = 0.35 + 0.45 * intensity;
+  particles.material.uniforms.centre.value.copy(controls.target);
+}
+
+function updateWeather(delta) {
+  weatherConditions = weatherController.update(delta);
+  weatherTime.value += delta;
+  updateClouds(delta);
+  updatePrecipitation(rainParticles, weatherConditions.rain);
+  updatePrecipitation(snowParticles, weatherConditions.snow);
 }
 
+// Removed ground grid for floating island scene
+
+const CORE_BLOCK_PACK_URL = new URL('./blocks/core.json', import.meta.url);
+const BLOCK_PACK_STORAGE_KEY = 'voxel-sandbox-block-packs';
+
+// Every block type comes from JSON block packs: the core pack shipped with
+// the app, then any community packs the player has added.
+const blockRegistry = new BlockRegistry();
+blockRegistry.loadPack(await fetch(CORE_BLOCK_PACK_URL).then((response) => {
+  if (!response.ok) {
+    throw new Error(`Failed to load core block pack (${response.status})`);
+  }
+  return response.json();
+}));
+
+// Ids of the core blocks the terrain and tools refer to by name
+const Block = Object.freeze(Object.fromEntries(
+  blockRegistry.list().map((blockType) => [blockType.key.toUpperCase(), blockType.id]),
+));
+
 const VOXEL_SIZE = 1;
 const CHUNK_SIZE = 16;
 const CHUNK_HEIGHT = 12;
-const STORAGE_KEY = 'voxel-sandbox-sky-v4';
+// Chunk coordinate limits; keeps runaway building from allocating unbounded memory.
+const WORLD_LIMITS = { minX: -8, maxX: 7, minY: -2, maxY: 5, minZ: -8, maxZ: 7 };
+const STORAGE_KEY = 'voxel-sandbox-island';
+// Older saves, newest first; read once and migrated into STORAGE_KEY
+const LEGACY_STORAGE_KEYS = ['voxel-sandbox-sky-v5', 'voxel-sandbox-sky-v4'];
 const SAVE_DEBOUNCE_MS = 250;
-const chunk = new VoxelChunk(CHUNK_SIZE, CHUNK_HEIGHT, CHUNK_SIZE);
-const CHUNK_CAPACITY = chunk.cellCount();
-
-const BLOCK_TYPES = [
-  { id: Block.AIR, label: 'Air', placeable: false },
-  {
-    id: Block.GRASS,
-    label: 'Grass',
-    colors: { top: 0x83d86b, side: 0x4f8f3e, bottom: 0x3a2818 },
-    highlight: 0x9ce59b,
-    roughness: 0.9,
-    metalness: 0.02,
-    variation: 0.0,
-  },
-  {
-    id: Block.SAND,
-    label: 'Sand',
-    colors: { top: 0xf2e6b6, side: 0xe9d79c, bottom: 0xcabf8a },
-    highlight: 0xfff1c0,
-    roughness: 0.95,
-    metalness: 0.0,
-    variation: 0.05,
-  },
-  {
-    id: Block.STONE,
-    label: 'Stone',
-    colors: { top: 0x7a8794, side: 0x5e6973, bottom: 0x3f454b },
-    highlight: 0x93a2b1,
-    roughness: 0.82,
-    metalness: 0.02,
-    variation: 0.0,
-  },
-  {
-    id: Block.WATER,
-    label: 'Water',
-    colors: { top: 0x3aa0ff, side: 0x2c7dd6, bottom: 0x1d4e9c },
-    highlight: 0x6fc0ff,
-    roughness: 0.12,
-    metalness: 0.0,
-    castShadow: false,
-    variation: 0.03,
-  },
-  {
-    id: Block.WOOD,
-    label: 'Wood',
-    colors: { top: 0xb77745, side: 0x8f5a33, bottom: 0x5b371e },
-    highlight: 0xd08b58,
-    roughness: 0.8,
-    metalness: 0.02,
-    variation: 0.0,
-  },
-];
-
-const blockTypeById = new Map(BLOCK_TYPES.map((block) => [block.id, block]));
-const placeableBlocks = BLOCK_TYPES.filter((block) => block.placeable !== false && block.id !== Block.AIR);
+// Liquid flow is simulated on its own timer, a few steps per second
+const FLUID_TICK_MS = 200;
+// Rain and snow settle on their own timer; at full intensity each tick tries
+// this many random columns
+const WEATHER_SETTLE_MS = 1000;
+const WEATHER_SETTLE_ATTEMPTS = 4;
+// Loose blocks (sand) fall with this acceleration, in cells per second squared
+const FALL_ACCELERATION = 60;
+// Stagger between the blocks of a collapsing stack, in seconds
+const FALL_CHAIN_DELAY = 0.05;
+// How far a block falling out of the world is drawn before it vanishes
+const FALL_OUT_DISTANCE = 12;
+const MAX_FALLING_BLOCKS = 512;
+// Brightness per light level; each level down loses a fifth of the light
+const LIGHT_CURVE = Array.from(
+  { length: MAX_LIGHT + 1 },
+  (_, level) => Math.max(0.05, 0.8 ** (MAX_LIGHT - level)),
+);
+const world = new VoxelWorld(CHUNK_SIZE, CHUNK_HEIGHT, CHUNK_SIZE, WORLD_LIMITS);
+const CHUNK_CAPACITY = CHUNK_SIZE * CHUNK_HEIGHT * CHUNK_SIZE;
+
+const blockTypeById = blockRegistry.byId;
+const blockIdByKey = blockRegistry.idByKey;
+const addedBlockPacks = loadAddedBlockPacks();
+let placeableBlocks = blockRegistry.placeable();
 const defaultBlockId = Block.GRASS;
 let selectedBlockId = defaultBlockId;
 let lastBlockCount = 0;
-const undoStack = [];
-const redoStack = [];
+const editHistory = new EditHistory();
 let isRestoring = false;
+let islandCreatedAt = Date.now();
+// Generator parameters the island was created from (terrain.js), or null for
+// imported islands and saves older than the generator
+let islandTerrain = null;
+const fluidSimulation = new FluidSimulation(world, {
+  isLiquid: (blockId) => Boolean(blockTypeById.get(blockId)?.liquid),
+});
+// Loose blocks in mid-fall: { move, distance, delay, elapsed }
+const fallingBlocks = [];
+const lighting = new VoxelLighting(world, {
+  opacity: blockLightOpacity,
+  emission: (blockId) => blockTypeById.get(blockId)?.light ?? 0,
+});
 
-const blockGeometryCache = new Map();
-const blockMaterialCache = new Map();
-
-function applyBlockVertexColors(geometry, blockType) {
-  const colors = [];
-  const normal = geometry.attributes.normal;
-  const topColor = new THREE.Color(blockType.colors?.top ?? blockType.color ?? 0xffffff);
-  const sideColor = new THREE.Color(blockType.colors?.side ?? blockType.color ?? 0xffffff);
-  const bottomColor = new THREE.Color(blockType.colors?.bottom ?? blockType.color ?? 0xffffff);
-  const normalVector = new THREE.Vector3();
-
-  for (let i = 0; i < normal.count; i += 1) {
-    normalVector.fromBufferAttribute(normal, i);
-    let color;
-    if (normalVector.y > 0.99) {
-      color = topColor;
-    } else if (normalVector.y < -0.99) {
-      color = bottomColor;
-    } else {
-      color = sideColor;
+// One cube shared by every instanced block; the atlas tile carries the face
+// colour and the instance colour carries the per-cell variation tint
+function setWhiteVertexColors(geometry) {
+  geometry.setAttribute(
+    'color',
+    new THREE.Float32BufferAttribute(new Float32Array(geometry.attributes.position.count * 3).fill(1), 3),
+  );
+  return geometry;
+}
+
+const blockGeometry = setWhiteVertexColors(new THREE.BoxGeometry(VOXEL_SIZE, VOXEL_SIZE, VOXEL_SIZE));
+
+// Partial block shapes as boxes in the cell's local frame (-0.5 .. 0.5).
+// Stairs climb towards +Z; their state's facing turns them. Layers are the
+// thin covering settled snow leaves.
+const SHAPE_BOXES = {
+  slab: [[[-0.5, -0.5, -0.5], [0.5, 0, 0.5]]],
+  layer: [[[-0.5, -0.5, -0.5], [0.5, -0.375, 0.5]]],
+  stairs: [
+    [[-0.5, -0.5, -0.5], [0.5, 0, 0.5]],
+    [[-0.5, 0, 0], [0.5, 0.5, 0.5]],
+  ],
+};
+
+// UVs come from positions so a partial face shows the matching part of the
+// tile, with side faces anchored to the top row of the tile
+function createShapeGeometry(boxes) {
+  const parts = boxes.map(([min, max]) => {
+    const part = new THREE.BoxGeometry(
+      (max[0] - min[0]) * VOXEL_SIZE,
+      (max[1] - min[1]) * VOXEL_SIZE,
+      (max[2] - min[2]) * VOXEL_SIZE,
+    );
+    part.translate(
+      ((min[0] + max[0]) / 2) * VOXEL_SIZE,
+      ((min[1] + max[1]) / 2) * VOXEL_SIZE,
+      ((min[2] + max[2]) / 2) * VOXEL_SIZE,
+    );
+    const { position, normal, uv } = part.attributes;
+    for (let i = 0; i < position.count; i += 1) {
+      const x = position.getX(i) / VOXEL_SIZE + 0.5;
+      const y = position.getY(i) / VOXEL_SIZE - max[1] + 1;
+      const z = position.getZ(i) / VOXEL_SIZE + 0.5;
+      if (Math.abs(normal.getY(i)) > 0.5) {
+        uv.setXY(i, x, z);
+      } else if (Math.abs(normal.getX(i)) > 0.5) {
+        uv.setXY(i, z, y);
+      } else {
+        uv.setXY(i, x, y);
+      }
+    }
+    return part;
+  });
+  return setWhiteVertexColors(parts.length === 1 ? parts[0] : mergeGeometries(parts));
+}
+
+const shapeGeometries = {
+  cube: blockGeometry,
+  slab: createShapeGeometry(SHAPE_BOXES.slab),
+  stairs: createShapeGeometry(SHAPE_BOXES.stairs),
+  layer: createShapeGeometry(SHAPE_BOXES.layer),
+};
+
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+const HORIZONTAL_FACING_ANGLES = {
+  [Facing.POS_Z]: 0,
+  [Facing.POS_X]: Math.PI / 2,
+  [Facing.NEG_Z]: Math.PI,
+  [Facing.NEG_X]: -Math.PI / 2,
+};
+const LOG_AXIS_ROTATIONS = {
+  [Facing.POS_X]: new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), -Math.PI / 2),
+  [Facing.NEG_X]: new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), -Math.PI / 2),
+  [Facing.POS_Z]: new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI / 2),
+  [Facing.NEG_Z]: new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI / 2),
+};
+const UPSIDE_DOWN = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), Math.PI);
+
+// Orientation of a block instance for its state
+function setStateQuaternion(target, info, state) {
+  target.identity();
+  const facing = stateFacing(state);
+  if (info.shape === 'stairs' || info.rotation === 'horizontal') {
+    target.setFromAxisAngle(Y_AXIS, HORIZONTAL_FACING_ANGLES[facing] ?? 0);
+    if (info.shape === 'stairs' && stateIsUpper(state)) {
+      target.multiply(UPSIDE_DOWN);
     }
-    colors.push(color.r, color.g, color.b);
+  } else if (info.rotation === 'axis' && LOG_AXIS_ROTATIONS[facing]) {
+    target.copy(LOG_AXIS_ROTATIONS[facing]);
   }
+  return target;
+}
 
-  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+// Every block face samples one texture atlas through a couple of shared
+// materials, so adding block types adds neither materials nor draw calls.
+const blockAtlas = new TextureAtlas(32, 32);
+const imageLoader = new THREE.ImageLoader();
+
+// Blocks are split into a few render layers by how they are drawn. Liquids
+// always go through the face-culled water pass, drawn after everything else,
+// so neighbouring water cells never show their shared faces.
+const RenderLayer = {
+  OPAQUE: 'opaque',
+  UNSHADOWED: 'unshadowed',
+  TRANSLUCENT: 'translucent',
+  WATER: 'water',
+};
+const RENDER_LAYERS = [
+  { key: RenderLayer.OPAQUE, transparent: false, castShadow: true },
+  { key: RenderLayer.UNSHADOWED, transparent: false, castShadow: false },
+  { key: RenderLayer.TRANSLUCENT, transparent: true, castShadow: false },
+  { key: RenderLayer.WATER, transparent: true, castShadow: false, meshed: true, renderOrder: 1 },
+];
+const RENDER_LAYER_BY_KEY = Object.fromEntries(RENDER_LAYERS.map((layer) => [layer.key, layer]));
+
+function solidTile(hex) {
+  const rgb = [(hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff];
+  return (size) => {
+    const data = new Uint8ClampedArray(size * size * 4);
+    for (let i = 0; i < data.length; i += 4) {
+      data[i + 0] = rgb[0];
+      data[i + 1] = rgb[1];
+      data[i + 2] = rgb[2];
+      data[i + 3] = 255;
+    }
+    return data;
+  };
 }
 
-function getBlockGeometry(blockType) {
-  if (blockGeometryCache.has(blockType.id)) {
-    return blockGeometryCache.get(blockType.id);
+function getImageTile(url, placeholderHex) {
+  const key = `image:${url}`;
+  const isNew = !blockAtlas.tileIndexByKey.has(key);
+  const index = blockAtlas.tile(key, solidTile(placeholderHex));
+  if (isNew) {
+    imageLoader.load(url, (image) => blockAtlas.drawImage(index, image), undefined, (error) => {
+      console.warn(`[voxel] failed to load block texture "${url}":`, error);
+    });
   }
-  const geometry = new THREE.BoxGeometry(VOXEL_SIZE, VOXEL_SIZE, VOXEL_SIZE);
-  applyBlockVertexColors(geometry, blockType);
-  blockGeometryCache.set(blockType.id, geometry);
-  return geometry;
+  return index;
 }
 
-function getBlockMaterial(blockType) {
-  if (blockMaterialCache.has(blockType.id)) {
-    return blockMaterialCache.get(blockType.id);
+// Atlas tile for one face: a pack image, a named procedural tile, or a flat
+// tile in the block's face colour
+function getFaceTile(blockType, face) {
+  const texture = blockType.texture ?? {};
+  const faceColor = blockType.colors?.[face] ?? 0xffffff;
+  const image = typeof texture.image === 'string' ? texture.image : texture.image?.[face];
+  if (image) {
+    return getImageTile(image, faceColor);
   }
-  const material = new THREE.MeshStandardMaterial({
-    vertexColors: true,
-    roughness: blockType.roughness ?? 0.75,
-    metalness: blockType.metalness ?? 0.1,
-    transparent: Boolean(blockType.transparent),
-    opacity: blockType.transparent ? blockType.opacity ?? 0.85 : 1,
-    emissive: new THREE.Color(blockType.emissive ?? 0x000000),
-    emissiveIntensity: blockType.emissiveIntensity ?? 0,
-  });
+  if (texture.generator) {
+    const painterName = TEXTURE_SETS[texture.generator]?.[face];
+    if (painterName) {
+      return blockAtlas.tile(`paint:${painterName}`, TILE_PAINTERS[painterName]);
+    }
+    console.warn(`[voxel] unknown texture generator "${texture.generator}" for block "${blockType.key}"`);
+  }
+  return blockAtlas.tile(`color:${faceColor.toString(16)}`, solidTile(faceColor));
+}
 
-  // Grass: pixel texture like Minecraft style
-  if (blockType.id === Block.GRASS) {
-    const tex = getGrassPixelTexture();
-    material.map = tex;
-    material.vertexColors = false; // rely on texture colors for a clean pixel look
-    material.roughness = blockType.roughness ?? 0.9;
-    material.metalness = blockType.metalness ?? 0.02;
-    material.needsUpdate = true;
-  }
-
-  // Stone: use a crisp pixel texture (Minecraft-like), no vertex colors tint
-  if (blockType.id === Block.STONE) {
-    const tex = getStonePixelTexture();
-    material.map = tex;
-    material.vertexColors = false;
-    material.needsUpdate = true;
-    // optional: slight roughness variation via shader for subtle depth
-    // enhanceStoneMaterial(material, blockType);
-  }
-  // Sand: fine speckled pixel texture
-  if (blockType.id === Block.SAND) {
-    const tex = getSandPixelTexture();
-    material.map = tex;
-    material.vertexColors = false;
-    material.roughness = blockType.roughness ?? 0.95;
-    material.metalness = blockType.metalness ?? 0.0;
-    material.needsUpdate = true;
-  }
-  // Wood: vertical bark-like pixel texture
-  if (blockType.id === Block.WOOD) {
-    const tex = getWoodPixelTexture();
-    material.map = tex;
-    material.vertexColors = false;
-    material.roughness = blockType.roughness ?? 0.8;
-    material.metalness = blockType.metalness ?? 0.02;
-    material.needsUpdate = true;
-  }
-  blockMaterialCache.set(blockType.id, material);
-  return material;
+// Per block: render layer, atlas tiles (top, side, bottom) and surface
+// parameters (roughness, metalness, emissive strength, opacity)
+const blockRenderInfoCache = new Map();
+
+function getBlockRenderInfo(blockId) {
+  if (blockRenderInfoCache.has(blockId)) {
+    return blockRenderInfoCache.get(blockId);
+  }
+  const blockType = blockTypeById.get(blockId);
+  let info = null;
+  if (blockType && blockType.id !== Block.AIR) {
+    let layer = RenderLayer.OPAQUE;
+    if (blockType.liquid) {
+      layer = RenderLayer.WATER;
+    } else if (blockType.transparent) {
+      layer = RenderLayer.TRANSLUCENT;
+    } else if (blockType.castShadow === false) {
+      layer = RenderLayer.UNSHADOWED;
+    }
+    info = {
+      layer,
+      shape: !blockType.liquid && SHAPE_BOXES[blockType.shape] ? blockType.shape : 'cube',
+      rotation: blockType.rotation ?? null,
+      tiles: [getFaceTile(blockType, 'top'), getFaceTile(blockType, 'side'), getFaceTile(blockType, 'bottom')],
+      surface: [
+        blockType.roughness ?? 0.75,
+        blockType.metalness ?? 0.1,
+        blockType.emissive !== undefined ? blockType.emissiveIntensity ?? 1 : 0,
+        blockType.transparent ? blockType.opacity ?? 0.85 : 1,
+      ],
+    };
+  }
+  blockRenderInfoCache.set(blockId, info);
+  return info;
 }
 
-let stoneTextureCache = null;
-function getStonePixelTexture(size = 32) {
-  if (stoneTextureCache) return stoneTextureCache;
-  const canvas = document.createElement('canvas');
-  canvas.width = size;
-  canvas.height = size;
-  const ctx = canvas.getContext('2d');
-  const imageData = ctx.createImageData(size, size);
-  const data = imageData.data;
-  const palette = [
-    [200, 200, 200], // light
-    [170, 170, 170],
-    [140, 140, 140],
-    [115, 115, 115], // dark
-  ];
-
-  function rng(x, y) {
-    // deterministic hash noise
-    const s = Math.sin(x * 127.1 + y * 311.7) * 43758.5453;
-    return s - Math.floor(s);
-  }
-
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      // blocky pattern: quantize into 4x4 macro tiles
-      const qx = Math.floor(x / 4);
-      const qy = Math.floor(y / 4);
-      const n = rng(qx + 0.5 * qy, qy + 0.7 * qx);
-      let idx = Math.floor(n * palette.length) % palette.length;
-
-      // add subtle streaks
-      const st = rng(x * 0.2, y * 1.7);
-      if (st > 0.82) idx = Math.min(idx + 1, palette.length - 1);
-
-      const off = (y * size + x) * 4;
-      const col = palette[idx];
-      data[off + 0] = col[0];
-      data[off + 1] = col[1];
-      data[off + 2] = col[2];
-      data[off + 3] = 255;
-    }
-  }
-  ctx.putImageData(imageData, 0, 0);
-
-  const tex = new THREE.CanvasTexture(canvas);
-  if ('colorSpace' in tex) tex.colorSpace = THREE.SRGBColorSpace;
-  else if ('encoding' in tex) tex.encoding = THREE.sRGBEncoding;
-  tex.magFilter = THREE.NearestFilter;
-  tex.minFilter = THREE.NearestFilter;
-  tex.generateMipmaps = false;
-  stoneTextureCache = tex;
-  return tex;
-}
-
-let grassTextureCache = null;
-function getGrassPixelTexture(size = 32) {
-  if (grassTextureCache) return grassTextureCache;
-  const canvas = document.createElement('canvas');
-  canvas.width = size;
-  canvas.height = size;
-  const ctx = canvas.getContext('2d');
-  const imageData = ctx.createImageData(size, size);
-  const data = imageData.data;
-
-  // greens from light to dark
-  const palette = [
-    [146, 216, 125],
-    [126, 196, 110],
-    [108, 176, 96],
-    [92, 156, 84],
-    [76, 136, 72],
-  ];
-
-  function rng(x, y) {
-    const s = Math.sin(x * 97.1 + y * 213.7) * 43758.5453;
-    return s - Math.floor(s);
-  }
-
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      // combine fine and coarse noise to form patches
-      const c = Math.floor(x / 4) + Math.floor(y / 4) * 13;
-      const n1 = rng(x * 0.9, y * 0.9);
-      const n2 = rng(c, c * 1.37);
-      let t = n1 * 0.6 + n2 * 0.4;
-      let idx = Math.floor(t * palette.length);
-
-      // sparse brighter specks to mimic blades
-      const s1 = rng(x * 1.7 + 7.0, y * 1.3 + 3.0);
-      if (s1 > 0.96) idx = Math.max(0, idx - 1);
-
-      idx = Math.max(0, Math.min(palette.length - 1, idx));
-      const off = (y * size + x) * 4;
-      const col = palette[idx];
-      data[off + 0] = col[0];
-      data[off + 1] = col[1];
-      data[off + 2] = col[2];
-      data[off + 3] = 255;
-    }
-  }
-  ctx.putImageData(imageData, 0, 0);
-  const tex = new THREE.CanvasTexture(canvas);
-  if ('colorSpace' in tex) tex.colorSpace = THREE.SRGBColorSpace;
-  else if ('encoding' in tex) tex.encoding = THREE.sRGBEncoding;
-  tex.magFilter = THREE.NearestFilter;
-  tex.minFilter = THREE.NearestFilter;
-  tex.generateMipmaps = false;
-  grassTextureCache = tex;
-  return tex;
-}
-
-let sandTextureCache = null;
-function getSandPixelTexture(size = 32) {
-  if (sandTextureCache) return sandTextureCache;
-  const canvas = document.createElement('canvas');
-  canvas.width = size;
-  canvas.height = size;
-  const ctx = canvas.getContext('2d');
-  const imageData = ctx.createImageData(size, size);
-  const data = imageData.data;
-
-  const palette = [
-    [242, 230, 182], // light
-    [233, 215, 156],
-    [214, 196, 143],
-    [202, 191, 138],
-  ];
-
-  function rng(x, y) {
-    const s = Math.sin(x * 91.7 + y * 151.3) * 43758.5453;
-    return s - Math.floor(s);
-  }
-
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      // fine speckles with slight clustering
-      const n1 = rng(x * 0.8, y * 0.8);
-      const n2 = rng(Math.floor(x / 2), Math.floor(y / 2));
-      let idx = Math.floor((n1 * 0.7 + n2 * 0.3) * palette.length);
-      idx = Math.max(0, Math.min(palette.length - 1, idx));
-
-      const off = (y * size + x) * 4;
-      const col = palette[idx];
-      data[off + 0] = col[0];
-      data[off + 1] = col[1];
-      data[off + 2] = col[2];
-      data[off + 3] = 255;
-    }
-  }
-  ctx.putImageData(imageData, 0, 0);
-  const tex = new THREE.CanvasTexture(canvas);
-  if ('colorSpace' in tex) tex.colorSpace = THREE.SRGBColorSpace;
-  else if ('encoding' in tex) tex.encoding = THREE.sRGBEncoding;
-  tex.magFilter = THREE.NearestFilter;
-  tex.minFilter = THREE.NearestFilter;
-  tex.generateMipmaps = false;
-  sandTextureCache = tex;
-  return tex;
-}
-
-let woodTextureCache = null;
-function getWoodPixelTexture(size = 32) {
-  if (woodTextureCache) return woodTextureCache;
-  const canvas = document.createElement('canvas');
-  canvas.width = size;
-  canvas.height = size;
-  const ctx = canvas.getContext('2d');
-  const imageData = ctx.createImageData(size, size);
-  const data = imageData.data;
-
-  const palette = [
-    [91, 55, 30],   // deep
-    [115, 72, 40],
-    [139, 90, 50],
-    [176, 119, 69], // light
-  ];
-
-  function rng(x, y) {
-    const s = Math.sin(x * 123.7 + y * 45.1) * 43758.5453;
-    return s - Math.floor(s);
-  }
-
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      // vertical banding with jitter
-      const band = Math.floor(x / 3);
-      let n = rng(band, y * 0.6);
-      let idx = Math.floor(n * palette.length);
-
-      // occasional darker streaks
-      const streak = rng(x * 0.35, y * 1.5);
-      if (streak > 0.82) idx = Math.max(0, idx - 1);
-
-      // small knot clusters
-      const k = rng(Math.floor(x / 6), Math.floor(y / 6));
-      if (k > 0.88) idx = Math.max(0, idx - 1);
-
-      idx = Math.max(0, Math.min(palette.length - 1, idx));
-      const off = (y * size + x) * 4;
-      const col = palette[idx];
-      data[off + 0] = col[0];
-      data[off + 1] = col[1];
-      data[off + 2] = col[2];
-      data[off + 3] = 255;
-    }
-  }
-  ctx.putImageData(imageData, 0, 0);
-  const tex = new THREE.CanvasTexture(canvas);
-  if ('colorSpace' in tex) tex.colorSpace = THREE.SRGBColorSpace;
-  else if ('encoding' in tex) tex.encoding = THREE.sRGBEncoding;
-  tex.magFilter = THREE.NearestFilter;
-  tex.minFilter = THREE.NearestFilter;
-  tex.generateMipmaps = false;
-  woodTextureCache = tex;
-  return tex;
-}
-
-function enhanceStoneMaterial(material, blockType) {
-  const noiseScale = 3.0;
-  const noiseStrength = 0.18;
-  const edgeDarken = 0.22;
+// Clock uniform shared by the water surface animation, advanced in animate()
+const waterTime = { value: 0 };
+
+// Wave normal and sun glints for water top faces, in world space
+const WATER_SURFACE_GLSL = `
+  uniform float waterTime;
+  varying vec3 vWaterPos;
+  varying float vWaterTop;
+
+  vec3 waterWaveNormal(vec2 p, float t) {
+    vec2 slope = vec2(
+      cos(p.x * 1.7 + t * 1.3) + 0.6 * cos((p.x + p.y) * 2.9 - t * 1.9),
+      cos(p.y * 1.9 - t * 1.1) + 0.6 * cos((p.x - p.y) * 2.3 + t * 1.7)
+    );
+    return normalize(vec3(-slope.x * 0.08, 1.0, -slope.y * 0.08));
+  }
 
+  float waterShimmer(vec2 p, float t) {
+    float a = sin(p.x * 3.1 + t * 2.0) * sin(p.y * 2.7 - t * 1.6);
+    float b = sin((p.x - p.y) * 4.3 - t * 2.6);
+    return pow(max(0.0, a), 6.0) * 0.6 + pow(max(0.0, b), 12.0) * 0.4;
+  }
+`;
+
+// Standard material that picks its atlas tile per face. Instanced cubes read
+// the tile of the face's direction from per-instance attributes; meshed
+// chunks carry the tile per vertex. UVs are wrapped inside the tile so greedy
+// quads spanning several cells still repeat the texture once per cell.
+// The water variant also ripples and glints on its top faces.
+function createAtlasMaterial({ transparent = false, water = false } = {}) {
+  const material = new THREE.MeshStandardMaterial({
+    map: blockAtlas.texture,
+    vertexColors: true,
+    transparent,
+    depthWrite: !water,
+  });
+  if (water) {
+    material.defines = { WATER_SURFACE: '' };
+  }
   material.onBeforeCompile = (shader) => {
-    shader.uniforms.uNoiseScale = { value: noiseScale };
-    shader.uniforms.uNoiseStrength = { value: noiseStrength };
-    shader.uniforms.uEdgeDarken = { value: edgeDarken };
+    shader.uniforms.atlasColumns = { value: blockAtlas.columns };
+    shader.uniforms.atlasInset = { value: 0.5 / blockAtlas.tileSize };
+    shader.uniforms.waterTime = waterTime;
 
-    // Pass local and world positions to fragment stage
     shader.vertexShader = `
-      varying vec3 vLocalPos;
-      varying vec3 vWorldPos;
-    ` + shader.vertexShader;
-
-    shader.vertexShader = shader.vertexShader.replace(
-      'gl_Position = projectionMatrix * mvPosition;',
-      `vLocalPos = position;
-       vWorldPos = (modelMatrix * vec4( transformed, 1.0 )).xyz;
-       gl_Position = projectionMatrix * mvPosition;`
-    );
+      #ifdef USE_INSTANCING
+        attribute vec3 instanceTiles;
+        attribute vec4 instanceSurface;
+      #else
+        attribute float atlasTile;
+        attribute vec4 blockSurface;
+      #endif
+      #ifdef WATER_SURFACE
+        varying vec3 vWaterPos;
+        varying float vWaterTop;
+      #endif
+      uniform float atlasColumns;
+      varying vec2 vAtlasTile;
+      varying vec2 vAtlasUv;
+      varying vec4 vBlockSurface;
+    ` + shader.vertexShader
+      .replace(
+        '#include <uv_vertex>',
+        `#include <uv_vertex>
+        #ifdef USE_INSTANCING
+          float tileIndex = normal.y > 0.5 ? instanceTiles.x : (normal.y < -0.5 ? instanceTiles.z : instanceTiles.y);
+          vBlockSurface = instanceSurface;
+        #else
+          float tileIndex = atlasTile;
+          vBlockSurface = blockSurface;
+        #endif
+        vAtlasTile = vec2(mod(tileIndex, atlasColumns), floor(tileIndex / atlasColumns));
+        vAtlasUv = uv;`,
+      )
+      .replace(
+        '#include <project_vertex>',
+        `#include <project_vertex>
+        #ifdef WATER_SURFACE
+          vWaterPos = (modelMatrix * vec4(transformed, 1.0)).xyz;
+          vWaterTop = step(0.5, normal.y);
+        #endif`,
+      );
 
-    // Inject simple hash noise + rocky tint and edge darkening
     shader.fragmentShader = `
-      varying vec3 vLocalPos;
-      varying vec3 vWorldPos;
-      uniform float uNoiseScale;
-      uniform float uNoiseStrength;
-      uniform float uEdgeDarken;
-
-      // cheap hash noise
-      float hash31(vec3 p){
-        p = fract(p * 0.3183099 + vec3(0.1,0.2,0.3));
-        p *= 17.0;
-        return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
-      }
+      uniform float atlasColumns;
+      uniform float atlasInset;
+      varying vec2 vAtlasTile;
+      varying vec2 vAtlasUv;
+      varying vec4 vBlockSurface;
+      #ifdef WATER_SURFACE
+        ${WATER_SURFACE_GLSL}
+      #endif
+    ` + shader.fragmentShader
+      .replace(
+        '#include <map_fragment>',
+        `vec2 atlasCell = clamp(fract(vAtlasUv), atlasInset, 1.0 - atlasInset);
+        vec2 atlasUv = vec2(vAtlasTile.x + atlasCell.x, atlasColumns - 1.0 - vAtlasTile.y + atlasCell.y) / atlasColumns;
+        diffuseColor *= texture2D(map, atlasUv);
+        diffuseColor.a *= vBlockSurface.w;`,
+      )
+      .replace('#include <roughnessmap_fragment>', 'float roughnessFactor = vBlockSurface.x;')
+      .replace('#include <metalnessmap_fragment>', 'float metalnessFactor = vBlockSurface.y;')
+      .replace(
+        '#include <normal_fragment_maps>',
+        `#include <normal_fragment_maps>
+        #ifdef WATER_SURFACE
+          if (vWaterTop > 0.5) {
+            vec3 waveNormal = waterWaveNormal(vWaterPos.xz, waterTime);
+            normal = normalize((viewMatrix * vec4(waveNormal, 0.0)).xyz);
+          }
+        #endif`,
+      )
+      .replace(
+        '#include <emissivemap_fragment>',
+        `#include <emissivemap_fragment>
+        totalEmissiveRadiance += diffuseColor.rgb * vBlockSurface.z;
+        #ifdef WATER_SURFACE
+          totalEmissiveRadiance += vec3(0.75, 0.9, 1.0) * waterShimmer(vWaterPos.xz, waterTime) * 0.35 * vWaterTop;
+        #endif`,
+      );
+  };
+  return material;
+}
 
-      // distance to edges of a unit cube (approx)
-      float edgeMask(vec3 lp){
-        vec3 a = abs(lp) * 2.0; // 0..1
-        float e1 = min(a.x, a.y);
-        float e2 = min(a.y, a.z);
-        float e3 = min(a.z, a.x);
-        float e = max(e1, max(e2, e3));
-        return smoothstep(0.75, 1.0, e);
-      }
-    ` + shader.fragmentShader;
-
-    shader.fragmentShader = shader.fragmentShader.replace(
-      'vec4 diffuseColor = vec4( diffuse, opacity );',
-      `vec4 diffuseColor = vec4( diffuse, opacity );
-       // rocky speckles using world-space noise
-       float n = hash31(vWorldPos * uNoiseScale);
-       float tint = 1.0 + (n - 0.5) * (uNoiseStrength * 2.0);
-       diffuseColor.rgb *= tint;
-       // darken near edges and corners for more depth
-       float e = edgeMask(vLocalPos);
-       diffuseColor.rgb *= 1.0 - e * uEdgeDarken;`
-    );
+const atlasMaterials = {
+  opaque: createAtlasMaterial(),
+  translucent: createAtlasMaterial({ transparent: true }),
+  water: createAtlasMaterial({ transparent: true, water: true }),
+};
 
-    // roughness modulation for more micro-variation
-    shader.fragmentShader = shader.fragmentShader.replace(
-      '#include <roughnessmap_fragment>',
-      `#include <roughnessmap_fragment>
-       float rn = hash31(vWorldPos * (uNoiseScale*0.7));
-       roughnessFactor = clamp(roughnessFactor + (rn - 0.5) * 0.15, 0.05, 1.0);`
-    );
-  };
+function getLayerMaterial(layer) {
+  if (layer.key === RenderLayer.WATER) {
+    return atlasMaterials.water;
+  }
+  return layer.transparent ? atlasMaterials.translucent : atlasMaterials.opaque;
 }
 
 function randomVariation(x, y, z) {
@@ -660,6 +1037,9 @@ function updateStats(totalBlocks = lastBlockCount) {
   if (selectedBlockLabelElement && blockType) {
     selectedBlockLabelElement.textContent = blockType.label;
   }
+  if (walkBlockLabelElement && blockType) {
+    walkBlockLabelElement.textContent = blockType.label;
+  }
 }
 
 function setSaveStatus(text) {
@@ -693,201 +1073,258 @@ function setSelectedBlock(blockId) {
   updateStats();
 }
 
-function setupBlockPalette() {
-  blockButtons.forEach((button) => {
-    button.addEventListener('click', () => {
-      const blockId = Number(button.dataset.block);
-      setSelectedBlock(blockId);
-    });
+function renderBlockPalette() {
+  if (!blockGrid) {
+    return;
+  }
+  blockButtons = placeableBlocks.map((blockType) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'block-btn';
+    button.dataset.block = String(blockType.id);
+    const swatch = document.createElement('span');
+    swatch.className = 'swatch';
+    swatch.style.backgroundColor = `#${blockType.swatch.toString(16).padStart(6, '0')}`;
+    const label = document.createElement('span');
+    label.textContent = blockType.label;
+    button.append(swatch, label);
+    button.addEventListener('click', () => setSelectedBlock(blockType.id));
+    return button;
   });
+  blockGrid.replaceChildren(...blockButtons);
   updateSelectedBlockUI();
 }
 
-function updateHistoryButtons() {
-  if (undoButton) {
-    undoButton.disabled = undoStack.length === 0;
+function setupBlockPalette() {
+  renderBlockPalette();
+  if (addBlockPackButton && blockPackInput) {
+    addBlockPackButton.addEventListener('click', () => blockPackInput.click());
+    blockPackInput.addEventListener('change', handleBlockPackSelected);
   }
-  if (redoButton) {
-    redoButton.disabled = redoStack.length === 0;
+}
+
+// Community packs are kept as their original JSON and re-registered on load
+function loadAddedBlockPacks() {
+  let stored = [];
+  try {
+    stored = JSON.parse(window.localStorage.getItem(BLOCK_PACK_STORAGE_KEY) ?? '[]');
+  } catch (error) {
+    console.warn('[voxel] failed to read block packs:', error);
   }
+  if (!Array.isArray(stored)) {
+    return [];
+  }
+  return stored.filter((pack) => {
+    try {
+      blockRegistry.loadPack(pack);
+      return true;
+    } catch (error) {
+      console.warn('[voxel] skipped block pack:', error);
+      return false;
+    }
+  });
 }
 
-function clearHistory() {
-  undoStack.length = 0;
-  redoStack.length = 0;
-  updateHistoryButtons();
+function addBlockPack(pack) {
+  const added = blockRegistry.loadPack(pack);
+  addedBlockPacks.push(pack);
+  try {
+    window.localStorage.setItem(BLOCK_PACK_STORAGE_KEY, JSON.stringify(addedBlockPacks));
+  } catch (error) {
+    console.warn('[voxel] failed to store block packs:', error);
+  }
+  placeableBlocks = blockRegistry.placeable();
+  renderBlockPalette();
+  return added;
 }
 
-function invertAction(action) {
-  if (!action) {
-    return null;
+function handleBlockPackSelected() {
+  const file = blockPackInput?.files?.[0];
+  if (!file) {
+    return;
   }
-  if (action.type === 'place') {
-    return { type: 'remove', blockId: action.blockId, cell: cloneCell(action.cell) };
+  file.text()
+    .then((text) => {
+      const added = addBlockPack(JSON.parse(text));
+      setSaveStatus(`Added ${added.length} blocks`);
+    })
+    .catch((error) => {
+      console.warn('[voxel] failed to add block pack:', error);
+      setSaveStatus('Block pack failed');
+    })
+    .finally(() => {
+      blockPackInput.value = '';
+    });
+}
+
+function updateHistoryButtons() {
+  if (undoButton) {
+    undoButton.disabled = !editHistory.canUndo();
   }
-  if (action.type === 'remove') {
-    return { type: 'place', blockId: action.blockId, cell: cloneCell(action.cell) };
+  if (redoButton) {
+    redoButton.disabled = !editHistory.canRedo();
   }
-  return null;
 }
 
-function applyAction(action) {
-  if (!action || !action.cell) {
-    return false;
-  }
+function clearHistory() {
+  editHistory.clear();
+  fallingBlocks.length = 0;
+  updateHistoryButtons();
+}
 
-  const { cell } = action;
-  if (!chunk.inBounds(cell.x, cell.y, cell.z)) {
+// Writes an undo or redo step through the app: settles falling blocks
+// first, wakes the liquids around the changed cells and reports them to
+// scripts
+function applyAction(action) {
+  if (isEmptyAction(action)) {
     return false;
   }
 
-  let value = Block.AIR;
-  if (action.type === 'place') {
-    value = action.blockId ?? Block.AIR;
-  }
-
+  landFallingBlocks();
   isRestoring = true;
   try {
-    chunk.setBlock(cell.x, cell.y, cell.z, value);
+    applyTransaction(world, action);
+    action.changes.forEach(({ cell }) => {
+      fluidSimulation.activate(cell.x, cell.y, cell.z);
+    });
     refreshChunkInstances();
     scheduleSave();
   } finally {
     isRestoring = false;
   }
+  // After restoring, so edits made by listeners are recorded as usual
+  action.changes.forEach(({ cell, from, to }) => {
+    if (from === to) {
+      return;
+    }
+    const removed = cellValueBlock(to) === Block.AIR;
+    emitEditEvent(removed ? 'blockRemoved' : 'blockPlaced', cell, removed ? from : to, 'history');
+  });
   return true;
 }
 
 function pushAction(action) {
-  if (!action) {
-    return;
-  }
-  const stored = {
-    ...action,
-    cell: cloneCell(action.cell),
-  };
-  undoStack.push(stored);
-  redoStack.length = 0;
+  editHistory.push(action);
   updateHistoryButtons();
 }
 
-function undo() {
-  if (undoStack.length === 0) {
-    return;
+// Writes a batch of { cell, to } edits, where `to` is a block id or a packed
+// cell value carrying block state, refreshing and saving once, and
+// records the cells that actually changed as a single undo step, together
+// with any loose blocks the edit sets falling.
+// Returns the recorded transaction, or null when nothing changed.
+function commitCellChanges(edits, label = 'edit') {
+  landFallingBlocks();
+  const changes = writeCellChanges(world, edits);
+  changes.forEach(({ cell }) => {
+    fluidSimulation.activate(cell.x, cell.y, cell.z);
+  });
+  if (changes.length === 0) {
+    return null;
   }
-  const action = undoStack.pop();
-  const inverse = invertAction(action);
-  if (inverse && applyAction(inverse)) {
-    redoStack.push({
-      ...action,
-      cell: cloneCell(action.cell),
-    });
+  if (!isRestoring) {
+    changes.push(...settleLooseBlocks(changes.map((change) => change.cell)));
+  }
+  refreshChunkInstances();
+  scheduleSave();
+  const transaction = createTransaction(changes, label);
+  if (!isRestoring) {
+    pushAction(transaction);
+  }
+  return transaction;
+}
+
+// A stroke still being drawn is ended first, so its edits are squashed into
+// one step before the history moves
+function endStroke() {
+  if (pointerState.stroke) {
+    clearPointerState();
   }
+}
+
+function undo() {
+  endStroke();
+  editHistory.undo(applyAction);
   updateHistoryButtons();
 }
 
 function redo() {
-  if (redoStack.length === 0) {
-    return;
-  }
-  const action = redoStack.pop();
-  if (applyAction(action)) {
-    undoStack.push({
-      ...action,
-      cell: cloneCell(action.cell),
-    });
-  }
+  endStroke();
+  editHistory.redo(applyAction);
   updateHistoryButtons();
 }
 
-function resetChunkState() {
-  chunk.data.fill(Block.AIR);
-  fillDefaultTerrain();
-  refreshChunkInstances();
-  clearHistory();
+// Replaces the current island with a freshly generated one
+function resetChunkState(terrain) {
+  world.clear();
+  islandCreatedAt = Date.now();
+  fillDefaultTerrain(terrain);
+  applyLoadedIsland();
   flushSave();
 }
 
-function fillDefaultTerrain() {
-  // Inverted island: flat buildable top, rich/varied underside
-  const cx = Math.floor(CHUNK_SIZE / 2);
-  const cz = Math.floor(CHUNK_SIZE / 2);
-  const plateauY = 5; // flat top surface height
-  const rMax = CHUNK_SIZE * 0.48;
-  const maxThickness = Math.floor(CHUNK_HEIGHT * 0.8);
-
-  for (let x = 0; x < CHUNK_SIZE; x += 1) {
-    for (let z = 0; z < CHUNK_SIZE; z += 1) {
-      const dx = x - cx;
-      const dz = z - cz;
-      const r = Math.sqrt(dx * dx + dz * dz);
-      if (r > rMax) continue; // outside island radius
-
-      // Top strictly flat; near edge chance of sand
-      const topY = Math.min(CHUNK_HEIGHT - 1, plateauY);
-      const edgeFactor = 1 - (r / rMax);
-      const nearEdge = edgeFactor < 0.35;
-      const sandChance = nearEdge ? 0.25 : 0.05;
-      const useSand = randomVariation(x, 7, z) < sandChance;
-      const topId = useSand ? Block.SAND : Block.GRASS;
-
-      // Thickness grows toward center (inverted cone), with stronger noise toward bottom
-      const shape = Math.pow(Math.max(0, edgeFactor), 1.1);
-      const baseThickness = 2 + shape * maxThickness; // 2..max
-      const noiseAmp = 3.0 * (0.3 + shape); // more variation near center
-      const noise = (randomVariation(x, 3, z) - 0.5) * noiseAmp;
-      let thickness = Math.max(2, Math.floor(baseThickness + noise));
-      const bottomY = Math.max(0, topY - thickness);
-
-      for (let y = bottomY; y <= topY; y += 1) {
-        const depthFromTop = topY - y;
-        let id = Block.STONE;
-        if (depthFromTop === 0) {
-          id = topId;
-        }
-
-        // Carve small air pockets on the underside for richer silhouette
-        const caveNoise = randomVariation(x * 1.7, y * 2.3, z * 1.9);
-        const carve = (y < plateauY - 2) && caveNoise > 0.86 && depthFromTop > 2;
-        if (!carve) {
-          chunk.setBlock(x, y, z, id);
-        }
-      }
-    }
-  }
+// Generates an island into the cleared world; missing parameters take their
+// defaults and a missing seed a random one (see terrain.js)
+function fillDefaultTerrain(terrain = {}) {
+  islandTerrain = normalizeTerrainParams(terrain);
+  generateTerrain(islandTerrain, (x, y, z, blockKey) => {
+    world.setBlock(x, y, z, blockIdByKey.get(blockKey));
+  });
 }
 
-function encodeChunkData() {
-  const binaryString = String.fromCharCode(...chunk.data);
-  return btoa(binaryString);
+function encodeWorldData() {
+  const blocks = {};
+  blockRegistry.list().forEach((blockType) => {
+    if (blockType.id !== Block.AIR) {
+      blocks[blockType.id] = blockType.key;
+    }
+  });
+  return encodeWorld(world, {
+    blocks,
+    environment: { timeOfDay, terrain: islandTerrain },
+    metadata: {
+      createdAt: islandCreatedAt,
+      savedAt: Date.now(),
+    },
+  });
 }
 
-function decodeChunkData(encoded) {
-  const binaryString = atob(encoded);
-  const expectedLength = chunk.data.length;
-  if (binaryString.length !== expectedLength) {
-    throw new Error('Stored chunk length mismatch');
-  }
-  for (let i = 0; i < expectedLength; i += 1) {
-    chunk.data[i] = binaryString.charCodeAt(i);
-  }
+function decodeWorldData(serialized) {
+  const save = decodeWorld(world, serialized, blockIdByKey);
+  islandCreatedAt = save.metadata?.createdAt ?? Date.now();
+  islandTerrain = save.environment?.terrain ? normalizeTerrainParams(save.environment.terrain) : null;
+  setTimeOfDay(save.environment?.timeOfDay ?? DEFAULT_TIME_OF_DAY);
+  fluidSimulation.clear();
+  fluidSimulation.activateAllLiquids();
+  return save;
 }
 
 function loadChunkFromStorage() {
-  try {
-    const encoded = window.localStorage.getItem(STORAGE_KEY);
-    if (!encoded) {
-      return false;
+  const keys = [STORAGE_KEY, ...LEGACY_STORAGE_KEYS];
+  for (let i = 0; i < keys.length; i += 1) {
+    try {
+      const serialized = window.localStorage.getItem(keys[i]);
+      if (!serialized) {
+        continue;
+      }
+      decodeWorldData(serialized);
+      if (keys[i] !== STORAGE_KEY) {
+        // Upgraded from an older save; write it back in the current format
+        flushSave();
+      }
+      markSaveComplete('Restored');
+      return true;
+    } catch (error) {
+      console.warn(`[voxel] failed to load save "${keys[i]}":`, error);
     }
-    decodeChunkData(encoded);
-    markSaveComplete('Restored');
-    return true;
-  } catch (error) {
-    console.warn('[voxel] failed to load chunk from storage:', error);
-    return false;
   }
+  return false;
 }
 
 let saveTimer = null;
+// Stays false until the island has been restored, so an early unload cannot
+// overwrite a save with the still-empty world
+let savesReady = false;
 
 function flushSave() {
   if (typeof window === 'undefined') {
@@ -897,10 +1334,20 @@ function flushSave() {
     clearTimeout(saveTimer);
     saveTimer = null;
   }
+  // With slots there is nothing to save into while one is being deleted
+  if (!savesReady || (slotStore && !activeSlot)) {
+    return;
+  }
+  landFallingBlocks();
   try {
-    const encoded = encodeChunkData();
-    window.localStorage.setItem(STORAGE_KEY, encoded);
+    const serialized = encodeWorldData();
+    if (slotStore && activeSlot) {
+      writeActiveSlot(serialized);
+      return;
+    }
+    window.localStorage.setItem(STORAGE_KEY, serialized);
     markSaveComplete();
+    emitSandboxEvent('saved', { slotId: null, savedAt: Date.now() });
   } catch (error) {
     console.warn('[voxel] failed to save chunk:', error);
     setSaveStatus('Save failed');
@@ -921,41 +1368,697 @@ function scheduleSave() {
   }, SAVE_DEBOUNCE_MS);
 }
 
-const didLoad = loadChunkFromStorage();
-if (!didLoad) {
-  fillDefaultTerrain();
-  flushSave();
+const ACTIVE_SLOT_KEY = 'voxel-sandbox-active-slot';
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_HEIGHT = 100;
+const THUMBNAIL_INTERVAL_MS = 5000;
+// null when IndexedDB is unavailable; saves then fall back to STORAGE_KEY
+let slotStore = null;
+// Summary of the slot being edited (everything but the save data)
+let activeSlot = null;
+let slotSummaries = [];
+let thumbnailCanvas = null;
+
+function captureThumbnail() {
+  if (!thumbnailCanvas) {
+    thumbnailCanvas = document.createElement('canvas');
+    thumbnailCanvas.width = THUMBNAIL_WIDTH;
+    thumbnailCanvas.height = THUMBNAIL_HEIGHT;
+  }
+  const highlightWasVisible = highlightMesh.visible;
+  highlightMesh.visible = false;
+  // Read back in the same task as the render; the drawing buffer is not preserved
+  renderer.render(scene, camera);
+  highlightMesh.visible = highlightWasVisible;
+
+  const source = renderer.domElement;
+  const scale = Math.max(THUMBNAIL_WIDTH / source.width, THUMBNAIL_HEIGHT / source.height);
+  const width = source.width * scale;
+  const height = source.height * scale;
+  const ctx = thumbnailCanvas.getContext('2d');
+  ctx.clearRect(0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+  ctx.drawImage(source, (THUMBNAIL_WIDTH - width) / 2, (THUMBNAIL_HEIGHT - height) / 2, width, height);
+  return thumbnailCanvas.toDataURL('image/jpeg', 0.72);
 }
 
-const blockMeshes = new Map();
-const blockMeshStates = new Map();
-const blockIdByObject = new Map();
-const intersectables = [];
-
-placeableBlocks.forEach((blockType) => {
-  const geometry = getBlockGeometry(blockType);
-  const material = getBlockMaterial(blockType);
-  const mesh = new THREE.InstancedMesh(geometry, material, CHUNK_CAPACITY);
-  mesh.castShadow = blockType.castShadow ?? true;
-  mesh.receiveShadow = blockType.receiveShadow ?? true;
-  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
-  mesh.visible = false;
-  scene.add(mesh);
-  blockMeshes.set(blockType.id, mesh);
-  blockMeshStates.set(blockType.id, { mesh, index: 0 });
-  blockIdByObject.set(mesh, blockType.id);
-  intersectables.push(mesh);
-});
-
-const tmpMatrix = new THREE.Matrix4();
-const tmpPosition = new THREE.Vector3();
-const tmpNormal = new THREE.Vector3();
-const tmpColor = new THREE.Color();
-const pointer = new THREE.Vector2();
-const raycaster = new THREE.Raycaster();
+function createSlotRecord(name) {
+  const now = Date.now();
+  return {
+    id: createSlotId(),
+    name,
+    createdAt: now,
+    modifiedAt: now,
+    blockCount: 0,
+    thumbnail: null,
+    thumbnailAt: 0,
+  };
+}
 
-const halfWidth = (chunk.width * VOXEL_SIZE) / 2;
-const halfDepth = (chunk.depth * VOXEL_SIZE) / 2;
+function writeActiveSlot(serialized) {
+  const now = Date.now();
+  const slot = { ...activeSlot, modifiedAt: now, blockCount: world.countBlocks() };
+  if (!slot.thumbnail || now - (slot.thumbnailAt ?? 0) > THUMBNAIL_INTERVAL_MS) {
+    try {
+      slot.thumbnail = captureThumbnail();
+      slot.thumbnailAt = now;
+    } catch (error) {
+      console.warn('[voxel] failed to capture thumbnail:', error);
+    }
+  }
+  activeSlot = slot;
+  slotStore.put({ ...slot, data: serialized })
+    .then(() => {
+      markSaveComplete();
+      emitSandboxEvent('saved', { slotId: slot.id, savedAt: now });
+      return refreshSlotList();
+    })
+    .catch((error) => {
+      console.warn('[voxel] failed to save slot:', error);
+      setSaveStatus('Save failed');
+    });
+}
+
+function rememberActiveSlot() {
+  try {
+    window.localStorage.setItem(ACTIVE_SLOT_KEY, activeSlot.id);
+  } catch (error) {
+    console.warn('[voxel] failed to remember active slot:', error);
+  }
+}
+
+// Runs after the world's contents were replaced wholesale: a load, a new
+// or regenerated island, or an import
+function applyLoadedIsland() {
+  refreshChunkInstances();
+  clearHistory();
+  updateHoverFromPointer();
+  emitSandboxEvent('loaded', { slotId: activeSlot?.id ?? null });
+}
+
+async function loadSlot(id) {
+  const record = await slotStore.get(id);
+  if (!record) {
+    throw new Error(`Save slot ${id} not found`);
+  }
+  decodeWorldData(record.data);
+  const { data, ...summary } = record;
+  activeSlot = summary;
+  rememberActiveSlot();
+  applyLoadedIsland();
+  markSaveComplete('Restored');
+  await refreshSlotList();
+}
+
+// Starts a new island in a fresh slot, seeded either with generated
+// terrain or (for duplicates) the current world contents.
+function startSlot(name, { keepWorld = false, terrain } = {}) {
+  if (activeSlot) {
+    flushSave();
+  }
+  activeSlot = createSlotRecord(name);
+  if (!keepWorld) {
+    world.clear();
+    islandCreatedAt = activeSlot.createdAt;
+    fillDefaultTerrain(terrain);
+  }
+  rememberActiveSlot();
+  applyLoadedIsland();
+  flushSave();
+}
+
+async function refreshSlotList() {
+  if (!slotStore) {
+    return;
+  }
+  slotSummaries = await slotStore.list();
+  renderSlotPicker();
+}
+
+function formatTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : 'Unknown';
+}
+
+function renderSlotPicker() {
+  if (!slotSelect || !activeSlot) {
+    return;
+  }
+  slotSelect.replaceChildren(...slotSummaries.map((slot) => {
+    const option = document.createElement('option');
+    option.value = slot.id;
+    option.textContent = `${slot.name} (${slot.blockCount ?? 0} blocks)`;
+    return option;
+  }));
+  slotSelect.value = activeSlot.id;
+  if (slotThumbnail) {
+    slotThumbnail.hidden = !activeSlot.thumbnail;
+    if (activeSlot.thumbnail) {
+      slotThumbnail.src = activeSlot.thumbnail;
+    }
+  }
+  if (slotMeta) {
+    slotMeta.textContent = `Created ${formatTimestamp(activeSlot.createdAt)} · Modified ${formatTimestamp(activeSlot.modifiedAt)}`;
+  }
+}
+
+function handleSlotAction(action) {
+  if (!slotStore || !activeSlot) {
+    return;
+  }
+  if (action === 'new') {
+    openNewIslandDialog({ newSlot: true });
+  } else if (action === 'rename') {
+    const name = window.prompt('Rename island', activeSlot.name);
+    if (name && name.trim()) {
+      activeSlot = { ...activeSlot, name: name.trim() };
+      flushSave();
+    }
+  } else if (action === 'duplicate') {
+    startSlot(`${activeSlot.name} copy`, { keepWorld: true });
+  } else if (action === 'delete') {
+    if (!window.confirm(`Delete "${activeSlot.name}"? This cannot be undone.`)) {
+      return;
+    }
+    if (saveTimer !== null) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    const deletedId = activeSlot.id;
+    // Saves made before the next slot is loaded must not bring this one back
+    activeSlot = null;
+    slotStore.delete(deletedId)
+      .then(() => slotStore.list())
+      .then((slots) => {
+        if (slots.length === 0) {
+          startSlot('My Island');
+          return null;
+        }
+        return loadSlot(slots[0].id);
+      })
+      .catch((error) => {
+        console.warn('[voxel] failed to delete slot:', error);
+      });
+  }
+}
+
+function handleSlotSelected() {
+  const id = slotSelect.value;
+  if (!activeSlot || id === activeSlot.id) {
+    return;
+  }
+  flushSave();
+  loadSlot(id).catch((error) => {
+    console.warn('[voxel] failed to switch slot:', error);
+    setSaveStatus('Load failed');
+  });
+}
+
+// New Island dialog: tunes the generator against a live preview, then either
+// replaces the current island or starts a new slot with it
+const newIslandState = {
+  newSlot: false,
+  previewFrame: null,
+};
+
+function readTerrainForm() {
+  if (terrainSeedInput && !terrainSeedInput.value.trim()) {
+    terrainSeedInput.value = String(randomTerrainSeed());
+  }
+  const terrain = { seed: terrainSeedInput?.value };
+  terrainParamInputs.forEach((input) => {
+    terrain[input.dataset.terrainParam] = Number(input.value);
+  });
+  return normalizeTerrainParams(terrain);
+}
+
+function writeTerrainForm(terrain) {
+  if (terrainSeedInput) {
+    terrainSeedInput.value = String(terrain.seed);
+  }
+  terrainParamInputs.forEach((input) => {
+    input.value = String(terrain[input.dataset.terrainParam]);
+  });
+  updateTerrainOutputs();
+}
+
+function updateTerrainOutputs() {
+  terrainParamInputs.forEach((input) => {
+    const key = input.dataset.terrainParam;
+    const output = newIslandDialog.querySelector(`[data-terrain-output="${key}"]`);
+    if (output) {
+      const value = Number(input.value);
+      output.textContent = TERRAIN_PARAM_RANGES[key].max <= 1 ? `${Math.round(value * 100)}%` : String(value);
+    }
+  });
+}
+
+function cssColor(hex) {
+  return `#${hex.toString(16).padStart(6, '0')}`;
+}
+
+// Top view on the left, side silhouette on the right; the side view is
+// shaded by how many cells each row holds, so caves show as lighter patches
+function drawTerrainPreview() {
+  newIslandState.previewFrame = null;
+  const context = terrainPreviewCanvas?.getContext('2d');
+  if (!context) {
+    return;
+  }
+  const tops = new Map();
+  const rows = new Map();
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  let minZ = Infinity;
+  let maxZ = -Infinity;
+  generateTerrain(readTerrainForm(), (x, y, z, blockKey) => {
+    const column = `${x},${z}`;
+    if (!tops.has(column) || tops.get(column).y < y) {
+      tops.set(column, { x, y, z, blockId: blockIdByKey.get(blockKey) });
+    }
+    const row = `${x},${y}`;
+    rows.set(row, (rows.get(row) ?? 0) + 1);
+    minX = Math.min(minX, x);
+    maxX = Math.max(maxX, x);
+    minY = Math.min(minY, y);
+    maxY = Math.max(maxY, y);
+    minZ = Math.min(minZ, z);
+    maxZ = Math.max(maxZ, z);
+  });
+
+  const { width, height } = terrainPreviewCanvas;
+  context.clearRect(0, 0, width, height);
+  if (tops.size === 0) {
+    return;
+  }
+  const padding = 8;
+  const half = width / 2;
+  const spanX = maxX - minX + 1;
+  const cell = Math.min(
+    (half - padding * 2) / Math.max(spanX, maxZ - minZ + 1),
+    (height - padding * 2) / Math.max(spanX, maxY - minY + 1),
+  );
+  const topLeft = (half - spanX * cell) / 2;
+  const topTop = (height - (maxZ - minZ + 1) * cell) / 2;
+  tops.forEach(({ x, z, blockId }) => {
+    context.fillStyle = cssColor(blockTypeById.get(blockId).colors.top);
+    context.fillRect(topLeft + (x - minX) * cell, topTop + (z - minZ) * cell, Math.ceil(cell), Math.ceil(cell));
+  });
+
+  const sideLeft = half + (half - spanX * cell) / 2;
+  const sideTop = (height - (maxY - minY + 1) * cell) / 2;
+  const depth = maxZ - minZ + 1;
+  context.fillStyle = cssColor(blockTypeById.get(Block.STONE).colors.side);
+  rows.forEach((count, key) => {
+    const [x, y] = key.split(',').map(Number);
+    context.globalAlpha = 0.35 + 0.65 * Math.min(1, (count / depth) * 2);
+    context.fillRect(sideLeft + (x - minX) * cell, sideTop + (maxY - y) * cell, Math.ceil(cell), Math.ceil(cell));
+  });
+  context.globalAlpha = 1;
+}
+
+function scheduleTerrainPreview() {
+  if (newIslandState.previewFrame === null) {
+    newIslandState.previewFrame = requestAnimationFrame(drawTerrainPreview);
+  }
+}
+
+// Opens with a fresh seed and the current island's tuning
+function openNewIslandDialog({ newSlot }) {
+  if (!newIslandDialog || typeof newIslandDialog.showModal !== 'function') {
+    if (newSlot) {
+      const name = window.prompt('Name for the new island', `Island ${slotSummaries.length + 1}`);
+      if (name) {
+        startSlot(name.trim() || 'Untitled Island');
+      }
+    } else {
+      resetChunkState();
+    }
+    return;
+  }
+  newIslandState.newSlot = newSlot;
+  if (newIslandTitle) {
+    newIslandTitle.textContent = newSlot ? 'New Island' : 'Replace Island';
+  }
+  newIslandDialog.querySelectorAll('.island-name-field').forEach((element) => {
+    element.hidden = !newSlot;
+  });
+  if (islandNameInput) {
+    islandNameInput.value = `Island ${slotSummaries.length + 1}`;
+  }
+  writeTerrainForm(normalizeTerrainParams({ ...islandTerrain, seed: randomTerrainSeed() }));
+  drawTerrainPreview();
+  newIslandDialog.returnValue = '';
+  newIslandDialog.showModal();
+}
+
+function handleNewIslandClosed() {
+  if (newIslandDialog.returnValue !== 'create') {
+    return;
+  }
+  const terrain = readTerrainForm();
+  if (newIslandState.newSlot) {
+    startSlot(islandNameInput?.value.trim() || 'Untitled Island', { terrain });
+  } else {
+    resetChunkState(terrain);
+  }
+}
+
+function handleNewIslandAction(action) {
+  if (action === 'regenerate') {
+    writeTerrainForm({ ...readTerrainForm(), seed: randomTerrainSeed() });
+  } else if (action === 'defaults') {
+    writeTerrainForm(normalizeTerrainParams({ seed: readTerrainForm().seed }));
+  }
+  scheduleTerrainPreview();
+}
+
+function setupNewIslandDialog() {
+  if (!newIslandDialog) {
+    return;
+  }
+  terrainParamInputs.forEach((input) => {
+    const range = TERRAIN_PARAM_RANGES[input.dataset.terrainParam];
+    input.min = String(range.min);
+    input.max = String(range.max);
+    input.step = String(range.step);
+    input.addEventListener('input', () => {
+      updateTerrainOutputs();
+      scheduleTerrainPreview();
+    });
+  });
+  terrainSeedInput?.addEventListener('input', scheduleTerrainPreview);
+  newIslandDialog.querySelectorAll('[data-island-action]').forEach((button) => {
+    button.addEventListener('click', () => handleNewIslandAction(button.dataset.islandAction));
+  });
+  newIslandDialog.addEventListener('close', handleNewIslandClosed);
+}
+
+async function initSaveSlots() {
+  try {
+    slotStore = await SaveSlotStore.open();
+  } catch (error) {
+    console.warn('[voxel] save slots unavailable, using local storage:', error);
+    slotStore = null;
+    savesReady = true;
+    if (slotPanel) {
+      slotPanel.hidden = true;
+    }
+    if (!loadChunkFromStorage()) {
+      world.clear();
+      fillDefaultTerrain();
+      flushSave();
+    }
+    applyLoadedIsland();
+    return;
+  }
+
+  savesReady = true;
+  const slots = await slotStore.list();
+  if (slots.length === 0) {
+    // First run with slots: adopt the single localStorage island if there is one
+    activeSlot = createSlotRecord('My Island');
+    if (!loadChunkFromStorage()) {
+      world.clear();
+      fillDefaultTerrain();
+    }
+    activeSlot.createdAt = islandCreatedAt;
+    rememberActiveSlot();
+    applyLoadedIsland();
+    flushSave();
+    return;
+  }
+
+  let preferredId = null;
+  try {
+    preferredId = window.localStorage.getItem(ACTIVE_SLOT_KEY);
+  } catch (error) {
+    preferredId = null;
+  }
+  const target = slots.find((slot) => slot.id === preferredId) ?? slots[0];
+  try {
+    await loadSlot(target.id);
+  } catch (error) {
+    console.warn('[voxel] failed to load slot, starting a new island:', error);
+    startSlot('My Island');
+  }
+}
+
+function hexToRgb(hex) {
+  return [(hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff];
+}
+
+function findNearestBlockId(rgb) {
+  let bestId = Block.AIR;
+  let bestDistance = Infinity;
+  placeableBlocks.forEach((blockType) => {
+    const colors = blockType.colors ?? {};
+    [colors.top, colors.side, colors.bottom, blockType.color].forEach((hex) => {
+      if (hex === undefined) {
+        return;
+      }
+      const [r, g, b] = hexToRgb(hex);
+      const distance = (r - rgb[0]) ** 2 + (g - rgb[1]) ** 2 + (b - rgb[2]) ** 2;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        bestId = blockType.id;
+      }
+    });
+  });
+  return bestId;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// One palette entry per placeable block (its side colour); .vox is Z-up so
+// sandbox Y becomes .vox Z.
+function exportWorldToVox() {
+  let min = null;
+  let max = null;
+  world.forEachBlock((value, x, y, z) => {
+    if (!min) {
+      min = { x, y, z };
+      max = { x, y, z };
+      return;
+    }
+    min.x = Math.min(min.x, x);
+    min.y = Math.min(min.y, y);
+    min.z = Math.min(min.z, z);
+    max.x = Math.max(max.x, x);
+    max.y = Math.max(max.y, y);
+    max.z = Math.max(max.z, z);
+  });
+  if (!min) {
+    setSaveStatus('Nothing to export');
+    return;
+  }
+
+  const palette = [[0, 0, 0, 0]];
+  const colorIndexByBlockId = new Map();
+  placeableBlocks.forEach((blockType) => {
+    const hex = blockType.colors?.side ?? blockType.color ?? 0xffffff;
+    colorIndexByBlockId.set(blockType.id, palette.length);
+    palette.push([...hexToRgb(hex), 255]);
+  });
+
+  const voxels = [];
+  world.forEachBlock((value, x, y, z) => {
+    const colorIndex = colorIndexByBlockId.get(value);
+    if (colorIndex !== undefined) {
+      voxels.push({ x: x - min.x, y: z - min.z, z: y - min.y, colorIndex });
+    }
+  });
+
+  try {
+    const buffer = writeVox({
+      size: { x: max.x - min.x + 1, y: max.z - min.z + 1, z: max.y - min.y + 1 },
+      voxels,
+      palette,
+    });
+    downloadBlob(new Blob([buffer], { type: 'application/octet-stream' }), 'voxel-island.vox');
+  } catch (error) {
+    console.warn('[voxel] failed to export .vox:', error);
+    setSaveStatus('Export failed');
+  }
+}
+
+// Replaces the island with the model, centred over chunk (0, 0, 0)
+function importVoxModel(model) {
+  const { size, voxels, palette } = model;
+  const offsetX = Math.floor((CHUNK_SIZE - size.x) / 2);
+  const offsetZ = Math.floor((CHUNK_SIZE - size.y) / 2);
+  const blockIdByColorIndex = new Map();
+  let clipped = 0;
+
+  world.clear();
+  voxels.forEach((voxel) => {
+    const color = palette[voxel.colorIndex];
+    if (!color || color[3] === 0) {
+      return;
+    }
+    let blockId = blockIdByColorIndex.get(voxel.colorIndex);
+    if (blockId === undefined) {
+      blockId = findNearestBlockId(color);
+      blockIdByColorIndex.set(voxel.colorIndex, blockId);
+    }
+    if (!world.setBlock(offsetX + voxel.x, voxel.z, offsetZ + voxel.y, blockId)) {
+      clipped += 1;
+    }
+  });
+
+  islandCreatedAt = Date.now();
+  islandTerrain = null;
+  applyLoadedIsland();
+  flushSave();
+  markSaveComplete('Imported');
+  // Models larger than the world lose the blocks past its limits
+  if (clipped > 0) {
+    setToolStatus(`Imported, ${clipped} blocks clipped`);
+  }
+}
+
+function handleVoxFileSelected() {
+  const file = voxFileInput?.files?.[0];
+  if (!file) {
+    return;
+  }
+  file.arrayBuffer()
+    .then((buffer) => importVoxModel(readVox(buffer)))
+    .catch((error) => {
+      console.warn('[voxel] failed to import .vox:', error);
+      setSaveStatus('Import failed');
+    })
+    .finally(() => {
+      voxFileInput.value = '';
+    });
+}
+
+
+const RenderMode = {
+  INSTANCED: 'instanced',
+  MESHED: 'meshed',
+};
+const RENDER_MODE_KEY = 'voxel-sandbox-render-mode';
+
+function loadRenderMode() {
+  try {
+    const stored = window.localStorage.getItem(RENDER_MODE_KEY);
+    if (Object.values(RenderMode).includes(stored)) {
+      return stored;
+    }
+  } catch (error) {
+    console.warn('[voxel] failed to read render mode:', error);
+  }
+  // Only meshed faces carry smooth light and ambient occlusion
+  return RenderMode.MESHED;
+}
+
+let renderMode = loadRenderMode();
+
+// Per-chunk render state. Instanced mode keeps one InstancedMesh per render
+// layer and block shape; meshed mode keeps one face-culled Mesh per render
+// layer present plus instances for slabs and stairs. Meshed-only layers
+// (water) get face-culled meshes in both modes.
+const chunkRenderStates = new Map();
+const renderMeshes = new Set();
+// Bumped whenever world edits reach the renderer, so views of the world
+// can tell when they are stale
+let worldRevision = 0;
+const intersectables = [];
+
+function trackMesh(mesh) {
+  scene.add(mesh);
+  renderMeshes.add(mesh);
+  intersectables.push(mesh);
+}
+
+function untrackMesh(mesh) {
+  scene.remove(mesh);
+  renderMeshes.delete(mesh);
+  const index = intersectables.indexOf(mesh);
+  if (index !== -1) {
+    intersectables.splice(index, 1);
+  }
+}
+
+function createInstancedLayerState(layer, shape) {
+  const geometry = shapeGeometries[shape].clone();
+  const tiles = new THREE.InstancedBufferAttribute(new Float32Array(CHUNK_CAPACITY * 3), 3);
+  const surfaces = new THREE.InstancedBufferAttribute(new Float32Array(CHUNK_CAPACITY * 4), 4);
+  tiles.setUsage(THREE.DynamicDrawUsage);
+  surfaces.setUsage(THREE.DynamicDrawUsage);
+  geometry.setAttribute('instanceTiles', tiles);
+  geometry.setAttribute('instanceSurface', surfaces);
+
+  const mesh = new THREE.InstancedMesh(geometry, getLayerMaterial(layer), CHUNK_CAPACITY);
+  mesh.castShadow = layer.castShadow;
+  mesh.receiveShadow = true;
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.visible = false;
+  trackMesh(mesh);
+  return {
+    mesh,
+    tiles,
+    surfaces,
+    index: 0,
+    cells: new Int32Array(CHUNK_CAPACITY),
+  };
+}
+
+// Instanced layers are created per render layer and shape as blocks need
+// them. Meshed mode only instances the partial shapes (slabs, stairs).
+function createChunkRenderState(chunk) {
+  const state = {
+    chunk,
+    mode: renderMode,
+    instanceStates: new Map(),
+    meshStates: new Map(),
+    // Slot bookkeeping so a single edit only touches the affected instances
+    cellSlots: new Int32Array(CHUNK_CAPACITY).fill(-1),
+    // Packed block id and state each cell was last drawn with
+    cellValues: new Uint16Array(CHUNK_CAPACITY),
+  };
+  chunkRenderStates.set(chunk.key, state);
+  return state;
+}
+
+function disposeChunkRenderState(state) {
+  state.instanceStates.forEach(({ mesh }) => {
+    untrackMesh(mesh);
+    mesh.geometry.dispose();
+    mesh.dispose();
+  });
+  state.instanceStates.clear();
+  state.meshStates.forEach(({ mesh }) => {
+    untrackMesh(mesh);
+    mesh.geometry.dispose();
+  });
+  state.meshStates.clear();
+  chunkRenderStates.delete(state.chunk.key);
+}
+
+const tmpMatrix = new THREE.Matrix4();
+const tmpPosition = new THREE.Vector3();
+const tmpNormal = new THREE.Vector3();
+const tmpViewDirection = new THREE.Vector3();
+const tmpQuaternion = new THREE.Quaternion();
+const tmpScale = new THREE.Vector3(1, 1, 1);
+const tmpColor = new THREE.Color();
+const pointer = new THREE.Vector2();
+const raycaster = new THREE.Raycaster();
+
+// World cell (0, 0, 0) sits at the corner of chunk (0, 0, 0), which stays centred on the origin
+const halfWidth = (CHUNK_SIZE * VOXEL_SIZE) / 2;
+const halfDepth = (CHUNK_SIZE * VOXEL_SIZE) / 2;
 
 function cellToWorld(x, y, z) {
   tmpPosition.set(
@@ -971,74 +2074,608 @@ function worldPointToCell(worldPoint, options = { snapY: true }) {
   const yRaw = options.snapY ? worldPoint.y / VOXEL_SIZE : worldPoint.y;
   const y = Math.floor(yRaw + 0.5);
   const z = Math.floor((worldPoint.z + halfDepth) / VOXEL_SIZE);
-  if (!chunk.inBounds(x, y, z)) {
+  if (!world.inBounds(x, y, z)) {
     return null;
   }
   return { x, y, z };
 }
 
-function refreshChunkInstances() {
-  blockMeshStates.forEach((state) => {
-    state.index = 0;
+function writeInstance(meshState, slot, chunk, cellIndex, value) {
+  const lx = cellIndex % chunk.width;
+  const lz = Math.floor(cellIndex / chunk.width) % chunk.depth;
+  const ly = Math.floor(cellIndex / (chunk.width * chunk.depth));
+  const x = chunk.cx * CHUNK_SIZE + lx;
+  const y = chunk.cy * CHUNK_HEIGHT + ly;
+  const z = chunk.cz * CHUNK_SIZE + lz;
+  const blockId = cellValueBlock(value);
+  const blockState = cellValueState(value);
+  const blockType = blockTypeById.get(blockId);
+  const info = getBlockRenderInfo(blockId);
+  const pos = cellToWorld(x, y, z);
+  if (info.shape === 'slab' && stateIsUpper(blockState)) {
+    pos.y += 0.5 * VOXEL_SIZE;
+  }
+  setStateQuaternion(tmpQuaternion, info, blockState);
+  tmpMatrix.compose(pos, tmpQuaternion, tmpScale);
+  meshState.mesh.setMatrixAt(slot, tmpMatrix);
+
+  const variationStrength = blockType?.variation ?? 0.08;
+  const noise = randomVariation(x, y, z) - 0.5;
+  const tint = 1 + variationStrength * noise;
+  tmpColor.setScalar(tint * instanceBrightness(x, y, z));
+  meshState.mesh.setColorAt(slot, tmpColor);
+
+  const { tiles, surface } = info;
+  meshState.tiles.setXYZ(slot, tiles[0], tiles[1], tiles[2]);
+  meshState.surfaces.setXYZW(slot, surface[0], surface[1], surface[2], surface[3]);
+  meshState.cells[slot] = cellIndex;
+}
+
+function moveInstance(meshState, from, to) {
+  const { mesh, tiles, surfaces } = meshState;
+  mesh.getMatrixAt(from, tmpMatrix);
+  mesh.setMatrixAt(to, tmpMatrix);
+  mesh.getColorAt(from, tmpColor);
+  mesh.setColorAt(to, tmpColor);
+  tiles.setXYZ(to, tiles.getX(from), tiles.getY(from), tiles.getZ(from));
+  surfaces.setXYZW(to, surfaces.getX(from), surfaces.getY(from), surfaces.getZ(from), surfaces.getW(from));
+  meshState.cells[to] = meshState.cells[from];
+}
+
+function flagInstanceUpload(meshState) {
+  meshState.mesh.count = meshState.index;
+  meshState.mesh.instanceMatrix.needsUpdate = true;
+  meshState.mesh.visible = meshState.index > 0;
+  if (meshState.mesh.instanceColor) {
+    meshState.mesh.instanceColor.needsUpdate = true;
+  }
+  meshState.tiles.needsUpdate = true;
+  meshState.surfaces.needsUpdate = true;
+}
+
+// Instanced layer that draws the block, or null when the block is air,
+// unknown or drawn by a chunk mesh instead
+function getLayerState(state, blockId) {
+  const info = blockId === Block.AIR ? null : getBlockRenderInfo(blockId);
+  if (!info || RENDER_LAYER_BY_KEY[info.layer].meshed) {
+    return null;
+  }
+  if (state.mode === RenderMode.MESHED && info.shape === 'cube') {
+    return null;
+  }
+  const key = `${info.layer}:${info.shape}`;
+  let layerState = state.instanceStates.get(key);
+  if (!layerState) {
+    layerState = createInstancedLayerState(RENDER_LAYER_BY_KEY[info.layer], info.shape);
+    state.instanceStates.set(key, layerState);
+  }
+  return layerState;
+}
+
+function chunkCellValue(chunk, cellIndex) {
+  return packCellValue(chunk.data[cellIndex], chunk.states[cellIndex]);
+}
+
+function rebuildChunkInstances(state) {
+  const { chunk, instanceStates, cellSlots, cellValues } = state;
+  instanceStates.forEach((meshState) => {
+    meshState.index = 0;
   });
+  cellSlots.fill(-1);
+  cellValues.fill(Block.AIR);
 
-  let totalBlocks = 0;
+  for (let cellIndex = 0; cellIndex < chunk.data.length; cellIndex += 1) {
+    const meshState = getLayerState(state, chunk.data[cellIndex]);
+    if (!meshState) {
+      continue;
+    }
+    const value = chunkCellValue(chunk, cellIndex);
+    writeInstance(meshState, meshState.index, chunk, cellIndex, value);
+    cellSlots[cellIndex] = meshState.index;
+    cellValues[cellIndex] = value;
+    meshState.index += 1;
+  }
+
+  instanceStates.forEach(flagInstanceUpload);
+}
 
-  chunk.forEach((value, x, y, z) => {
-    if (value === Block.AIR) {
+// Moves instance slots for the given cells only: the cell's old slot is filled
+// by the last instance of its layer, and a new slot is appended to the layer
+// of the cell's current block type.
+function updateChunkInstanceCells(state, cellIndices) {
+  const { chunk, cellSlots, cellValues } = state;
+  const touched = new Set();
+
+  cellIndices.forEach((cellIndex) => {
+    const rendered = cellValues[cellIndex];
+    const value = chunkCellValue(chunk, cellIndex);
+    if (rendered === value) {
       return;
     }
-    const state = blockMeshStates.get(value);
-    if (!state) {
-      return;
+
+    const previousState = getLayerState(state, cellValueBlock(rendered));
+    const slot = cellSlots[cellIndex];
+    if (previousState && slot !== -1) {
+      const lastSlot = previousState.index - 1;
+      if (slot !== lastSlot) {
+        moveInstance(previousState, lastSlot, slot);
+        cellSlots[previousState.cells[slot]] = slot;
+      }
+      previousState.index = lastSlot;
+      touched.add(previousState);
     }
-    const blockType = blockTypeById.get(value);
-    const pos = cellToWorld(x, y, z);
-    tmpMatrix.makeTranslation(pos.x, pos.y, pos.z);
-    state.mesh.setMatrixAt(state.index, tmpMatrix);
+    cellSlots[cellIndex] = -1;
+    cellValues[cellIndex] = Block.AIR;
+
+    const nextState = getLayerState(state, cellValueBlock(value));
+    if (nextState) {
+      writeInstance(nextState, nextState.index, chunk, cellIndex, value);
+      cellSlots[cellIndex] = nextState.index;
+      cellValues[cellIndex] = value;
+      nextState.index += 1;
+      touched.add(nextState);
+    }
+  });
+
+  touched.forEach(flagInstanceUpload);
+}
 
-    const variationStrength = blockType?.variation ?? 0.08;
-    const noise = randomVariation(x, y, z) - 0.5;
-    const tint = 1 + variationStrength * noise;
-    tmpColor.setScalar(tint);
-    state.mesh.setColorAt(state.index, tmpColor);
+// Rewrites the light-dependent colour of the given cells' instances
+function recolourChunkInstances(state, cellIndices) {
+  const { chunk, cellSlots, cellValues } = state;
+  const touched = new Set();
 
-    state.index += 1;
-    totalBlocks += 1;
+  cellIndices.forEach((cellIndex) => {
+    const slot = cellSlots[cellIndex];
+    const meshState = slot === -1 ? null : getLayerState(state, cellValueBlock(cellValues[cellIndex]));
+    if (!meshState) {
+      return;
+    }
+    writeInstance(meshState, slot, chunk, cellIndex, cellValues[cellIndex]);
+    touched.add(meshState);
   });
 
-  blockMeshStates.forEach((state) => {
-    state.mesh.count = state.index;
-    state.mesh.instanceMatrix.needsUpdate = true;
-    state.mesh.visible = state.index > 0;
-    if (state.mesh.instanceColor) {
-      state.mesh.instanceColor.needsUpdate = true;
+  touched.forEach((meshState) => {
+    if (meshState.mesh.instanceColor) {
+      meshState.mesh.instanceColor.needsUpdate = true;
     }
   });
+}
 
-  updateStats(totalBlocks);
+// Face tile for a chunk mesh face; logs lying along X or Z show their end
+// grain on the faces along their axis
+function getMeshFaceTile(blockId, face, state, normal) {
+  const { tiles, rotation } = getBlockRenderInfo(blockId);
+  let localFace = face;
+  const facing = stateFacing(state);
+  if (rotation === 'axis' && facing !== Facing.NONE && facing !== Facing.POS_Y && facing !== Facing.NEG_Y) {
+    const alongX = facing === Facing.POS_X || facing === Facing.NEG_X;
+    const axisComponent = alongX ? normal[0] : normal[2];
+    if (axisComponent !== 0) {
+      localFace = axisComponent > 0 ? 'top' : 'bottom';
+    } else {
+      localFace = 'side';
+    }
+  }
+  if (localFace === 'top') {
+    return tiles[0];
+  }
+  return localFace === 'bottom' ? tiles[2] : tiles[1];
 }
 
-refreshChunkInstances();
+function blockLightOpacity(blockId) {
+  if (blockId === Block.AIR) {
+    return 0;
+  }
+  const blockType = blockTypeById.get(blockId);
+  if (blockType?.lightOpacity !== undefined) {
+    return blockType.lightOpacity;
+  }
+  if (blockType?.liquid) {
+    return 2;
+  }
+  const info = getBlockRenderInfo(blockId);
+  return info && info.shape === 'cube' && !blockType.transparent ? MAX_LIGHT : 0;
+}
 
-const highlightMaterial = new THREE.MeshStandardMaterial({
-  color: 0x6fd4ff,
-  transparent: true,
-  opacity: 0.32,
-  roughness: 0.6,
-  metalness: 0.0,
-  depthWrite: false,
+function cellBrightness(x, y, z) {
+  return LIGHT_CURVE[Math.max(lighting.getSkyLight(x, y, z), lighting.getBlockLight(x, y, z))];
+}
+
+// Instances have a single colour, so they take the light of their brightest
+// open side; only meshed faces (the default renderer) get smooth light and
+// ambient occlusion
+function instanceBrightness(x, y, z) {
+  let level = Math.max(lighting.getSkyLight(x, y, z), lighting.getBlockLight(x, y, z));
+  [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]].forEach(([dx, dy, dz]) => {
+    level = Math.max(
+      level,
+      lighting.getSkyLight(x + dx, y + dy, z + dz),
+      lighting.getBlockLight(x + dx, y + dy, z + dz),
+    );
+  });
+  return LIGHT_CURVE[level];
+}
+
+// Relights the cells edited since the last refresh; new chunks are lit as
+// they appear and loads or resets relight everything. Returns the keys of
+// chunks whose faces sample changed light and the relit cells per chunk.
+function updateLighting(dirty) {
+  lighting.updateChunks(dirty.chunks);
+  const cells = [];
+  dirty.cells.forEach((indices, key) => {
+    const [cx, cy, cz] = key.split(',').map(Number);
+    indices.forEach((index) => {
+      cells.push({
+        x: cx * CHUNK_SIZE + (index % CHUNK_SIZE),
+        y: cy * CHUNK_HEIGHT + Math.floor(index / (CHUNK_SIZE * CHUNK_SIZE)),
+        z: cz * CHUNK_SIZE + (Math.floor(index / CHUNK_SIZE) % CHUNK_SIZE),
+      });
+    });
+  });
+  lighting.update(cells);
+  return lighting.takeChanged();
+}
+
+// Instances sample the light of their own cell and its six neighbours (see
+// instanceBrightness), so each relit cell recolours up to seven of them.
+// Returns local cell indices per chunk key.
+function instanceCellsSamplingLight(relitCells) {
+  const affected = new Map();
+  const add = (x, y, z) => {
+    const { cx, cy, cz } = world.chunkCoords(x, y, z);
+    const chunk = world.getChunk(cx, cy, cz);
+    if (!chunk) {
+      return;
+    }
+    let indices = affected.get(chunk.key);
+    if (!indices) {
+      indices = new Set();
+      affected.set(chunk.key, indices);
+    }
+    indices.add(chunk.getIndex(x - cx * CHUNK_SIZE, y - cy * CHUNK_HEIGHT, z - cz * CHUNK_SIZE));
+  };
+  relitCells.forEach((indices, key) => {
+    const [cx, cy, cz] = key.split(',').map(Number);
+    indices.forEach((index) => {
+      const x = cx * CHUNK_SIZE + (index % CHUNK_SIZE);
+      const y = cy * CHUNK_HEIGHT + Math.floor(index / (CHUNK_SIZE * CHUNK_SIZE));
+      const z = cz * CHUNK_SIZE + (Math.floor(index / CHUNK_SIZE) % CHUNK_SIZE);
+      add(x, y, z);
+      [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]].forEach(([dx, dy, dz]) => {
+        add(x + dx, y + dy, z + dz);
+      });
+    });
+  });
+  return affected;
+}
+
+// Chunk meshes hold full cubes only; slabs and stairs are instanced and
+// never hide their neighbours' faces
+const meshOptions = {
+  greedy: true,
+  isOpaque: (blockId) => {
+    const info = getBlockRenderInfo(blockId);
+    return Boolean(info) && info.shape === 'cube' && !blockTypeById.get(blockId).transparent;
+  },
+  group: (blockId) => {
+    const info = getBlockRenderInfo(blockId);
+    return info && info.shape === 'cube' ? info.layer : null;
+  },
+  faceTile: getMeshFaceTile,
+  surface: (blockId) => getBlockRenderInfo(blockId).surface,
+  blockHeight: (blockId, state) => (blockTypeById.get(blockId)?.liquid ? fluidHeight(state) : 1),
+  tint: (blockId, x, y, z) => {
+    const variationStrength = blockTypeById.get(blockId)?.variation ?? 0.08;
+    return 1 + variationStrength * (randomVariation(x, y, z) - 0.5);
+  },
+  light: cellBrightness,
+  origin: { x: -halfWidth, y: -0.5 * VOXEL_SIZE, z: -halfDepth },
+};
+
+const MESHED_LAYERS = RENDER_LAYERS.filter((layer) => layer.meshed);
+
+// Rebuilds the face-culled meshes of the given layers for one chunk
+function rebuildChunkMeshes(state, layers = RENDER_LAYERS) {
+  const layerKeys = new Set(layers.map((layer) => layer.key));
+  layerKeys.forEach((key) => {
+    const meshState = state.meshStates.get(key);
+    if (meshState) {
+      untrackMesh(meshState.mesh);
+      meshState.mesh.geometry.dispose();
+      state.meshStates.delete(key);
+    }
+  });
+
+  const buffersByLayer = buildChunkFaces(world, state.chunk, {
+    ...meshOptions,
+    group: (blockId) => {
+      const key = meshOptions.group(blockId);
+      return layerKeys.has(key) ? key : null;
+    },
+  });
+  layers.forEach((layer) => {
+    const buffers = buffersByLayer.get(layer.key);
+    if (!buffers || buffers.indices.length === 0) {
+      return;
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(buffers.positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(buffers.normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(buffers.uvs, 2));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(buffers.colors, 3));
+    geometry.setAttribute('atlasTile', new THREE.Float32BufferAttribute(buffers.tiles, 1));
+    geometry.setAttribute('blockSurface', new THREE.Float32BufferAttribute(buffers.surfaces, 4));
+    geometry.setIndex(buffers.indices);
+    geometry.computeBoundingSphere();
+
+    const mesh = new THREE.Mesh(geometry, getLayerMaterial(layer));
+    mesh.castShadow = layer.castShadow;
+    mesh.receiveShadow = true;
+    mesh.renderOrder = layer.renderOrder ?? 0;
+    trackMesh(mesh);
+    state.meshStates.set(layer.key, { mesh, index: buffers.indices.length / 6 });
+  });
+}
+
+function isMeshedLayerBlock(blockId) {
+  const info = blockId === Block.AIR ? null : getBlockRenderInfo(blockId);
+  return Boolean(info) && RENDER_LAYER_BY_KEY[info.layer].meshed;
+}
+
+// Whether an instanced-mode chunk needs its meshed-only layers (water)
+// rebuilt: it already has their meshes or one of the edited cells now holds
+// such a block. For new or reloaded chunks (null) every cell is checked.
+function holdsMeshedLayerBlocks(state, cellIndices) {
+  const { chunk } = state;
+  if (!cellIndices) {
+    return chunk.data.some(isMeshedLayerBlock);
+  }
+  return state.meshStates.size > 0
+    || [...cellIndices].some((cellIndex) => isMeshedLayerBlock(chunk.data[cellIndex]));
+}
+
+// Applies pending world edits to the render state. New, cleared and reloaded
+// chunks are rebuilt; in instanced mode plain edits only move their own slots,
+// relit cells only rewrite their colours and only chunks with water are
+// remeshed.
+function refreshChunkInstances() {
+  const dirty = world.takeDirty();
+  worldRevision += 1;
+  const relit = updateLighting(dirty);
+  const recolour = instanceCellsSamplingLight(relit.cells);
+  const keys = new Set([...dirty.chunks, ...dirty.cells.keys(), ...dirty.borders, ...relit.chunks]);
+
+  keys.forEach((key) => {
+    const chunk = world.chunks.get(key);
+    const existing = chunkRenderStates.get(key);
+    if (existing && (existing.chunk !== chunk || existing.mode !== renderMode)) {
+      disposeChunkRenderState(existing);
+    }
+    if (!chunk) {
+      return;
+    }
+    let state = chunkRenderStates.get(key);
+    const isFresh = !state;
+    if (isFresh) {
+      state = createChunkRenderState(chunk);
+    }
+
+    if (isFresh || dirty.chunks.has(key)) {
+      rebuildChunkInstances(state);
+    } else {
+      if (dirty.cells.has(key)) {
+        updateChunkInstanceCells(state, dirty.cells.get(key));
+      }
+      if (recolour.has(key)) {
+        recolourChunkInstances(state, recolour.get(key));
+      }
+    }
+    if (state.mode === RenderMode.MESHED) {
+      rebuildChunkMeshes(state, RENDER_LAYERS);
+    } else if (holdsMeshedLayerBlocks(state, isFresh || dirty.chunks.has(key) ? null : dirty.cells.get(key) ?? [])) {
+      rebuildChunkMeshes(state, MESHED_LAYERS);
+    }
+  });
+
+  updateStats(world.countBlocks());
+}
+
+refreshChunkInstances();
+
+function setRenderMode(mode) {
+  if (!Object.values(RenderMode).includes(mode) || mode === renderMode) {
+    return;
+  }
+  renderMode = mode;
+  try {
+    window.localStorage.setItem(RENDER_MODE_KEY, mode);
+  } catch (error) {
+    console.warn('[voxel] failed to store render mode:', error);
+  }
+  world.markAllDirty();
+  refreshChunkInstances();
+  updateHoverFromPointer();
+}
+
+function setupRenderModeSelect() {
+  if (!renderModeSelect) {
+    return;
+  }
+  renderModeSelect.value = renderMode;
+  renderModeSelect.addEventListener('change', () => {
+    setRenderMode(renderModeSelect.value);
+  });
+}
+
+const highlightMaterial = new THREE.MeshStandardMaterial({
+  color: 0x6fd4ff,
+  transparent: true,
+  opacity: 0.32,
+  roughness: 0.6,
+  metalness: 0.0,
+  depthWrite: false,
   emissive: 0x3a78ff,
   emissiveIntensity: 0.25,
 });
-const highlightMesh = new THREE.Mesh(getBlockGeometry(blockTypeById.get(Block.GRASS)), highlightMaterial.clone());
+const highlightMesh = new THREE.Mesh(blockGeometry, highlightMaterial.clone());
 highlightMesh.visible = false;
 highlightMesh.renderOrder = 5;
 scene.add(highlightMesh);
 
+// Multi-cell ghost for the shape tools, one instance per affected cell
+const SHAPE_MAX_CELLS = 8192;
+const shapePreviewMesh = new THREE.InstancedMesh(
+  new THREE.BoxGeometry(VOXEL_SIZE * 1.02, VOXEL_SIZE * 1.02, VOXEL_SIZE * 1.02),
+  highlightMaterial.clone(),
+  SHAPE_MAX_CELLS,
+);
+shapePreviewMesh.visible = false;
+shapePreviewMesh.renderOrder = 5;
+shapePreviewMesh.frustumCulled = false;
+shapePreviewMesh.count = 0;
+shapePreviewMesh.setColorAt(0, new THREE.Color(0xffffff));
+scene.add(shapePreviewMesh);
+
+// Loose blocks leave their cell as soon as they start falling and are drawn
+// here until they land; the landing cell is written to the world then.
+// Undo history records the whole move up front.
+function createFallingBlocksState() {
+  const geometry = shapeGeometries.cube.clone();
+  const tiles = new THREE.InstancedBufferAttribute(new Float32Array(MAX_FALLING_BLOCKS * 3), 3);
+  const surfaces = new THREE.InstancedBufferAttribute(new Float32Array(MAX_FALLING_BLOCKS * 4), 4);
+  tiles.setUsage(THREE.DynamicDrawUsage);
+  surfaces.setUsage(THREE.DynamicDrawUsage);
+  geometry.setAttribute('instanceTiles', tiles);
+  geometry.setAttribute('instanceSurface', surfaces);
+
+  const material = getLayerMaterial(RENDER_LAYER_BY_KEY[RenderLayer.OPAQUE]);
+  const mesh = new THREE.InstancedMesh(geometry, material, MAX_FALLING_BLOCKS);
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.frustumCulled = false;
+  mesh.count = 0;
+  scene.add(mesh);
+  return { mesh, tiles, surfaces };
+}
+
+const fallingBlocksState = createFallingBlocksState();
+
+function isLooseBlock(blockId) {
+  return Boolean(blockTypeById.get(blockId)?.gravity);
+}
+
+function isSupportBlock(blockId) {
+  return blockId !== Block.AIR && !blockTypeById.get(blockId)?.liquid;
+}
+
+// Starts every loose block above the edited cells falling. Returns the
+// cell changes of the moves for the edit's undo step.
+function settleLooseBlocks(cells) {
+  const moves = collectFalls(world, cells, { isLoose: isLooseBlock, isSupport: isSupportBlock });
+  const changes = [];
+  moves.forEach((move) => {
+    const { from, to, value, replaced } = move;
+    world.setCell(from.x, from.y, from.z, Block.AIR);
+    fluidSimulation.activate(from.x, from.y, from.z);
+    changes.push({ cell: from, from: value, to: Block.AIR });
+    if (to) {
+      changes.push({ cell: to, from: replaced, to: value });
+    }
+    if (fallingBlocks.length < MAX_FALLING_BLOCKS) {
+      fallingBlocks.push({
+        move,
+        distance: to ? from.y - to.y : FALL_OUT_DISTANCE,
+        delay: move.chain * FALL_CHAIN_DELAY,
+        elapsed: 0,
+      });
+    } else {
+      landFallingBlock({ move });
+    }
+  });
+  return changes;
+}
+
+function landFallingBlock({ move }) {
+  const { to, value } = move;
+  if (!to) {
+    return;
+  }
+  world.setCell(to.x, to.y, to.z, value);
+  fluidSimulation.activate(to.x, to.y, to.z);
+}
+
+// Finishes every fall at once, before anything else edits or saves the world
+function landFallingBlocks() {
+  if (fallingBlocks.length === 0) {
+    return;
+  }
+  fallingBlocks.forEach(landFallingBlock);
+  fallingBlocks.length = 0;
+  fallingBlocksState.mesh.count = 0;
+  refreshChunkInstances();
+}
+
+function updateFallingBlocks(delta) {
+  const { mesh, tiles, surfaces } = fallingBlocksState;
+  if (fallingBlocks.length === 0) {
+    mesh.count = 0;
+    return;
+  }
+  let landed = false;
+  let slot = 0;
+  for (let i = 0; i < fallingBlocks.length; i += 1) {
+    const falling = fallingBlocks[i];
+    falling.elapsed += delta;
+    const time = Math.max(0, falling.elapsed - falling.delay);
+    const drop = Math.min(falling.distance, 0.5 * FALL_ACCELERATION * time * time);
+    if (drop >= falling.distance) {
+      landFallingBlock(falling);
+      landed = true;
+      continue;
+    }
+    const { from, to, value } = falling.move;
+    const blockId = cellValueBlock(value);
+    const info = getBlockRenderInfo(blockId);
+    const pos = cellToWorld(from.x, from.y, from.z);
+    pos.y -= drop * VOXEL_SIZE;
+    setStateQuaternion(tmpQuaternion, info, cellValueState(value));
+    tmpMatrix.compose(pos, tmpQuaternion, tmpScale);
+    mesh.setMatrixAt(slot, tmpMatrix);
+
+    // Tint as the landing cell will, so the block does not flicker on landing
+    const tintCell = to ?? from;
+    const variationStrength = blockTypeById.get(blockId)?.variation ?? 0.08;
+    const tint = 1 + variationStrength * (randomVariation(tintCell.x, tintCell.y, tintCell.z) - 0.5);
+    tmpColor.setScalar(tint * instanceBrightness(tintCell.x, tintCell.y, tintCell.z));
+    mesh.setColorAt(slot, tmpColor);
+    tiles.setXYZ(slot, info.tiles[0], info.tiles[1], info.tiles[2]);
+    surfaces.setXYZW(slot, info.surface[0], info.surface[1], info.surface[2], info.surface[3]);
+    fallingBlocks[slot] = falling;
+    slot += 1;
+  }
+  fallingBlocks.length = slot;
+  mesh.count = slot;
+  mesh.instanceMatrix.needsUpdate = true;
+  if (mesh.instanceColor) {
+    mesh.instanceColor.needsUpdate = true;
+  }
+  tiles.needsUpdate = true;
+  surfaces.needsUpdate = true;
+  if (landed) {
+    refreshChunkInstances();
+    scheduleSave();
+    updateHoverFromPointer();
+  }
+}
+
 // No ground plane in floating island scene; raycast only against block instances
 
 setupBlockPalette();
+setupRenderModeSelect();
+setupTimeControls();
+setupNewIslandDialog();
 updateStats();
 updateHistoryButtons();
 
@@ -1049,242 +2686,1549 @@ if (redoButton) {
   redoButton.addEventListener('click', redo);
 }
 if (resetButton) {
-  resetButton.addEventListener('click', resetChunkState);
+  resetButton.addEventListener('click', () => openNewIslandDialog({ newSlot: false }));
+}
+if (slotSelect) {
+  slotSelect.addEventListener('change', handleSlotSelected);
+}
+slotActionButtons.forEach((button) => {
+  button.addEventListener('click', () => handleSlotAction(button.dataset.slotAction));
+});
+if (importVoxButton && voxFileInput) {
+  importVoxButton.addEventListener('click', () => voxFileInput.click());
+  voxFileInput.addEventListener('change', handleVoxFileSelected);
+}
+if (exportVoxButton) {
+  exportVoxButton.addEventListener('click', exportWorldToVox);
+}
+
+renderer.domElement.style.touchAction = 'none';
+renderer.domElement.style.userSelect = 'none';
+renderer.domElement.style.webkitUserSelect = 'none';
+renderer.domElement.addEventListener('contextmenu', (event) => event.preventDefault());
+
+let hoverPlaceCell = null;
+let hoverRemoveCell = null;
+let hoverFaceNormal = null;
+// Hit height within the hovered face, -0.5 (bottom) .. 0.5 (top)
+let hoverHitOffsetY = 0;
+let lastPointerCoords = null;
+
+const pointerState = {
+  pointerId: null,
+  timer: null,
+  longPressFired: false,
+  placeCell: null,
+  removeCell: null,
+  // Mouse presses remove with the right button or Shift, and place otherwise
+  clickAction: null,
+  startX: 0,
+  startY: 0,
+  // A press that moves turns into a stroke instead of a tap or click
+  moved: false,
+  // Cells and face under the press when it started, which anchor a stroke
+  anchorPlace: null,
+  anchorRemove: null,
+  anchorNormal: null,
+  anchorValue: null,
+  // Undo stack length when the press started; the stroke squashes onto it
+  historyStart: 0,
+  stroke: null,
+};
+
+const LONG_PRESS_MS = 450;
+// Most cells one pointer move paints, so a ray grazing the stroke plane
+// cannot run a line off to the horizon
+const MAX_STROKE_SEGMENT = 24;
+
+// Touch (and pen) taps place and long presses remove; a mouse places with the
+// left button and removes with the right one or Shift. The scheme follows the
+// pointer last used, starting from what the device reports.
+const InputScheme = {
+  TOUCH: 'touch',
+  MOUSE: 'mouse',
+};
+
+let inputScheme = window.matchMedia?.('(pointer: fine)').matches ? InputScheme.MOUSE : InputScheme.TOUCH;
+
+function updateInputScheme(event) {
+  const scheme = event.pointerType === 'mouse' ? InputScheme.MOUSE : InputScheme.TOUCH;
+  if (scheme !== inputScheme) {
+    inputScheme = scheme;
+    applyInputScheme();
+  }
+}
+
+function applyInputScheme() {
+  schemeElements.forEach((element) => {
+    element.hidden = element.dataset.inputScheme !== inputScheme;
+  });
+  updateWalkStatus();
+}
+
+function triggerFeedback(action) {
+  if (typeof window === 'undefined' || typeof window.navigator === 'undefined') {
+    return;
+  }
+  const pattern = action === 'remove' ? [12, 80, 24] : [18];
+  if (typeof window.navigator.vibrate === 'function') {
+    window.navigator.vibrate(pattern);
+  }
+}
+
+function clearPointerTimer() {
+  if (pointerState.timer !== null) {
+    clearTimeout(pointerState.timer);
+    pointerState.timer = null;
+  }
+}
+
+// Ends the press, folding a stroke into a single undo step and handing the
+// camera back to the orbit controls
+function clearPointerState() {
+  clearPointerTimer();
+  if (pointerState.pointerId !== null) {
+    controls.enabled = true;
+    controls.enableRotate = true;
+  }
+  if (pointerState.stroke) {
+    editHistory.squash(pointerState.historyStart, pointerState.stroke.mode === 'remove' ? 'erase' : 'paint');
+    updateHistoryButtons();
+  }
+  pointerState.pointerId = null;
+  pointerState.longPressFired = false;
+  pointerState.placeCell = null;
+  pointerState.removeCell = null;
+  pointerState.clickAction = null;
+  pointerState.moved = false;
+  pointerState.anchorPlace = null;
+  pointerState.anchorRemove = null;
+  pointerState.anchorNormal = null;
+  pointerState.anchorValue = null;
+  pointerState.stroke = null;
+}
+
+// Records where a press on the hovered block started
+function beginPress(event) {
+  pointerState.pointerId = event.pointerId;
+  pointerState.placeCell = cloneCell(hoverPlaceCell);
+  pointerState.removeCell = cloneCell(hoverRemoveCell);
+  pointerState.longPressFired = false;
+  pointerState.startX = event.clientX;
+  pointerState.startY = event.clientY;
+  pointerState.moved = false;
+  pointerState.anchorRemove = cloneCell(hoverRemoveCell);
+  pointerState.anchorNormal = hoverFaceNormal ? { ...hoverFaceNormal } : null;
+  // The layer in front of the face, occupied or not, so a stroke can start
+  // from a face whose neighbour is already filled
+  pointerState.anchorPlace = hoverRemoveCell && hoverFaceNormal
+    ? {
+      x: hoverRemoveCell.x + hoverFaceNormal.x,
+      y: hoverRemoveCell.y + hoverFaceNormal.y,
+      z: hoverRemoveCell.z + hoverFaceNormal.z,
+    }
+    : cloneCell(hoverPlaceCell);
+  pointerState.anchorValue = getPlacementValue(hoverFaceNormal);
+  pointerState.historyStart = editHistory.undoStack.length;
+}
+
+// Selected block packed with the state its placement against `normal` gives
+// it: log axis, stair facing, slab half
+function getPlacementValue(normal) {
+  const blockType = blockTypeById.get(selectedBlockId);
+  const state = placementState(blockType, {
+    normal,
+    hitOffsetY: hoverHitOffsetY,
+    viewDirection: camera.getWorldDirection(tmpViewDirection),
+  });
+  return packCellValue(selectedBlockId, state);
+}
+
+function emitEditEvent(type, cell, value, source = 'user') {
+  const blockId = cellValueBlock(value);
+  emitSandboxEvent(type, {
+    cell: cloneCell(cell),
+    blockId,
+    key: blockTypeById.get(blockId)?.key ?? null,
+    state: cellValueState(value),
+    source,
+  });
+}
+
+function attemptPlace(cell) {
+  if (!cell) {
+    return;
+  }
+  const blockType = blockTypeById.get(selectedBlockId);
+  if (!blockType || blockType.id === Block.AIR) {
+    return;
+  }
+  if (world.getBlock(cell.x, cell.y, cell.z) !== Block.AIR) {
+    return;
+  }
+  // Walker cells share world cell coordinates
+  if (walkState.active && walker.overlapsCell(cell.x, cell.y, cell.z)) {
+    return;
+  }
+  const value = getPlacementValue(hoverFaceNormal);
+  if (!commitCellChanges([{ cell: cloneCell(cell), to: value }], 'place')) {
+    return;
+  }
+  emitEditEvent('blockPlaced', cell, value);
+  triggerFeedback('place');
+  hoverPlaceCell = null;
+  hoverRemoveCell = null;
+  updateHoverFromPointer();
+}
+
+function attemptRemove(cell) {
+  if (!cell) {
+    return;
+  }
+  const existing = world.getCell(cell.x, cell.y, cell.z);
+  if (cellValueBlock(existing) === Block.AIR) {
+    return;
+  }
+  if (!commitCellChanges([{ cell: cloneCell(cell), to: Block.AIR }], 'remove')) {
+    return;
+  }
+  emitEditEvent('blockRemoved', cell, existing);
+  triggerFeedback('remove');
+  hoverPlaceCell = null;
+  hoverRemoveCell = null;
+  updateHoverFromPointer();
+}
+
+function setPointerFromEvent(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  const x = (event.clientX - rect.left) / rect.width;
+  const y = (event.clientY - rect.top) / rect.height;
+  pointer.set(x * 2 - 1, -(y * 2 - 1));
+  lastPointerCoords = { x: pointer.x, y: pointer.y };
+}
+
+function updateHover(event) {
+  setPointerFromEvent(event);
+  updateHoverFromPointer();
+}
+
+function updateHoverFromPointer() {
+  if (!lastPointerCoords) {
+    hoverPlaceCell = null;
+    hoverRemoveCell = null;
+    updateHighlight();
+    return;
+  }
+
+  pointer.set(lastPointerCoords.x, lastPointerCoords.y);
+  raycaster.setFromCamera(pointer, camera);
+
+  hoverPlaceCell = null;
+  hoverRemoveCell = null;
+  hoverFaceNormal = null;
+
+  const intersections = raycaster.intersectObjects(intersectables, false);
+  if (intersections.length === 0) {
+    updateHighlight();
+    return;
+  }
+
+  const hit = intersections[0];
+
+  if (renderMeshes.has(hit.object) && hit.face) {
+    tmpNormal.copy(hit.face.normal);
+    if (hit.instanceId !== undefined) {
+      // Face normals are in the shape's own frame; rotated blocks need the instance transform
+      hit.object.getMatrixAt(hit.instanceId, tmpMatrix);
+      tmpNormal.transformDirection(tmpMatrix);
+    }
+    tmpNormal.set(Math.round(tmpNormal.x), Math.round(tmpNormal.y), Math.round(tmpNormal.z));
+    // Step just inside the face: slabs and stairs have faces inside their cell
+    const pointInside = hit.point.clone().addScaledVector(tmpNormal, -0.01 * VOXEL_SIZE);
+    const hitCell = worldPointToCell(pointInside);
+
+    if (hitCell) {
+      hoverRemoveCell = hitCell;
+      hoverFaceNormal = { x: tmpNormal.x, y: tmpNormal.y, z: tmpNormal.z };
+      hoverHitOffsetY = hit.point.y / VOXEL_SIZE - hitCell.y;
+
+      const adjacentCell = {
+        x: hitCell.x + tmpNormal.x,
+        y: hitCell.y + tmpNormal.y,
+        z: hitCell.z + tmpNormal.z,
+      };
+
+      if (world.inBounds(adjacentCell.x, adjacentCell.y, adjacentCell.z)) {
+        if (world.getBlock(adjacentCell.x, adjacentCell.y, adjacentCell.z) === Block.AIR) {
+          hoverPlaceCell = adjacentCell;
+        }
+      }
+    }
+  }
+
+  updateHighlight();
+}
+
+function updateHighlight() {
+  updateShapePreview();
+  const activeCell = hoverPlaceCell || hoverRemoveCell;
+  if (!activeCell || shapeState.pointerId !== null) {
+    highlightMesh.visible = false;
+    return;
+  }
+
+  const pos = cellToWorld(activeCell.x, activeCell.y, activeCell.z);
+  highlightMesh.position.set(pos.x, pos.y, pos.z);
+
+  const isPlacement = Boolean(hoverPlaceCell);
+  highlightMesh.material.color.set(isPlacement ? 0x6fd4ff : 0xff6f6b);
+  highlightMesh.material.emissive.set(isPlacement ? 0x3a78ff : 0x7a1c1c);
+  highlightMesh.visible = true;
+}
+
+function handlePointerMove(event) {
+  updateInputScheme(event);
+  if (walkState.active) {
+    handleWalkPointerMove(event);
+    return;
+  }
+  updateHover(event);
+
+  if (activeTool !== Tool.SINGLE) {
+    handleShapePointerMove(event);
+    return;
+  }
+
+  if (pointerState.pointerId !== event.pointerId) {
+    return;
+  }
+  if (pointerState.stroke) {
+    extendStroke();
+    return;
+  }
+  pointerState.placeCell = cloneCell(hoverPlaceCell);
+  pointerState.removeCell = cloneCell(hoverRemoveCell);
+  if (!pointerState.removeCell) {
+    clearPointerTimer();
+  }
+  const dx = event.clientX - pointerState.startX;
+  const dy = event.clientY - pointerState.startY;
+  if (Math.hypot(dx, dy) > TAP_MOVE_TOLERANCE_PX) {
+    pointerState.moved = true;
+    clearPointerTimer();
+    // After a long press has removed a block, dragging keeps erasing
+    const erase = pointerState.longPressFired || pointerState.clickAction === 'remove';
+    if (startStroke(erase ? 'remove' : 'place')) {
+      extendStroke();
+    }
+  }
+}
+
+function handlePointerDown(event) {
+  updateInputScheme(event);
+  if (walkState.active) {
+    handleWalkPointerDown(event);
+    return;
+  }
+  if (inputScheme === InputScheme.MOUSE && event.button === 1) {
+    // Keep the browser from starting autoscroll
+    event.preventDefault();
+    updateHover(event);
+    pickHoveredBlock();
+    return;
+  }
+  if (activeTool !== Tool.SINGLE) {
+    handleShapePointerDown(event);
+    return;
+  }
+  if (inputScheme === InputScheme.MOUSE) {
+    handleMouseClickDown(event);
+    return;
+  }
+  if (pointerState.pointerId !== null || event.button > 0 || activeTouches.size > 1) {
+    return;
+  }
+
+  updateHover(event);
+  if (!hoverPlaceCell && !hoverRemoveCell) {
+    return;
+  }
+
+  beginPress(event);
+  // One finger paints from here; two still pan and zoom (see trackTouchDown)
+  controls.enableRotate = false;
+
+  if (pointerState.removeCell) {
+    pointerState.timer = window.setTimeout(() => {
+      attemptRemove(pointerState.removeCell);
+      pointerState.longPressFired = true;
+    }, LONG_PRESS_MS);
+  }
+}
+
+function handleMouseClickDown(event) {
+  const remove = event.button === 2 || (event.button === 0 && event.shiftKey);
+  if (pointerState.pointerId !== null || (event.button !== 0 && !remove)) {
+    return;
+  }
+  updateHover(event);
+  if (!(remove ? hoverRemoveCell : hoverPlaceCell)) {
+    return;
+  }
+  beginPress(event);
+  pointerState.clickAction = remove ? 'remove' : 'place';
+  // Dragging from a block paints instead of orbiting the camera
+  controls.enabled = false;
+}
+
+// Touch pointers currently down
+const activeTouches = new Set();
+
+// A second finger turns the press into a two-finger pan and zoom. This runs
+// in the capture phase, so the stroke is dropped and the camera controls are
+// back before the orbit controls see the new pointer.
+function trackTouchDown(event) {
+  if (event.pointerType !== 'touch') {
+    return;
+  }
+  activeTouches.add(event.pointerId);
+  if (activeTouches.size > 1 && pointerState.pointerId !== null) {
+    clearPointerState();
+  }
+}
+
+function trackTouchUp(event) {
+  activeTouches.delete(event.pointerId);
+}
+
+// Drag-to-paint. Dragging from a block face places the selected block in
+// every cell the pointer crosses; a long press, or a right or Shift drag with
+// a mouse, erases instead. A stroke stays in the layer of cells the first
+// face touched, so it never climbs the walls it meets, and all of it undoes
+// in one step.
+function startStroke(mode) {
+  const layer = mode === 'remove' ? pointerState.anchorRemove : pointerState.anchorPlace;
+  if (!layer || !pointerState.anchorNormal) {
+    return false;
+  }
+  pointerState.stroke = {
+    mode,
+    layer: cloneCell(layer),
+    normal: { ...pointerState.anchorNormal },
+    value: mode === 'remove' ? Block.AIR : pointerState.anchorValue,
+    last: cloneCell(layer),
+  };
+  paintStrokeCells([layer]);
+  return true;
+}
+
+function extendStroke() {
+  const { stroke } = pointerState;
+  const target = projectPointerToPlane(stroke.layer, stroke.normal);
+  if (!target) {
+    return;
+  }
+  ['x', 'y', 'z'].forEach((axis) => {
+    if (stroke.normal[axis] !== 0) {
+      target[axis] = stroke.layer[axis];
+    }
+  });
+  if (target.x === stroke.last.x && target.y === stroke.last.y && target.z === stroke.last.z) {
+    return;
+  }
+  // Fill the cells between pointer events so fast drags leave no gaps
+  const cells = lineCells(stroke.last, target, MAX_STROKE_SEGMENT + 1).slice(1);
+  stroke.last = cells[cells.length - 1];
+  paintStrokeCells(cells);
+}
+
+function paintStrokeCells(cells) {
+  const { mode, value } = pointerState.stroke;
+  const removing = mode === 'remove';
+  const edits = [];
+  cells.forEach((cell) => {
+    if (!world.inBounds(cell.x, cell.y, cell.z)) {
+      return;
+    }
+    const from = world.getCell(cell.x, cell.y, cell.z);
+    if ((cellValueBlock(from) === Block.AIR) === removing) {
+      return;
+    }
+    edits.push({ cell: cloneCell(cell), from, to: value });
+  });
+  if (edits.length === 0) {
+    return;
+  }
+  if (!commitCellChanges(edits.map(({ cell, to }) => ({ cell, to })), removing ? 'erase' : 'paint')) {
+    return;
+  }
+  edits.forEach(({ cell, from, to }) => {
+    emitEditEvent(removing ? 'blockRemoved' : 'blockPlaced', cell, removing ? from : to);
+  });
+  triggerFeedback(mode);
+  updateHoverFromPointer();
+}
+
+// Selects the hovered block, if it is one the palette offers
+function pickHoveredBlock() {
+  if (!hoverRemoveCell) {
+    return;
+  }
+  const blockId = world.getBlock(hoverRemoveCell.x, hoverRemoveCell.y, hoverRemoveCell.z);
+  if (placeableBlocks.some((blockType) => blockType.id === blockId)) {
+    setSelectedBlock(blockId);
+  }
+}
+
+function handlePointerUp(event) {
+  if (shapeState.pointerId === event.pointerId) {
+    handleShapePointerUp();
+    return;
+  }
+  if (pointerState.pointerId !== event.pointerId) {
+    return;
+  }
+
+  const { clickAction, moved, longPressFired } = pointerState;
+  const placeCell = cloneCell(pointerState.placeCell);
+  const removeCell = cloneCell(pointerState.removeCell);
+  clearPointerState();
+  // A press that moved was a stroke (or a drag off the island)
+  if (moved) {
+    return;
+  }
+  if (clickAction === 'remove') {
+    attemptRemove(removeCell);
+  } else if (!longPressFired) {
+    attemptPlace(placeCell);
+  }
+}
+
+function handlePointerCancel(event) {
+  if (shapeState.pointerId === event.pointerId) {
+    clearShapeState();
+    return;
+  }
+  if (pointerState.pointerId !== event.pointerId) {
+    return;
+  }
+  clearPointerState();
+}
+
+function handlePointerLeave() {
+  if (walkState.active) {
+    return;
+  }
+  hoverPlaceCell = null;
+  hoverRemoveCell = null;
+  updateHighlight();
+  clearPointerState();
+  lastPointerCoords = null;
+}
+
+const Tool = {
+  SINGLE: 'single',
+  BOX: 'box',
+  HOLLOW_BOX: 'hollow-box',
+  WALL: 'wall',
+  SPHERE: 'sphere',
+  LINE: 'line',
+  FILL: 'fill',
+  SELECT: 'select',
+  PASTE: 'paste',
+  STAMP: 'stamp',
+};
+
+// Tools that act on a tap rather than a drag; a drag still orbits the camera
+const TAP_TOOLS = new Set([Tool.FILL, Tool.PASTE, Tool.STAMP]);
+// Tools that place a clipboard-shaped source: the clipboard or a blueprint
+const PLACEMENT_TOOLS = new Set([Tool.PASTE, Tool.STAMP]);
+// Tools that start on an existing block rather than the empty cell in front of it
+const BLOCK_ANCHORED_TOOLS = new Set([Tool.FILL, Tool.SELECT]);
+
+// Drag tools span the cells between the press and release points
+const shapeGenerators = {
+  [Tool.BOX]: boxCells,
+  [Tool.HOLLOW_BOX]: hollowBoxCells,
+  [Tool.WALL]: wallCells,
+  [Tool.SPHERE]: ellipsoidCells,
+  [Tool.LINE]: lineCells,
+  [Tool.SELECT]: boxCells,
+};
+
+const TAP_MOVE_TOLERANCE_PX = 8;
+
+let activeTool = Tool.SINGLE;
+// Tools added through the scripting API, by id
+const scriptTools = new Map();
+
+const shapeState = {
+  pointerId: null,
+  anchor: null,
+  normal: null,
+  // Packed block and state the shape places, fixed when the drag starts
+  value: null,
+  end: null,
+  startX: 0,
+  startY: 0,
+  moved: false,
+};
+
+function setActiveTool(tool) {
+  if (!Object.values(Tool).includes(tool) && !scriptTools.has(tool)) {
+    return;
+  }
+  clearShapeState();
+  clearPointerState();
+  activeTool = tool;
+  toolButtons.forEach((button) => {
+    button.classList.toggle('active', button.dataset.tool === activeTool);
+  });
+  renderBlueprintPalette();
+  updateHighlight();
+}
+
+function setupToolPalette() {
+  toolButtons.forEach((button) => {
+    button.addEventListener('click', () => setActiveTool(button.dataset.tool));
+  });
+  selectionActionButtons.forEach((button) => {
+    button.addEventListener('click', () => handleSelectionAction(button.dataset.selectionAction));
+  });
+  blueprintActionButtons.forEach((button) => {
+    button.addEventListener('click', () => handleBlueprintAction(button.dataset.blueprintAction));
+  });
+  setActiveTool(activeTool);
+  updateSelectionButtons();
+}
+
+function setToolStatus(text) {
+  if (toolStatusElement) {
+    toolStatusElement.textContent = text;
+  }
+}
+
+// Region picked with the select tool and the in-app clipboard
+let selection = null;
+let clipboard = null;
+
+const selectionBox = new THREE.Box3();
+const selectionHelper = new THREE.Box3Helper(selectionBox, 0xffc76f);
+selectionHelper.visible = false;
+selectionHelper.renderOrder = 6;
+scene.add(selectionHelper);
+
+function updateSelectionHelper() {
+  if (!selection) {
+    selectionHelper.visible = false;
+    return;
+  }
+  const { min, max } = selection;
+  const lower = cellToWorld(min.x, min.y, min.z);
+  selectionBox.min.set(
+    lower.x - VOXEL_SIZE / 2,
+    lower.y - VOXEL_SIZE / 2,
+    lower.z - VOXEL_SIZE / 2,
+  );
+  const upper = cellToWorld(max.x, max.y, max.z);
+  selectionBox.max.set(
+    upper.x + VOXEL_SIZE / 2,
+    upper.y + VOXEL_SIZE / 2,
+    upper.z + VOXEL_SIZE / 2,
+  );
+  selectionHelper.visible = true;
+}
+
+function updateSelectionButtons() {
+  selectionActionButtons.forEach((button) => {
+    const action = button.dataset.selectionAction;
+    const needsSelection = action === 'copy' || action === 'cut' || action === 'clear';
+    button.disabled = needsSelection ? !selection : !clipboard;
+  });
+}
+
+function setSelection(region) {
+  selection = region;
+  updateSelectionHelper();
+  updateSelectionButtons();
+  if (region) {
+    const size = regionSize(region);
+    setToolStatus(`Selected ${size.x}×${size.y}×${size.z}`);
+  }
+  emitSandboxEvent('selectionChanged', { region: region ? normalizeRegion(region.min, region.max) : null });
+}
+
+function copySelection({ cut = false } = {}) {
+  if (!selection) {
+    return;
+  }
+  clipboard = copyRegion(world, selection);
+  setToolStatus(`${cut ? 'Cut' : 'Copied'} ${clipboard.cells.length} blocks`);
+  if (cut) {
+    const edits = placeClipboard(clipboard, selection.min).map((cell) => ({
+      cell: { x: cell.x, y: cell.y, z: cell.z },
+      to: Block.AIR,
+    }));
+    if (commitCellChanges(edits, 'cut')) {
+      triggerFeedback('remove');
+    }
+  }
+  updateSelectionButtons();
+}
+
+function transformClipboard(transform) {
+  if (!clipboard) {
+    return;
+  }
+  clipboard = transform(clipboard);
+  updateHighlight();
+}
+
+function getPlacementSource() {
+  if (activeTool === Tool.STAMP) {
+    return activeBlueprint;
+  }
+  return activeTool === Tool.PASTE ? clipboard : null;
+}
+
+// Writes a clipboard-shaped source at `cell` as one undo step; cells outside
+// the world are skipped and reported.
+function placeSourceAt(source, cell, label) {
+  if (!source || !cell) {
+    return;
+  }
+  const placed = placeClipboard(source, clipboardOriginAt(source, cell));
+  const inside = placed.filter((target) => world.inBounds(target.x, target.y, target.z));
+  const clipped = placed.length - inside.length;
+  const edits = inside.map((target) => ({
+    cell: { x: target.x, y: target.y, z: target.z },
+    to: packCellValue(target.blockId, target.state),
+  }));
+  if (commitCellChanges(edits, label)) {
+    triggerFeedback('place');
+  }
+  const verb = label === Tool.STAMP ? 'Stamped' : 'Pasted';
+  setToolStatus(clipped > 0
+    ? `${verb} ${inside.length} blocks, ${clipped} clipped`
+    : `${verb} ${inside.length} blocks`);
+}
+
+const BLUEPRINT_STORAGE_KEY = 'voxel-sandbox-blueprints';
+// The blueprint being stamped, resolved to block ids and rotated in place
+let activeBlueprint = null;
+let activeBlueprintId = null;
+let savedBlueprints = loadSavedBlueprints();
+
+function loadSavedBlueprints() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(BLUEPRINT_STORAGE_KEY) ?? '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.warn('[voxel] failed to load blueprints:', error);
+    return [];
+  }
+}
+
+function storeSavedBlueprints() {
+  try {
+    window.localStorage.setItem(BLUEPRINT_STORAGE_KEY, JSON.stringify(savedBlueprints));
+  } catch (error) {
+    console.warn('[voxel] failed to store blueprints:', error);
+  }
+}
+
+function getAllBlueprints() {
+  return [...BUILTIN_BLUEPRINTS, ...savedBlueprints];
+}
+
+function selectBlueprint(id) {
+  const blueprint = getAllBlueprints().find((candidate) => candidate.id === id);
+  if (!blueprint) {
+    return;
+  }
+  activeBlueprint = resolveBlueprint(blueprint, blockIdByKey);
+  activeBlueprintId = id;
+  setActiveTool(Tool.STAMP);
+  setToolStatus(`Stamping ${blueprint.name}`);
+}
+
+function saveSelectionAsBlueprint() {
+  if (!selection) {
+    setToolStatus('Select a region first');
+    return;
+  }
+  const region = copyRegion(world, selection);
+  if (region.cells.length === 0) {
+    setToolStatus('Selection is empty');
+    return;
+  }
+  const name = window.prompt('Blueprint name', `Blueprint ${savedBlueprints.length + 1}`);
+  if (!name || !name.trim()) {
+    return;
+  }
+  const keyById = new Map(blockRegistry.list().map((blockType) => [blockType.id, blockType.key]));
+  const id = `custom-${Date.now().toString(36)}`;
+  savedBlueprints = [...savedBlueprints, blueprintFromClipboard(id, name.trim(), region, keyById)];
+  storeSavedBlueprints();
+  renderBlueprintPalette();
+  setToolStatus(`Saved blueprint ${name.trim()}`);
+}
+
+function renderBlueprintPalette() {
+  if (!blueprintGrid) {
+    return;
+  }
+  blueprintGrid.replaceChildren(...getAllBlueprints().map((blueprint) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'block-btn';
+    button.dataset.blueprint = blueprint.id;
+    button.textContent = blueprint.name;
+    button.classList.toggle('active', activeTool === Tool.STAMP && blueprint.id === activeBlueprintId);
+    button.addEventListener('click', () => selectBlueprint(blueprint.id));
+    return button;
+  }));
+}
+
+function handleBlueprintAction(action) {
+  if (action === 'rotate' && activeBlueprint) {
+    activeBlueprint = rotateClipboardY(activeBlueprint, 1);
+    updateHighlight();
+  } else if (action === 'save') {
+    saveSelectionAsBlueprint();
+  }
+}
+
+function handleSelectionAction(action) {
+  if (action === 'copy') {
+    copySelection();
+  } else if (action === 'cut') {
+    copySelection({ cut: true });
+  } else if (action === 'paste') {
+    if (clipboard) {
+      setActiveTool(Tool.PASTE);
+    }
+  } else if (action === 'rotate') {
+    transformClipboard((current) => rotateClipboardY(current, 1));
+  } else if (action === 'mirror-x') {
+    transformClipboard((current) => mirrorClipboard(current, 'x'));
+  } else if (action === 'mirror-z') {
+    transformClipboard((current) => mirrorClipboard(current, 'z'));
+  } else if (action === 'clear') {
+    setSelection(null);
+    setToolStatus('');
+  }
+}
+
+function clearShapeState() {
+  if (shapeState.pointerId !== null) {
+    controls.enabled = true;
+  }
+  shapeState.pointerId = null;
+  shapeState.anchor = null;
+  shapeState.normal = null;
+  shapeState.value = null;
+  shapeState.end = null;
+  shapeState.moved = false;
+  updateShapePreview();
+}
+
+// The fill preview follows every pointer move, so the flood fill is kept
+// until its start cell or the world changes
+const floodFillPreview = { key: null, revision: -1, cells: [] };
+
+function previewFloodFill(start) {
+  const key = `${start.x},${start.y},${start.z}`;
+  if (floodFillPreview.key !== key || floodFillPreview.revision !== worldRevision) {
+    floodFillPreview.key = key;
+    floodFillPreview.revision = worldRevision;
+    floodFillPreview.cells = floodFillCells(world, start, SHAPE_MAX_CELLS);
+  }
+  return floodFillPreview.cells;
+}
+
+// Cells the active tool would change for the current pointer state
+function getShapeCells() {
+  if (PLACEMENT_TOOLS.has(activeTool)) {
+    const source = getPlacementSource();
+    const target = shapeState.anchor ?? hoverPlaceCell;
+    if (!source || !target) {
+      return [];
+    }
+    return placeClipboard(source, clipboardOriginAt(source, target));
+  }
+  if (activeTool === Tool.FILL) {
+    const start = shapeState.anchor ?? hoverRemoveCell;
+    return start ? previewFloodFill(start) : [];
+  }
+  const generate = shapeGenerators[activeTool];
+  if (!generate || shapeState.pointerId === null || !shapeState.end) {
+    return [];
+  }
+  return generate(shapeState.anchor, shapeState.end, SHAPE_MAX_CELLS);
+}
+
+function updateShapePreview() {
+  if (activeTool === Tool.SINGLE) {
+    shapePreviewMesh.visible = false;
+    return;
+  }
+  const cells = getShapeCells().slice(0, SHAPE_MAX_CELLS);
+  const tooLarge = cells.length >= SHAPE_MAX_CELLS;
+  cells.forEach((cell, index) => {
+    const pos = cellToWorld(cell.x, cell.y, cell.z);
+    tmpMatrix.makeTranslation(pos.x, pos.y, pos.z);
+    shapePreviewMesh.setMatrixAt(index, tmpMatrix);
+    // Pasted cells show their block colour; clipped ones show red
+    if (cell.blockId !== undefined && world.inBounds(cell.x, cell.y, cell.z)) {
+      tmpColor.set(blockTypeById.get(cell.blockId)?.colors?.side ?? 0xffffff);
+    } else if (cell.blockId !== undefined) {
+      tmpColor.set(0xff6f6b);
+    } else {
+      tmpColor.setScalar(1);
+    }
+    shapePreviewMesh.setColorAt(index, tmpColor);
+  });
+  shapePreviewMesh.count = cells.length;
+  shapePreviewMesh.instanceMatrix.needsUpdate = true;
+  if (shapePreviewMesh.instanceColor) {
+    shapePreviewMesh.instanceColor.needsUpdate = true;
+  }
+  const isPaste = PLACEMENT_TOOLS.has(activeTool);
+  shapePreviewMesh.material.color.set(tooLarge ? 0xff6f6b : isPaste ? 0xffffff : 0x6fd4ff);
+  shapePreviewMesh.material.emissive.set(tooLarge ? 0x7a1c1c : isPaste ? 0x1b2a40 : 0x3a78ff);
+  shapePreviewMesh.visible = cells.length > 0;
+}
+
+// Intersects the pointer ray with the plane of the anchor's hit face, so a
+// drag can continue over empty space.
+const shapePlane = new THREE.Plane();
+const shapePlaneNormal = new THREE.Vector3();
+const shapePlanePoint = new THREE.Vector3();
+
+function projectPointerToAnchorPlane() {
+  const { anchor, normal } = shapeState;
+  if (!anchor || !normal) {
+    return null;
+  }
+  return projectPointerToPlane(anchor, normal);
+}
+
+// Cell where the pointer ray crosses the plane through `cell`'s centre
+// facing `normal`
+function projectPointerToPlane(cell, normal) {
+  if (!lastPointerCoords) {
+    return null;
+  }
+  shapePlaneNormal.set(normal.x, normal.y, normal.z);
+  shapePlane.setFromNormalAndCoplanarPoint(shapePlaneNormal, cellToWorld(cell.x, cell.y, cell.z));
+  pointer.set(lastPointerCoords.x, lastPointerCoords.y);
+  raycaster.setFromCamera(pointer, camera);
+  if (!raycaster.ray.intersectPlane(shapePlane, shapePlanePoint)) {
+    return null;
+  }
+  return worldPointToCell(shapePlanePoint);
+}
+
+function handleShapePointerDown(event) {
+  if (shapeState.pointerId !== null || event.button > 0) {
+    return;
+  }
+  updateHover(event);
+  const anchor = BLOCK_ANCHORED_TOOLS.has(activeTool) ? hoverRemoveCell : hoverPlaceCell;
+  if (!anchor) {
+    return;
+  }
+  shapeState.pointerId = event.pointerId;
+  shapeState.anchor = cloneCell(anchor);
+  shapeState.normal = hoverFaceNormal ? { ...hoverFaceNormal } : { x: 0, y: 1, z: 0 };
+  shapeState.value = getPlacementValue(shapeState.normal);
+  shapeState.end = cloneCell(anchor);
+  shapeState.startX = event.clientX;
+  shapeState.startY = event.clientY;
+  shapeState.moved = false;
+  if (!TAP_TOOLS.has(activeTool)) {
+    // Dragging draws the shape instead of orbiting the camera
+    controls.enabled = false;
+  }
+  updateHighlight();
+}
+
+function handleShapePointerMove(event) {
+  if (shapeState.pointerId !== event.pointerId) {
+    return;
+  }
+  const dx = event.clientX - shapeState.startX;
+  const dy = event.clientY - shapeState.startY;
+  if (Math.hypot(dx, dy) > TAP_MOVE_TOLERANCE_PX) {
+    shapeState.moved = true;
+  }
+  if (TAP_TOOLS.has(activeTool)) {
+    return;
+  }
+  const hoverCell = activeTool === Tool.SELECT ? hoverRemoveCell : hoverPlaceCell;
+  const end = hoverCell ?? projectPointerToAnchorPlane();
+  if (end) {
+    shapeState.end = cloneCell(end);
+  }
+  updateHighlight();
+}
+
+function handleShapePointerUp() {
+  const cells = getShapeCells();
+  // A tap-tool press that turned into a camera drag should not paint
+  const cancelled = TAP_TOOLS.has(activeTool) && shapeState.moved;
+  const tool = activeTool;
+  const { anchor, end, normal, value } = shapeState;
+  clearShapeState();
+
+  if (cancelled) {
+    updateHoverFromPointer();
+    return;
+  }
+  if (scriptTools.has(tool)) {
+    runScriptTool(scriptTools.get(tool), anchor, normal);
+    updateHoverFromPointer();
+    return;
+  }
+  if (tool === Tool.SELECT) {
+    setSelection(normalizeRegion(anchor, end ?? anchor));
+    updateHoverFromPointer();
+    return;
+  }
+  if (PLACEMENT_TOOLS.has(tool)) {
+    placeSourceAt(getPlacementSource(), anchor, tool);
+    updateHoverFromPointer();
+    return;
+  }
+  if (cells.length === 0 || cells.length >= SHAPE_MAX_CELLS) {
+    if (cells.length >= SHAPE_MAX_CELLS) {
+      setToolStatus('Shape too large');
+    }
+    updateHoverFromPointer();
+    return;
+  }
+  const edits = shapeEdits(world, cells, value ?? selectedBlockId, { overwrite: tool === Tool.FILL });
+  if (commitCellChanges(edits, tool)) {
+    triggerFeedback('place');
+  }
+  updateHoverFromPointer();
 }
 
-renderer.domElement.style.touchAction = 'none';
-renderer.domElement.style.userSelect = 'none';
-renderer.domElement.style.webkitUserSelect = 'none';
-renderer.domElement.addEventListener('contextmenu', (event) => event.preventDefault());
-
-let hoverPlaceCell = null;
-let hoverRemoveCell = null;
-let lastPointerCoords = null;
+setupToolPalette();
 
-const pointerState = {
-  pointerId: null,
-  timer: null,
-  longPressFired: false,
-  placeCell: null,
-  removeCell: null,
-};
+// Scripting API (sandbox-api.js). Script tools act on a tap like Flood Fill.
+const SCRIPT_BLOCK_PACK = 'script';
 
-const LONG_PRESS_MS = 450;
+function addScriptTool(tool) {
+  if (Object.values(Tool).includes(tool.id) || scriptTools.has(tool.id)) {
+    throw new Error(`Tool "${tool.id}" is already registered`);
+  }
+  scriptTools.set(tool.id, tool);
+  TAP_TOOLS.add(tool.id);
+  if (tool.target === 'block') {
+    BLOCK_ANCHORED_TOOLS.add(tool.id);
+  }
+  const grid = toolPalette?.querySelector('.palette-grid');
+  if (grid) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'block-btn';
+    button.dataset.tool = tool.id;
+    button.textContent = tool.label;
+    button.addEventListener('click', () => setActiveTool(tool.id));
+    grid.appendChild(button);
+    toolButtons.push(button);
+  }
+}
 
-function triggerFeedback(action) {
-  if (typeof window === 'undefined' || typeof window.navigator === 'undefined') {
+function runScriptTool(tool, cell, normal) {
+  if (!cell) {
     return;
   }
-  const pattern = action === 'remove' ? [12, 80, 24] : [18];
-  if (typeof window.navigator.vibrate === 'function') {
-    window.navigator.vibrate(pattern);
+  try {
+    tool.use({ cell: cloneCell(cell), normal: normal ? { ...normal } : null, blockId: selectedBlockId });
+  } catch (error) {
+    console.warn(`[voxel] tool "${tool.id}" failed:`, error);
   }
 }
 
-function clearPointerTimer() {
-  if (pointerState.timer !== null) {
-    clearTimeout(pointerState.timer);
-    pointerState.timer = null;
-  }
+function registerScriptBlockType(definition) {
+  const blockType = blockRegistry.register(definition, SCRIPT_BLOCK_PACK);
+  placeableBlocks = blockRegistry.placeable();
+  renderBlockPalette();
+  return blockType;
 }
 
-function clearPointerState() {
-  clearPointerTimer();
-  pointerState.pointerId = null;
-  pointerState.longPressFired = false;
-  pointerState.placeCell = null;
-  pointerState.removeCell = null;
+connectSandbox({
+  getCell: (x, y, z) => world.getCell(x, y, z),
+  inBounds: (x, y, z) => world.inBounds(x, y, z),
+  commit: commitCellChanges,
+  getBlockType: (id) => blockRegistry.get(id),
+  getBlockTypeByKey: (key) => blockRegistry.getByKey(key),
+  registerBlockType: registerScriptBlockType,
+  addTool: addScriptTool,
+  getCamera: () => ({
+    position: { x: camera.position.x, y: camera.position.y, z: camera.position.z },
+    target: { x: controls.target.x, y: controls.target.y, z: controls.target.z },
+  }),
+  setCamera: ({ position, target } = {}) => {
+    if (position) {
+      camera.position.set(position.x, position.y, position.z);
+    }
+    if (target) {
+      controls.target.set(target.x, target.y, target.z);
+    }
+    controls.update();
+    updateHoverFromPointer();
+  },
+  lookAtCell: (cell) => {
+    controls.target.copy(cellToWorld(cell.x, cell.y, cell.z));
+    controls.update();
+    updateHoverFromPointer();
+  },
+  getSelection: () => (selection ? normalizeRegion(selection.min, selection.max) : null),
+});
+window.voxelSandbox = voxelSandbox;
+
+// Desktop shortcuts: number keys and the wheel choose a block, Ctrl/Cmd+Z and
+// Ctrl/Cmd+Shift+Z undo and redo, and WASD slide the view across the island
+// (or walk, in walk mode)
+const MOVE_KEYS = {
+  KeyW: { right: 0, forward: 1 },
+  KeyS: { right: 0, forward: -1 },
+  KeyA: { right: -1, forward: 0 },
+  KeyD: { right: 1, forward: 0 },
+};
+// Share of the camera's distance from its target the view pans per second
+const KEY_PAN_SPEED = 0.9;
+// Wheel travel in pixels that steps the palette once
+const WHEEL_STEP_PX = 40;
+
+const heldMoveKeys = new Set();
+const panForward = new THREE.Vector3();
+const panRight = new THREE.Vector3();
+const panOffset = new THREE.Vector3();
+let wheelTravel = 0;
+
+function isTypingTarget(target) {
+  return target instanceof HTMLElement
+    && (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName));
 }
 
-function cloneCell(cell) {
-  if (!cell) {
-    return null;
+function cyclePlaceableBlock(step) {
+  if (placeableBlocks.length === 0) {
+    return;
   }
-  return { x: cell.x, y: cell.y, z: cell.z };
+  const index = placeableBlocks.findIndex((blockType) => blockType.id === selectedBlockId);
+  const next = index === -1 ? 0 : (index + step + placeableBlocks.length) % placeableBlocks.length;
+  setSelectedBlock(placeableBlocks[next].id);
 }
 
-function attemptPlace(cell) {
-  if (!cell) {
+function handleKeyDown(event) {
+  if (event.defaultPrevented || isTypingTarget(event.target) || document.querySelector('dialog[open]')) {
     return;
   }
-  const blockType = blockTypeById.get(selectedBlockId);
-  if (!blockType || blockType.id === Block.AIR) {
+  const shortcut = event.ctrlKey || event.metaKey;
+  if (shortcut && !event.altKey && event.key.toLowerCase() === 'z') {
+    event.preventDefault();
+    if (event.shiftKey) {
+      redo();
+    } else {
+      undo();
+    }
     return;
   }
-  if (chunk.getBlock(cell.x, cell.y, cell.z) !== Block.AIR) {
+  if (shortcut || event.altKey) {
     return;
   }
-  chunk.setBlock(cell.x, cell.y, cell.z, blockType.id);
-  refreshChunkInstances();
-  scheduleSave();
-  triggerFeedback('place');
-  if (!isRestoring) {
-    pushAction({ type: 'place', blockId: blockType.id, cell: cloneCell(cell) });
+  if (walkState.active && event.code === 'Space') {
+    event.preventDefault();
+    walkState.jumpKey = true;
+    return;
   }
-  hoverPlaceCell = null;
-  hoverRemoveCell = null;
-  updateHoverFromPointer();
-}
-
-function attemptRemove(cell) {
-  if (!cell) {
+  // Pointer lock takes the first Escape; with the mouse free it leaves walk mode
+  if (walkState.active && event.key === 'Escape') {
+    exitWalkMode();
     return;
   }
-  const existing = chunk.getBlock(cell.x, cell.y, cell.z);
-  if (existing === Block.AIR) {
+  // WASD by key position, so other keyboard layouts pan the same way
+  if (MOVE_KEYS[event.code]) {
+    event.preventDefault();
+    heldMoveKeys.add(event.code);
     return;
   }
-  chunk.setBlock(cell.x, cell.y, cell.z, Block.AIR);
-  refreshChunkInstances();
-  scheduleSave();
-  triggerFeedback('remove');
-  if (!isRestoring) {
-    pushAction({ type: 'remove', blockId: existing, cell: cloneCell(cell) });
+  if (/^[1-9]$/.test(event.key)) {
+    const blockType = placeableBlocks[Number(event.key) - 1];
+    if (blockType) {
+      setSelectedBlock(blockType.id);
+    }
   }
-  hoverPlaceCell = null;
-  hoverRemoveCell = null;
-  updateHoverFromPointer();
 }
 
-function setPointerFromEvent(event) {
-  const rect = renderer.domElement.getBoundingClientRect();
-  const x = (event.clientX - rect.left) / rect.width;
-  const y = (event.clientY - rect.top) / rect.height;
-  pointer.set(x * 2 - 1, -(y * 2 - 1));
-  lastPointerCoords = { x: pointer.x, y: pointer.y };
+function handleKeyUp(event) {
+  heldMoveKeys.delete(event.code);
+  if (event.code === 'Space') {
+    walkState.jumpKey = false;
+  }
 }
 
-function updateHover(event) {
-  setPointerFromEvent(event);
+// Moves the orbit target and camera together along the ground, relative to
+// where the camera faces
+function panWithKeys(delta) {
+  let right = 0;
+  let forward = 0;
+  heldMoveKeys.forEach((code) => {
+    right += MOVE_KEYS[code].right;
+    forward += MOVE_KEYS[code].forward;
+  });
+  if (right === 0 && forward === 0) {
+    return;
+  }
+  camera.getWorldDirection(panForward);
+  panForward.y = 0;
+  if (panForward.lengthSq() < 1e-6) {
+    // Looking straight down: forward is the top of the screen
+    panForward.set(0, 1, 0).applyQuaternion(camera.quaternion);
+    panForward.y = 0;
+  }
+  panForward.normalize();
+  panRight.crossVectors(panForward, camera.up).normalize();
+  const distance = camera.position.distanceTo(controls.target);
+  panOffset.set(0, 0, 0)
+    .addScaledVector(panForward, forward)
+    .addScaledVector(panRight, right)
+    .normalize()
+    .multiplyScalar(distance * KEY_PAN_SPEED * delta);
+  controls.target.add(panOffset);
+  camera.position.add(panOffset);
   updateHoverFromPointer();
 }
 
-function updateHoverFromPointer() {
-  if (!lastPointerCoords) {
-    hoverPlaceCell = null;
-    hoverRemoveCell = null;
-    updateHighlight();
+// The wheel over the scene cycles the palette; Ctrl + wheel, which is also
+// how trackpad pinches arrive, is left to the orbit controls to zoom
+function handleSceneWheel(event) {
+  if (event.target !== renderer.domElement || event.ctrlKey) {
     return;
   }
-
-  pointer.set(lastPointerCoords.x, lastPointerCoords.y);
-  raycaster.setFromCamera(pointer, camera);
-
-  hoverPlaceCell = null;
-  hoverRemoveCell = null;
-
-  const intersections = raycaster.intersectObjects(intersectables, false);
-  if (intersections.length === 0) {
-    updateHighlight();
-    return;
+  event.preventDefault();
+  event.stopPropagation();
+  let pixels = event.deltaY;
+  if (event.deltaMode === 1) {
+    pixels *= 33;
+  } else if (event.deltaMode === 2) {
+    pixels *= container.clientHeight;
+  }
+  if (Math.sign(pixels) !== Math.sign(wheelTravel)) {
+    wheelTravel = 0;
   }
+  wheelTravel += pixels;
+  if (Math.abs(wheelTravel) >= WHEEL_STEP_PX) {
+    cyclePlaceableBlock(Math.sign(wheelTravel));
+    wheelTravel = 0;
+  }
+}
 
-  const hit = intersections[0];
+// First-person walk mode: the orbit camera is parked and the view follows a
+// Walker (walker.js). Desktop looks around under pointer lock; touch gets a
+// move stick, a look stick and buttons. Blocks are placed and removed at the
+// crosshair through the usual hover raycast, aimed at the screen centre.
+const WALK_REACH = 6 * VOXEL_SIZE;
+// Radians per pixel of mouse movement
+const MOUSE_LOOK_SPEED = 0.0022;
+// Radians per second with the look stick fully over
+const STICK_LOOK_SPEED = 2.4;
+const WALK_MESSAGE_MS = 2500;
+const NO_BOXES = [];
+const FULL_CELL_BOXES = [[[0, 0, 0], [1, 1, 1]]];
+
+const collisionBox = new THREE.Box3();
+const walkEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+const walkState = {
+  active: false,
+  orbitPosition: new THREE.Vector3(),
+  orbitTarget: new THREE.Vector3(),
+  // Stick positions, -1..1 with y pointing down the screen
+  moveStick: { x: 0, y: 0 },
+  lookStick: { x: 0, y: 0 },
+  jumpKey: false,
+  jumpButton: false,
+  message: null,
+  messageTimer: null,
+};
 
-  if (blockIdByObject.has(hit.object) && hit.face) {
-    tmpNormal.copy(hit.face.normal);
-    const pointInside = hit.point.clone().addScaledVector(tmpNormal, -0.5 * VOXEL_SIZE);
-    const hitCell = worldPointToCell(pointInside);
+// Solid boxes of a cell in 0..1 cell-local units, posed the way the block is
+// drawn, so slabs and stairs can be walked up
+function getCollisionBoxes(x, y, z) {
+  const value = world.getCell(x, y, z);
+  const blockId = cellValueBlock(value);
+  const blockType = blockTypeById.get(blockId);
+  if (blockId === Block.AIR || !blockType || blockType.liquid) {
+    return NO_BOXES;
+  }
+  const info = getBlockRenderInfo(blockId);
+  if (!info || !SHAPE_BOXES[info.shape]) {
+    return FULL_CELL_BOXES;
+  }
+  const state = cellValueState(value);
+  setStateQuaternion(tmpQuaternion, info, state);
+  tmpMatrix.makeRotationFromQuaternion(tmpQuaternion);
+  const lift = info.shape === 'slab' && stateIsUpper(state) ? 0.5 : 0;
+  return SHAPE_BOXES[info.shape].map(([min, max]) => {
+    collisionBox.min.fromArray(min);
+    collisionBox.max.fromArray(max);
+    collisionBox.applyMatrix4(tmpMatrix);
+    return [
+      [collisionBox.min.x + 0.5, collisionBox.min.y + 0.5 + lift, collisionBox.min.z + 0.5],
+      [collisionBox.max.x + 0.5, collisionBox.max.y + 0.5 + lift, collisionBox.max.z + 0.5],
+    ];
+  });
+}
 
-    if (hitCell) {
-      hoverRemoveCell = hitCell;
+const walker = new Walker({
+  getBoxes: getCollisionBoxes,
+  isLiquid: (x, y, z) => fluidSimulation.isLiquid(world.getBlock(x, y, z)),
+  fallLimit: WORLD_LIMITS.minY * CHUNK_HEIGHT - 16,
+});
 
-      const adjacentCell = {
-        x: hitCell.x + tmpNormal.x,
-        y: hitCell.y + tmpNormal.y,
-        z: hitCell.z + tmpNormal.z,
-      };
+// Walker positions are in cells with cell y spanning y..y+1; the scene
+// centres cell y on y
+function walkerToWorld(point, target) {
+  return target.set(
+    point.x * VOXEL_SIZE - halfWidth,
+    (point.y - 0.5) * VOXEL_SIZE,
+    point.z * VOXEL_SIZE - halfDepth,
+  );
+}
 
-      if (chunk.inBounds(adjacentCell.x, adjacentCell.y, adjacentCell.z)) {
-        if (chunk.getBlock(adjacentCell.x, adjacentCell.y, adjacentCell.z) === Block.AIR) {
-          hoverPlaceCell = adjacentCell;
-        }
-      }
+// On top of the column the orbit camera looks at, else the island centre
+function findWalkSpawn() {
+  const columns = [worldPointToCell(controls.target), ISLAND_CENTER].filter(Boolean);
+  for (let i = 0; i < columns.length; i += 1) {
+    const surface = findSurface(world, columns[i].x, columns[i].z);
+    if (surface) {
+      return { x: surface.x + 0.5, y: surface.y + 1, z: surface.z + 0.5 };
     }
   }
+  return { x: ISLAND_CENTER.x + 0.5, y: CHUNK_HEIGHT, z: ISLAND_CENTER.z + 0.5 };
+}
 
-  updateHighlight();
+function isPointerLocked() {
+  return document.pointerLockElement === renderer.domElement;
 }
 
-function updateHighlight() {
-  const activeCell = hoverPlaceCell || hoverRemoveCell;
-  if (!activeCell) {
-    highlightMesh.visible = false;
+function requestWalkPointerLock() {
+  if (typeof renderer.domElement.requestPointerLock !== 'function') {
     return;
   }
-
-  const pos = cellToWorld(activeCell.x, activeCell.y, activeCell.z);
-  highlightMesh.position.set(pos.x, pos.y, pos.z);
-
-  const isPlacement = Boolean(hoverPlaceCell);
-  highlightMesh.material.color.set(isPlacement ? 0x6fd4ff : 0xff6f6b);
-  highlightMesh.material.emissive.set(isPlacement ? 0x3a78ff : 0x7a1c1c);
-  highlightMesh.visible = true;
-}
-
-function handlePointerMove(event) {
-  updateHover(event);
-
-  if (pointerState.pointerId === event.pointerId) {
-    pointerState.placeCell = cloneCell(hoverPlaceCell);
-    pointerState.removeCell = cloneCell(hoverRemoveCell);
-
-    if (!pointerState.removeCell) {
-      clearPointerTimer();
+  try {
+    const request = renderer.domElement.requestPointerLock();
+    if (request && typeof request.catch === 'function') {
+      request.catch((error) => console.warn('[voxel] pointer lock refused:', error));
     }
+  } catch (error) {
+    console.warn('[voxel] pointer lock refused:', error);
   }
 }
 
-function handlePointerDown(event) {
-  if (pointerState.pointerId !== null || event.button > 0) {
+function updateWalkStatus(message) {
+  if (message !== undefined) {
+    window.clearTimeout(walkState.messageTimer);
+    walkState.message = message;
+    walkState.messageTimer = window.setTimeout(() => {
+      walkState.message = null;
+      updateWalkStatus();
+    }, WALK_MESSAGE_MS);
+  }
+  if (!walkStatusElement) {
     return;
   }
+  let text = walkState.message ?? '';
+  if (!text && walkState.active && inputScheme === InputScheme.MOUSE && !isPointerLocked()) {
+    text = 'Click to look around';
+  }
+  walkStatusElement.textContent = text;
+}
 
-  updateHover(event);
-  if (!hoverPlaceCell && !hoverRemoveCell) {
+function enterWalkMode() {
+  if (walkState.active) {
     return;
   }
-
-  pointerState.pointerId = event.pointerId;
-  pointerState.placeCell = cloneCell(hoverPlaceCell);
-  pointerState.removeCell = cloneCell(hoverRemoveCell);
-  pointerState.longPressFired = false;
-
-  if (pointerState.removeCell) {
-    pointerState.timer = window.setTimeout(() => {
-      attemptRemove(pointerState.removeCell);
-      pointerState.longPressFired = true;
-    }, LONG_PRESS_MS);
+  clearShapeState();
+  clearPointerState();
+  walkState.active = true;
+  walkState.orbitPosition.copy(camera.position);
+  walkState.orbitTarget.copy(controls.target);
+  controls.enabled = false;
+  // Start out facing the way the orbit camera did
+  camera.getWorldDirection(tmpViewDirection);
+  walker.yaw = Math.atan2(-tmpViewDirection.x, -tmpViewDirection.z);
+  walker.pitch = 0;
+  walker.spawnAt(findWalkSpawn());
+  raycaster.far = WALK_REACH;
+  lastPointerCoords = { x: 0, y: 0 };
+  heldMoveKeys.clear();
+  container.classList.add('walking');
+  if (walkHud) {
+    walkHud.hidden = false;
+  }
+  if (inputScheme === InputScheme.MOUSE) {
+    requestWalkPointerLock();
   }
+  updateWalkStatus();
 }
 
-function handlePointerUp(event) {
-  if (pointerState.pointerId !== event.pointerId) {
+function exitWalkMode() {
+  if (!walkState.active) {
     return;
   }
+  walkState.active = false;
+  if (isPointerLocked()) {
+    document.exitPointerLock();
+  }
+  walkState.moveStick = { x: 0, y: 0 };
+  walkState.lookStick = { x: 0, y: 0 };
+  walkState.jumpButton = false;
+  camera.position.copy(walkState.orbitPosition);
+  controls.target.copy(walkState.orbitTarget);
+  controls.enabled = true;
+  controls.update();
+  raycaster.far = Infinity;
+  lastPointerCoords = null;
+  updateHoverFromPointer();
+  container.classList.remove('walking');
+  if (walkHud) {
+    walkHud.hidden = true;
+  }
+  updateWalkStatus();
+}
 
-  const placeCell = cloneCell(pointerState.placeCell);
-  const shouldPlace = !pointerState.longPressFired && Boolean(placeCell);
-  clearPointerState();
+function updateWalk(delta) {
+  const { moveStick, lookStick } = walkState;
+  walker.look(-lookStick.x * STICK_LOOK_SPEED * delta, -lookStick.y * STICK_LOOK_SPEED * delta);
+  let forward = -moveStick.y;
+  let right = moveStick.x;
+  heldMoveKeys.forEach((code) => {
+    forward += MOVE_KEYS[code].forward;
+    right += MOVE_KEYS[code].right;
+  });
+  const jump = walkState.jumpKey || walkState.jumpButton;
+  if (walker.update(delta, { forward, right, jump })) {
+    updateWalkStatus('Fell off the island, back to the start');
+  }
+  walkerToWorld(walker.eyePosition(), camera.position);
+  walkEuler.set(walker.pitch, walker.yaw, 0);
+  camera.quaternion.setFromEuler(walkEuler);
+  updateHoverFromPointer();
+}
 
-  if (shouldPlace) {
-    attemptPlace(placeCell);
+function handleWalkPointerMove(event) {
+  if (isPointerLocked()) {
+    walker.look(-event.movementX * MOUSE_LOOK_SPEED, -event.movementY * MOUSE_LOOK_SPEED);
   }
 }
 
-function handlePointerCancel(event) {
-  if (pointerState.pointerId !== event.pointerId) {
+// Touch walks with the on-screen controls; the mouse clicks at the crosshair
+function handleWalkPointerDown(event) {
+  if (inputScheme !== InputScheme.MOUSE) {
     return;
   }
-  clearPointerState();
+  if (!isPointerLocked()) {
+    requestWalkPointerLock();
+    return;
+  }
+  if (event.button === 1) {
+    event.preventDefault();
+    pickHoveredBlock();
+  } else if (event.button === 2 || (event.button === 0 && event.shiftKey)) {
+    attemptRemove(hoverRemoveCell);
+  } else if (event.button === 0) {
+    attemptPlace(hoverPlaceCell);
+  }
 }
 
-function handlePointerLeave() {
-  hoverPlaceCell = null;
-  hoverRemoveCell = null;
-  updateHighlight();
-  clearPointerState();
-  lastPointerCoords = null;
+// Reports the knob's offset from the centre as -1..1 on each axis
+function setupJoystick(element, onChange) {
+  const knob = element.querySelector('.joystick-knob');
+  let pointerId = null;
+  const move = (event) => {
+    const rect = element.getBoundingClientRect();
+    const radius = rect.width / 2;
+    let dx = event.clientX - (rect.left + radius);
+    let dy = event.clientY - (rect.top + rect.height / 2);
+    const length = Math.hypot(dx, dy);
+    if (length > radius) {
+      dx *= radius / length;
+      dy *= radius / length;
+    }
+    if (knob) {
+      knob.style.transform = `translate(${dx}px, ${dy}px)`;
+    }
+    onChange(dx / radius, dy / radius);
+  };
+  const release = (event) => {
+    if (event.pointerId !== pointerId) {
+      return;
+    }
+    pointerId = null;
+    if (knob) {
+      knob.style.transform = '';
+    }
+    onChange(0, 0);
+  };
+  element.addEventListener('pointerdown', (event) => {
+    if (pointerId !== null) {
+      return;
+    }
+    pointerId = event.pointerId;
+    element.setPointerCapture(event.pointerId);
+    move(event);
+  });
+  element.addEventListener('pointermove', (event) => {
+    if (event.pointerId === pointerId) {
+      move(event);
+    }
+  });
+  element.addEventListener('pointerup', release);
+  element.addEventListener('pointercancel', release);
+}
+
+function setupWalkControls() {
+  if (walkModeButton) {
+    walkModeButton.addEventListener('click', enterWalkMode);
+  }
+  if (!walkHud) {
+    return;
+  }
+  walkHud.querySelectorAll('[data-joystick]').forEach((element) => {
+    const stick = element.dataset.joystick === 'look' ? 'lookStick' : 'moveStick';
+    setupJoystick(element, (x, y) => {
+      walkState[stick] = { x, y };
+    });
+  });
+  walkHud.querySelectorAll('[data-walk-action]').forEach((button) => {
+    const action = button.dataset.walkAction;
+    if (action === 'jump') {
+      const setJump = (held) => () => {
+        walkState.jumpButton = held;
+      };
+      button.addEventListener('pointerdown', setJump(true));
+      button.addEventListener('pointerup', setJump(false));
+      button.addEventListener('pointercancel', setJump(false));
+      button.addEventListener('pointerleave', setJump(false));
+      return;
+    }
+    button.addEventListener('click', () => {
+      if (action === 'place') {
+        attemptPlace(hoverPlaceCell);
+      } else if (action === 'remove') {
+        attemptRemove(hoverRemoveCell);
+      } else if (action === 'exit') {
+        exitWalkMode();
+      }
+    });
+  });
 }
 
 renderer.domElement.addEventListener('pointermove', handlePointerMove);
@@ -1292,6 +4236,20 @@ renderer.domElement.addEventListener('pointerdown', handlePointerDown);
 renderer.domElement.addEventListener('pointerleave', handlePointerLeave);
 window.addEventListener('pointerup', handlePointerUp);
 window.addEventListener('pointercancel', handlePointerCancel);
+container.addEventListener('pointerdown', trackTouchDown, { capture: true });
+window.addEventListener('pointerup', trackTouchUp);
+window.addEventListener('pointercancel', trackTouchUp);
+// Captured on the container so the orbit controls never see palette wheel turns
+container.addEventListener('wheel', handleSceneWheel, { capture: true, passive: false });
+window.addEventListener('keydown', handleKeyDown);
+window.addEventListener('keyup', handleKeyUp);
+window.addEventListener('blur', () => {
+  heldMoveKeys.clear();
+  walkState.jumpKey = false;
+});
+document.addEventListener('pointerlockchange', () => updateWalkStatus());
+setupWalkControls();
+applyInputScheme();
 window.addEventListener('beforeunload', flushSave);
 document.addEventListener('visibilitychange', () => {
   if (document.visibilityState !== 'visible') {
@@ -1302,16 +4260,89 @@ document.addEventListener('visibilitychange', () => {
 resizeRenderer();
 window.addEventListener('resize', resizeRenderer);
 
+// Flow edits bypass undo history: undoing the edit that fed or blocked the
+// liquid lets the simulation settle again by itself
+function tickFluids() {
+  if (!fluidSimulation.hasWork()) {
+    return;
+  }
+  const changes = fluidSimulation.step();
+  if (changes.length > 0) {
+    refreshChunkInstances();
+    scheduleSave();
+  }
+}
+
+// Rain pools into open basins and snow settles on exposed tops, a few
+// random columns at a time. Like flow, these edits bypass undo history.
+function canHoldSnow(blockId) {
+  const blockType = blockTypeById.get(blockId);
+  return getBlockRenderInfo(blockId)?.shape === 'cube' && !blockType?.liquid && !blockType?.transparent;
+}
+
+function isLiquidSource(x, y, z) {
+  return isSourceState(world.getState(x, y, z));
+}
+
+function settleWeather() {
+  const { rain, snow } = weatherConditions;
+  const intensity = Math.max(rain, snow);
+  const attempts = Math.round(intensity * WEATHER_SETTLE_ATTEMPTS);
+  if (attempts === 0) {
+    return;
+  }
+  const chunks = [];
+  world.forEachChunk((chunk) => chunks.push(chunk));
+  if (chunks.length === 0) {
+    return;
+  }
+  let changed = false;
+  for (let i = 0; i < attempts; i += 1) {
+    const chunk = chunks[Math.floor(Math.random() * chunks.length)];
+    const x = chunk.cx * CHUNK_SIZE + Math.floor(Math.random() * CHUNK_SIZE);
+    const z = chunk.cz * CHUNK_SIZE + Math.floor(Math.random() * CHUNK_SIZE);
+    const cell = rain >= snow
+      ? findRainCell(world, x, z, { isLiquid: fluidSimulation.isLiquid, isSource: isLiquidSource })
+      : findSnowCell(world, x, z, { canHoldSnow });
+    if (!cell) {
+      continue;
+    }
+    world.setCell(cell.x, cell.y, cell.z, rain >= snow ? Block.WATER : Block.SNOW_LAYER);
+    fluidSimulation.activate(cell.x, cell.y, cell.z);
+    changed = true;
+  }
+  if (changed) {
+    refreshChunkInstances();
+    scheduleSave();
+  }
+}
+
 const clock = new THREE.Clock();
 
 function animate() {
-  clock.getDelta();
-  controls.update();
+  const delta = clock.getDelta();
+  waterTime.value = clock.elapsedTime;
+  advanceTimeOfDay(delta);
+  updateWeather(delta);
+  applyTimeOfDay();
+  animeSky.position.copy(camera.position);
+  updateFallingBlocks(delta);
+  if (walkState.active) {
+    updateWalk(delta);
+  } else {
+    panWithKeys(delta);
+    controls.update();
+  }
   renderer.render(scene, camera);
   requestAnimationFrame(animate);
 }
 
 animate();
+window.setInterval(tickFluids, FLUID_TICK_MS);
+window.setInterval(settleWeather, WEATHER_SETTLE_MS);
+initSaveSlots().catch((error) => {
+  console.warn('[voxel] failed to initialise saves:', error);
+});
 
 function resizeRenderer() {
   const width = container.clientWidth;
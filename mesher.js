@@ -0,0 +1,333 @@
+// Face-culled / greedy chunk mesher.
+// Emits only the faces of a chunk that are exposed to air (or to a different
+// see-through block) and, in greedy mode, merges coplanar faces of the same
+// block type into larger quads. UVs are expressed in cell units so a
+// texture wrapped per cell still shows one tile per block face.
+
+const AIR = 0;
+
+// Vertex brightness by the number of occluding blocks around it (3 = none)
+const AO_LEVELS = [0.5, 0.68, 0.84, 1];
+// Vertex shades are quantised to 7 bits so four of them fit one merge key
+const SHADE_STEPS = 127;
+
+// For each face direction: normal axis, the two in-plane axes (u, v) and the
+// face name used for top/side/bottom colouring. Side faces keep v on the Y
+// axis so textures stay upright.
+const FACE_DIRECTIONS = [
+  { axis: 0, dir: 1, u: 2, v: 1, face: 'side', normal: [1, 0, 0] },
+  { axis: 0, dir: -1, u: 2, v: 1, face: 'side', normal: [-1, 0, 0] },
+  { axis: 1, dir: 1, u: 0, v: 2, face: 'top', normal: [0, 1, 0] },
+  { axis: 1, dir: -1, u: 0, v: 2, face: 'bottom', normal: [0, -1, 0] },
+  { axis: 2, dir: 1, u: 0, v: 1, face: 'side', normal: [0, 0, 1] },
+  { axis: 2, dir: -1, u: 0, v: 1, face: 'side', normal: [0, 0, -1] },
+];
+
+function createBuffers() {
+  return {
+    positions: [],
+    normals: [],
+    uvs: [],
+    colors: [],
+    tiles: [],
+    surfaces: [],
+    indices: [],
+  };
+}
+
+function isFaceVisible(blockId, neighbourId, isOpaque) {
+  if (neighbourId === AIR) {
+    return true;
+  }
+  return neighbourId !== blockId && !isOpaque(neighbourId);
+}
+
+function pushQuad(buffers, direction, cell, sizeU, sizeV, attributes, origin) {
+  const { color, tile, surface, drop, shades } = attributes;
+  const { axis, dir, u, v, normal } = direction;
+  const base = [cell[0], cell[1], cell[2]];
+  if (dir > 0) {
+    base[axis] += 1;
+  }
+  const du = [0, 0, 0];
+  const dv = [0, 0, 0];
+  du[u] = sizeU;
+  dv[v] = sizeV;
+
+  const corners = [
+    [base[0], base[1], base[2]],
+    [base[0] + du[0], base[1] + du[1], base[2] + du[2]],
+    [base[0] + du[0] + dv[0], base[1] + du[1] + dv[1], base[2] + du[2] + dv[2]],
+    [base[0] + dv[0], base[1] + dv[1], base[2] + dv[2]],
+  ];
+  const cornerUVs = [
+    [0, 0],
+    [sizeU, 0],
+    [sizeU, sizeV],
+    [0, sizeV],
+  ];
+  // Blocks shorter than a cell (e.g. flowing liquid) pull their top edge down
+  if (drop > 0 && !(axis === 1 && dir < 0)) {
+    const top = Math.max(...corners.map((corner) => corner[1]));
+    corners.forEach((corner, i) => {
+      if (corner[1] === top) {
+        corner[1] -= drop;
+        if (v === 1) {
+          cornerUVs[i][1] -= drop;
+        }
+      }
+    });
+  }
+
+  const start = buffers.positions.length / 3;
+  for (let i = 0; i < 4; i += 1) {
+    const corner = corners[i];
+    buffers.positions.push(corner[0] + origin.x, corner[1] + origin.y, corner[2] + origin.z);
+    buffers.normals.push(normal[0], normal[1], normal[2]);
+    buffers.uvs.push(cornerUVs[i][0], cornerUVs[i][1]);
+    const shade = shades ? shades[i] : 1;
+    buffers.colors.push(color[0] * shade, color[1] * shade, color[2] * shade);
+    buffers.tiles.push(tile);
+    buffers.surfaces.push(...surface);
+  }
+
+  // du x dv points along +normal only for some axes; flip winding otherwise
+  const cross = [
+    du[1] * dv[2] - du[2] * dv[1],
+    du[2] * dv[0] - du[0] * dv[2],
+    du[0] * dv[1] - du[1] * dv[0],
+  ];
+  const facing = cross[0] * normal[0] + cross[1] * normal[1] + cross[2] * normal[2];
+  // Split along the darker diagonal so occlusion gradients stay symmetric
+  const flip = shades && shades[0] + shades[2] > shades[1] + shades[3];
+  const [a, b, c, d] = flip ? [1, 2, 3, 0] : [0, 1, 2, 3];
+  if (facing > 0) {
+    buffers.indices.push(start + a, start + b, start + c, start + a, start + c, start + d);
+  } else {
+    buffers.indices.push(start + a, start + c, start + b, start + a, start + d, start + c);
+  }
+}
+
+// Smooth light and ambient occlusion for the four corners of a face, in
+// pushQuad's corner order. `front` is the cell the face looks into.
+function faceShadeKey(world, front, direction, light, isOpaque) {
+  const { u, v } = direction;
+  const sample = [0, 0, 0];
+  const occludes = (du, dv) => {
+    sample[0] = front[0];
+    sample[1] = front[1];
+    sample[2] = front[2];
+    sample[u] += du;
+    sample[v] += dv;
+    const blockId = world.getBlock(sample[0], sample[1], sample[2]);
+    return blockId !== AIR && isOpaque(blockId);
+  };
+  const brightness = (du, dv) => {
+    sample[0] = front[0];
+    sample[1] = front[1];
+    sample[2] = front[2];
+    sample[u] += du;
+    sample[v] += dv;
+    return light(sample[0], sample[1], sample[2]);
+  };
+
+  const centre = brightness(0, 0);
+  let key = 0;
+  [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(([su, sv], corner) => {
+    const side1 = occludes(su, 0);
+    const side2 = occludes(0, sv);
+    const diagonal = side1 && side2 ? true : occludes(su, sv);
+    const ao = side1 && side2 ? 0 : 3 - (side1 + side2 + diagonal);
+    let total = centre;
+    let count = 1;
+    if (!side1) {
+      total += brightness(su, 0);
+      count += 1;
+    }
+    if (!side2) {
+      total += brightness(0, sv);
+      count += 1;
+    }
+    if (!diagonal) {
+      total += brightness(su, sv);
+      count += 1;
+    }
+    const shade = Math.round((total / count) * AO_LEVELS[ao] * SHADE_STEPS);
+    key |= Math.max(0, Math.min(SHADE_STEPS, shade)) << (corner * 7);
+  });
+  return key;
+}
+
+function unpackShades(key) {
+  return [0, 1, 2, 3].map((corner) => ((key >> (corner * 7)) & SHADE_STEPS) / SHADE_STEPS);
+}
+
+// Builds face buffers for one chunk of a VoxelWorld.
+// options.greedy      merge coplanar faces of the same block type
+// options.isOpaque    (blockId) => boolean, faces behind opaque blocks are culled
+// options.faceColor   (blockId, face) => [r, g, b]
+// options.faceTile    (blockId, face, state, normal) => texture tile index
+//                     written per vertex; state is the cell's block state
+// options.surface     (blockId) => array of per-vertex surface values
+// options.tint        (blockId, x, y, z) => scalar, only used when not greedy
+// options.blockHeight (blockId, state) => top of the block as a fraction of
+//                     the cell, 1 for full blocks
+// options.light       (x, y, z) => brightness 0..1 of a cell; when given,
+//                     vertex colours carry smooth light and ambient occlusion
+//                     and faces only merge where their shading matches
+// options.group       (blockId) => key of the buffers the faces go into, or
+//                     null to skip the block; defaults to the block id
+// options.origin      world-space offset of cell (0, 0, 0)'s minimum corner
+// Returns a Map of group -> { positions, normals, uvs, colors, tiles,
+// surfaces, indices }.
+export function buildChunkFaces(world, chunk, options) {
+  const {
+    greedy = true,
+    isOpaque = () => true,
+    faceColor = () => [1, 1, 1],
+    faceTile = () => 0,
+    surface = () => [],
+    tint = () => 1,
+    blockHeight = () => 1,
+    light = null,
+    group = (blockId) => blockId,
+    origin = { x: 0, y: 0, z: 0 },
+  } = options;
+  const dims = [chunk.width, chunk.height, chunk.depth];
+  const chunkOrigin = [
+    chunk.cx * chunk.width,
+    chunk.cy * chunk.height,
+    chunk.cz * chunk.depth,
+  ];
+  const buffersByGroup = new Map();
+  const isGrouped = (blockId) => {
+    const key = group(blockId);
+    return key !== null && key !== undefined;
+  };
+  const getBuffers = (blockId) => {
+    if (!isGrouped(blockId)) {
+      return null;
+    }
+    const key = group(blockId);
+    let buffers = buffersByGroup.get(key);
+    if (!buffers) {
+      buffers = createBuffers();
+      buffersByGroup.set(key, buffers);
+    }
+    return buffers;
+  };
+
+  const local = [0, 0, 0];
+  const cell = [0, 0, 0];
+
+  FACE_DIRECTIONS.forEach((direction) => {
+    const { axis, dir, u, v, face } = direction;
+    const sizeU = dims[u];
+    const sizeV = dims[v];
+    // Block id and state per face; faces only merge when both match
+    const mask = new Int32Array(sizeU * sizeV);
+    // Packed corner shades per face (see faceShadeKey)
+    const shadeMask = new Int32Array(sizeU * sizeV);
+    const front = [0, 0, 0];
+
+    for (let slice = 0; slice < dims[axis]; slice += 1) {
+      mask.fill(AIR);
+      shadeMask.fill(0);
+      local[axis] = slice;
+      for (let iv = 0; iv < sizeV; iv += 1) {
+        local[v] = iv;
+        for (let iu = 0; iu < sizeU; iu += 1) {
+          local[u] = iu;
+          const blockId = chunk.getBlock(local[0], local[1], local[2]);
+          // Skipped groups are left out before any light is sampled
+          if (blockId === AIR || !isGrouped(blockId)) {
+            continue;
+          }
+          const wx = chunkOrigin[0] + local[0];
+          const wy = chunkOrigin[1] + local[1];
+          const wz = chunkOrigin[2] + local[2];
+          const nx = wx + (axis === 0 ? dir : 0);
+          const ny = wy + (axis === 1 ? dir : 0);
+          const nz = wz + (axis === 2 ? dir : 0);
+          const neighbour = world.getBlock(nx, ny, nz);
+          const state = chunk.getState ? chunk.getState(local[0], local[1], local[2]) : 0;
+          let visible = isFaceVisible(blockId, neighbour, isOpaque);
+          if (!visible && neighbour === blockId && axis !== 1 && !isOpaque(blockId)) {
+            // Flowing liquid steps down: the higher cell shows its side above the lower one
+            const neighbourState = world.getState ? world.getState(nx, ny, nz) : 0;
+            visible = blockHeight(neighbour, neighbourState) < blockHeight(blockId, state);
+          }
+          if (visible) {
+            mask[iu + iv * sizeU] = blockId | (state << 8);
+            if (light) {
+              front[0] = wx;
+              front[1] = wy;
+              front[2] = wz;
+              front[axis] += dir;
+              shadeMask[iu + iv * sizeU] = faceShadeKey(world, front, direction, light, isOpaque);
+            }
+          }
+        }
+      }
+
+      for (let iv = 0; iv < sizeV; iv += 1) {
+        for (let iu = 0; iu < sizeU; ) {
+          const value = mask[iu + iv * sizeU];
+          if (value === AIR) {
+            iu += 1;
+            continue;
+          }
+          const blockId = value & 0xff;
+          const shadeKey = shadeMask[iu + iv * sizeU];
+          const matches = (index) => mask[index] === value && shadeMask[index] === shadeKey;
+
+          let width = 1;
+          let height = 1;
+          if (greedy) {
+            while (iu + width < sizeU && matches(iu + width + iv * sizeU)) {
+              width += 1;
+            }
+            let canGrow = true;
+            while (iv + height < sizeV && canGrow) {
+              for (let k = 0; k < width; k += 1) {
+                if (!matches(iu + k + (iv + height) * sizeU)) {
+                  canGrow = false;
+                  break;
+                }
+              }
+              if (canGrow) {
+                height += 1;
+              }
+            }
+          }
+
+          cell[axis] = chunkOrigin[axis] + slice;
+          cell[u] = chunkOrigin[u] + iu;
+          cell[v] = chunkOrigin[v] + iv;
+
+          const buffers = getBuffers(blockId);
+          if (buffers) {
+            const baseColor = faceColor(blockId, face);
+            const scale = greedy ? 1 : tint(blockId, cell[0], cell[1], cell[2]);
+            pushQuad(buffers, direction, cell, width, height, {
+              color: [baseColor[0] * scale, baseColor[1] * scale, baseColor[2] * scale],
+              tile: faceTile(blockId, face, value >> 8, direction.normal),
+              surface: surface(blockId),
+              drop: 1 - blockHeight(blockId, value >> 8),
+              shades: light ? unpackShades(shadeKey) : null,
+            }, origin);
+          }
+
+          for (let dv = 0; dv < height; dv += 1) {
+            for (let du = 0; du < width; du += 1) {
+              mask[iu + du + (iv + dv) * sizeU] = AIR;
+            }
+          }
+          iu += width;
+        }
+      }
+    }
+  });
+
+  return buffersByGroup;
+}
@@ -0,0 +1,94 @@
+// Axis-aligned voxel regions and the in-app clipboard.
+// A clipboard holds the non-air cells of a region relative to its minimum
+// corner: { size: { x, y, z }, cells: [{ x, y, z, blockId, state }] }.
+
+import { mirrorState, rotateStateY } from './block-state.js';
+
+export function normalizeRegion(a, b) {
+  return {
+    min: { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), z: Math.min(a.z, b.z) },
+    max: { x: Math.max(a.x, b.x), y: Math.max(a.y, b.y), z: Math.max(a.z, b.z) },
+  };
+}
+
+export function regionSize(region) {
+  return {
+    x: region.max.x - region.min.x + 1,
+    y: region.max.y - region.min.y + 1,
+    z: region.max.z - region.min.z + 1,
+  };
+}
+
+export function forEachRegionCell(region, callback) {
+  for (let y = region.min.y; y <= region.max.y; y += 1) {
+    for (let z = region.min.z; z <= region.max.z; z += 1) {
+      for (let x = region.min.x; x <= region.max.x; x += 1) {
+        callback(x, y, z);
+      }
+    }
+  }
+}
+
+export function copyRegion(world, region) {
+  const cells = [];
+  forEachRegionCell(region, (x, y, z) => {
+    const blockId = world.getBlock(x, y, z);
+    if (blockId !== 0) {
+      cells.push({
+        x: x - region.min.x,
+        y: y - region.min.y,
+        z: z - region.min.z,
+        blockId,
+        state: world.getState(x, y, z),
+      });
+    }
+  });
+  return { size: regionSize(region), cells };
+}
+
+// Quarter turns counter-clockwise around +Y (seen from above)
+export function rotateClipboardY(clipboard, turns = 1) {
+  let { size, cells } = clipboard;
+  const steps = ((turns % 4) + 4) % 4;
+  for (let i = 0; i < steps; i += 1) {
+    const depth = size.z;
+    cells = cells.map((cell) => ({
+      ...cell,
+      x: cell.z,
+      z: size.x - 1 - cell.x,
+      state: rotateStateY(cell.state ?? 0, 1),
+    }));
+    size = { x: depth, y: size.y, z: size.x };
+  }
+  return { size: { ...size }, cells };
+}
+
+export function mirrorClipboard(clipboard, axis) {
+  const { size } = clipboard;
+  const cells = clipboard.cells.map((cell) => ({
+    ...cell,
+    [axis]: size[axis] - 1 - cell[axis],
+    state: mirrorState(cell.state ?? 0, axis),
+  }));
+  return { size: { ...size }, cells };
+}
+
+// World-space placement of the clipboard with its minimum corner at origin
+export function placeClipboard(clipboard, origin) {
+  return clipboard.cells.map((cell) => ({
+    x: origin.x + cell.x,
+    y: origin.y + cell.y,
+    z: origin.z + cell.z,
+    blockId: cell.blockId,
+    state: cell.state ?? 0,
+  }));
+}
+
+// Origin that rests the clipboard on `cell`, centred horizontally
+export function clipboardOriginAt(clipboard, cell) {
+  return {
+    x: cell.x - Math.floor((clipboard.size.x - 1) / 2),
+    y: cell.y,
+    z: cell.z - Math.floor((clipboard.size.z - 1) / 2),
+  };
+}
@@ -0,0 +1,275 @@
+// Scripting and modding API.
+//
+// The running app exposes it as `window.voxelSandbox`; extensions can also
+// `import { voxelSandbox } from './sandbox-api.js'`. Calls made before the app
+// has connected throw.
+//
+// Cells are world cell coordinates { x, y, z }. A block is given by key
+// ('stone') or numeric id; reads report { id, key, state }.
+//
+//   getBlock(x, y, z)                 block at a cell; air is { id: 0, key: 'air' }
+//   setBlock(x, y, z, block, { state })  writes one cell; returns whether it changed
+//   fillRegion(from, to, block, { state, replace })
+//                                     fills the box between two corner cells
+//                                     (inclusive); with `replace` only cells
+//                                     holding that block change. Returns the
+//                                     number of cells changed.
+//   batch(fn, label)                  runs fn() and commits every edit it
+//                                     makes as one undo step
+//   registerBlockType(definition)     adds a block type (block pack format, see
+//                                     block-registry.js); returns its id.
+//                                     Not persisted: register again on load.
+//   registerTool(id, { label, target, onUse })
+//                                     adds a tool button; a tap calls
+//                                     onUse({ cell, normal, blockId }) inside a
+//                                     batch. `target` is 'block' (the block
+//                                     tapped, default) or 'empty' (the free
+//                                     cell in front of it).
+//   getCamera() / setCamera({ position, target })
+//                                     orbit camera in scene units
+//   lookAtCell(x, y, z)               moves the orbit target to a cell
+//   getSelection()                    select-tool region { min, max } or null
+//   on(type, listener) / off(type, listener)
+//                                     on() returns an unsubscribe function
+//
+// Scripted edits go through the same path as taps: they are undoable and
+// autosaved, and set loose blocks falling.
+//
+// Events (listener receives one detail object):
+//   blockPlaced      { cell, blockId, key, state, source }
+//   blockRemoved     { cell, blockId, key, state, source }  the block removed
+//   saved            { slotId, savedAt }
+//   loaded           { slotId }
+//   selectionChanged { region }
+// `source` is 'user' for taps, 'script' for API edits and 'history' for the
+// cells an undo or redo writes back.
+
+import { cellValueBlock, cellValueState, packCellValue } from './block-state.js';
+import { forEachRegionCell, normalizeRegion, regionSize } from './regions.js';
+
+export const SANDBOX_EVENTS = ['blockPlaced', 'blockRemoved', 'saved', 'loaded', 'selectionChanged'];
+
+// Largest region fillRegion writes in one call
+export const MAX_FILL_CELLS = 65536;
+
+const AIR = 0;
+
+const listeners = new Map(SANDBOX_EVENTS.map((type) => [type, new Set()]));
+let host = null;
+// Edits queued by the running batch, keyed by cell
+let pending = null;
+
+function requireHost() {
+  if (!host) {
+    throw new Error('voxelSandbox is not connected to a running sandbox yet');
+  }
+  return host;
+}
+
+function cellKey(x, y, z) {
+  return `${x},${y},${z}`;
+}
+
+function toCell(x, y, z) {
+  const cell = { x: Number(x), y: Number(y), z: Number(z) };
+  if (![cell.x, cell.y, cell.z].every(Number.isInteger)) {
+    throw new Error(`Invalid cell (${x}, ${y}, ${z})`);
+  }
+  return cell;
+}
+
+function resolveBlockId(block) {
+  const { getBlockType, getBlockTypeByKey } = requireHost();
+  const blockType = typeof block === 'string' ? getBlockTypeByKey(block) : getBlockType(block);
+  if (!blockType) {
+    throw new Error(`Unknown block "${block}"`);
+  }
+  return blockType.id;
+}
+
+function describeCell(value) {
+  const blockId = cellValueBlock(value);
+  return {
+    id: blockId,
+    key: requireHost().getBlockType(blockId)?.key ?? null,
+    state: cellValueState(value),
+  };
+}
+
+function currentValue(cell) {
+  const key = cellKey(cell.x, cell.y, cell.z);
+  if (pending?.has(key)) {
+    return pending.get(key).to;
+  }
+  return requireHost().getCell(cell.x, cell.y, cell.z);
+}
+
+// Queues edits into the running batch, or commits them straight away
+function submitEdits(edits, label) {
+  if (pending) {
+    edits.forEach((edit) => pending.set(cellKey(edit.cell.x, edit.cell.y, edit.cell.z), edit));
+    return edits.length;
+  }
+  return commitEdits(edits, label);
+}
+
+function commitEdits(edits, label) {
+  if (edits.length === 0) {
+    return 0;
+  }
+  const transaction = requireHost().commit(edits, label);
+  if (!transaction) {
+    return 0;
+  }
+  const edited = new Set(edits.map(({ cell }) => cellKey(cell.x, cell.y, cell.z)));
+  let changed = 0;
+  transaction.changes.forEach(({ cell, from, to }) => {
+    if (!edited.has(cellKey(cell.x, cell.y, cell.z))) {
+      return;
+    }
+    changed += 1;
+    emitSandboxEvent(to === AIR ? 'blockRemoved' : 'blockPlaced', {
+      cell: { ...cell },
+      ...describeBlockEvent(to === AIR ? from : to),
+      source: 'script',
+    });
+  });
+  return changed;
+}
+
+function describeBlockEvent(value) {
+  const { id, key, state } = describeCell(value);
+  return { blockId: id, key, state };
+}
+
+export function emitSandboxEvent(type, detail) {
+  listeners.get(type)?.forEach((listener) => {
+    try {
+      listener(detail);
+    } catch (error) {
+      console.warn(`[voxel] ${type} listener failed:`, error);
+    }
+  });
+}
+
+// Called once by the app with the primitives the API is built on:
+//   getCell(x, y, z), inBounds(x, y, z), commit(edits, label) → transaction,
+//   getBlockType(id), getBlockTypeByKey(key), registerBlockType(definition),
+//   addTool(tool), getCamera(), setCamera(view), lookAtCell(cell),
+//   getSelection()
+export function connectSandbox(sandboxHost) {
+  host = sandboxHost;
+}
+
+export const voxelSandbox = {
+  events: SANDBOX_EVENTS.slice(),
+
+  getBlock(x, y, z) {
+    return describeCell(currentValue(toCell(x, y, z)));
+  },
+
+  setBlock(x, y, z, block, { state = 0 } = {}) {
+    const cell = toCell(x, y, z);
+    if (!requireHost().inBounds(cell.x, cell.y, cell.z)) {
+      return false;
+    }
+    const blockId = resolveBlockId(block);
+    const to = packCellValue(blockId, blockId === AIR ? 0 : state);
+    if (currentValue(cell) === to) {
+      return false;
+    }
+    return submitEdits([{ cell, to }], 'script') > 0;
+  },
+
+  fillRegion(from, to, block, { state = 0, replace } = {}) {
+    const region = normalizeRegion(toCell(from.x, from.y, from.z), toCell(to.x, to.y, to.z));
+    const size = regionSize(region);
+    if (size.x * size.y * size.z > MAX_FILL_CELLS) {
+      throw new Error(`fillRegion is limited to ${MAX_FILL_CELLS} cells`);
+    }
+    const blockId = resolveBlockId(block);
+    const replaceId = replace === undefined ? null : resolveBlockId(replace);
+    const value = packCellValue(blockId, blockId === AIR ? 0 : state);
+    const { inBounds } = requireHost();
+    const edits = [];
+    forEachRegionCell(region, (x, y, z) => {
+      const cell = { x, y, z };
+      const current = currentValue(cell);
+      if (!inBounds(x, y, z) || current === value) {
+        return;
+      }
+      if (replaceId !== null && cellValueBlock(current) !== replaceId) {
+        return;
+      }
+      edits.push({ cell, to: value });
+    });
+    return submitEdits(edits, 'fill region');
+  },
+
+  batch(fn, label = 'script') {
+    requireHost();
+    // Nested batches join the outer one
+    if (pending) {
+      return fn();
+    }
+    pending = new Map();
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      pending = null;
+      throw error;
+    }
+    const edits = Array.from(pending.values());
+    pending = null;
+    commitEdits(edits, label);
+    return result;
+  },
+
+  registerBlockType(definition) {
+    return requireHost().registerBlockType(definition).id;
+  },
+
+  registerTool(id, { label = id, target = 'block', onUse } = {}) {
+    if (typeof id !== 'string' || !id) {
+      throw new Error('Tools need a string id');
+    }
+    if (typeof onUse !== 'function') {
+      throw new Error(`Tool "${id}" needs an onUse function`);
+    }
+    requireHost().addTool({
+      id,
+      label,
+      target: target === 'empty' ? 'empty' : 'block',
+      use: (context) => voxelSandbox.batch(() => onUse(context), id),
+    });
+  },
+
+  getCamera() {
+    return requireHost().getCamera();
+  },
+
+  setCamera(view) {
+    requireHost().setCamera(view);
+  },
+
+  lookAtCell(x, y, z) {
+    requireHost().lookAtCell(toCell(x, y, z));
+  },
+
+  getSelection() {
+    return requireHost().getSelection();
+  },
+
+  on(type, listener) {
+    if (!listeners.has(type)) {
+      throw new Error(`Unknown event "${type}"; expected one of ${SANDBOX_EVENTS.join(', ')}`);
+    }
+    listeners.get(type).add(listener);
+    return () => voxelSandbox.off(type, listener);
+  },
+
+  off(type, listener) {
+    listeners.get(type)?.delete(listener);
+  },
+};
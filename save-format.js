@@ -0,0 +1,133 @@
+// Versioned island save format.
+//
+// v4  raw base64 dump of the single 16x12x16 chunk (pre chunk manager)
+// v5  JSON { chunkSize, chunks: { "cx,cy,cz": base64 } }
+// v6  JSON envelope: format tag, version, chunk dimensions, block registry
+//     mapping (stored id -> block key) and metadata
+// v7  adds `states`: { "cx,cy,cz": base64 } block state bytes for the chunks
+//     that have any (orientation, slab half, stairs)
+// v8  adds `environment`: per-island settings outside the voxels, starting
+//     with { timeOfDay } (0 = midnight, 0.5 = noon); `terrain` holds the
+//     generator parameters and seed the island was created from (see
+//     terrain.js), or null when it was imported
+//
+// Older saves are upgraded one version at a time by SAVE_MIGRATIONS until
+// they reach SAVE_FORMAT_VERSION.
+
+export const SAVE_FORMAT = 'voxel-sandbox-island';
+export const SAVE_FORMAT_VERSION = 8;
+
+const LEGACY_CHUNK_SIZE = [16, 12, 16];
+
+// Block ids used by every save written before the registry mapping existed
+const LEGACY_BLOCK_KEYS = {
+  1: 'grass',
+  2: 'sand',
+  3: 'stone',
+  4: 'water',
+  5: 'wood',
+};
+
+const SAVE_MIGRATIONS = {
+  4: (encoded) => ({
+    version: 5,
+    chunkSize: LEGACY_CHUNK_SIZE.slice(),
+    chunks: { '0,0,0': encoded },
+  }),
+  5: (save) => ({
+    format: SAVE_FORMAT,
+    version: 6,
+    chunkSize: save.chunkSize,
+    blocks: { ...LEGACY_BLOCK_KEYS },
+    chunks: save.chunks ?? {},
+    metadata: {},
+  }),
+  6: (save) => ({
+    ...save,
+    version: 7,
+    states: {},
+  }),
+  7: (save) => ({
+    ...save,
+    version: 8,
+    environment: {},
+  }),
+};
+
+function detectVersion(save) {
+  if (typeof save === 'string') {
+    return 4;
+  }
+  if (save && typeof save === 'object') {
+    return typeof save.version === 'number' ? save.version : 5;
+  }
+  return null;
+}
+
+// Parses a stored save string and upgrades it to SAVE_FORMAT_VERSION.
+// Throws if the save is unreadable or newer than this build understands.
+export function parseSave(serialized) {
+  let save = serialized;
+  const trimmed = typeof serialized === 'string' ? serialized.trim() : '';
+  if (trimmed.startsWith('{')) {
+    save = JSON.parse(trimmed);
+  }
+  return migrateSave(save);
+}
+
+export function migrateSave(save) {
+  let version = detectVersion(save);
+  if (version === null) {
+    throw new Error('Unrecognised save data');
+  }
+  if (version > SAVE_FORMAT_VERSION) {
+    throw new Error(`Save version ${version} is newer than supported version ${SAVE_FORMAT_VERSION}`);
+  }
+  let current = save;
+  while (version < SAVE_FORMAT_VERSION) {
+    const migrate = SAVE_MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No migration from save version ${version}`);
+    }
+    current = migrate(current);
+    version = detectVersion(current);
+  }
+  if (!Array.isArray(current.chunkSize) || current.chunkSize.length !== 3) {
+    throw new Error('Save is missing chunk dimensions');
+  }
+  return current;
+}
+
+export function createSave({
+  chunkSize,
+  blocks,
+  chunks,
+  states = {},
+  environment = {},
+  metadata = {},
+}) {
+  return {
+    format: SAVE_FORMAT,
+    version: SAVE_FORMAT_VERSION,
+    chunkSize: chunkSize.slice(),
+    blocks: { ...blocks },
+    chunks: { ...chunks },
+    states: { ...states },
+    environment: { ...environment },
+    metadata: { ...metadata },
+  };
+}
+
+export function serializeSave(save) {
+  return JSON.stringify(save);
+}
+
+// Builds a lookup table from stored block ids to ids in the running registry,
+// matching on block key. Unknown blocks map to air.
+export function createBlockRemap(storedBlocks, currentIdsByKey) {
+  const remap = new Uint8Array(256);
+  for (let id = 1; id < remap.length; id += 1) {
+    remap[id] = currentIdsByKey.get(storedBlocks?.[id]) ?? 0;
+  }
+  return remap;
+}
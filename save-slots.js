@@ -0,0 +1,68 @@
+// Named island save slots stored in IndexedDB.
+// Each slot record holds the serialized save (see save-format.js) alongside
+// what the slot picker needs: name, thumbnail data URL, created/modified
+// timestamps and block count.
+
+const DB_NAME = 'voxel-sandbox';
+const DB_VERSION = 1;
+const SLOT_STORE = 'slots';
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function withoutData(record) {
+  const { data, ...summary } = record;
+  return summary;
+}
+
+export function createSlotId() {
+  const random = Math.random().toString(36).slice(2, 8);
+  return `slot-${Date.now().toString(36)}-${random}`;
+}
+
+export class SaveSlotStore {
+  static open() {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SLOT_STORE)) {
+        db.createObjectStore(SLOT_STORE, { keyPath: 'id' });
+      }
+    };
+    return requestToPromise(request).then((db) => new SaveSlotStore(db));
+  }
+
+  constructor(db) {
+    this.db = db;
+  }
+
+  store(mode) {
+    return this.db.transaction(SLOT_STORE, mode).objectStore(SLOT_STORE);
+  }
+
+  // Slot summaries (no save data), most recently modified first
+  list() {
+    return requestToPromise(this.store('readonly').getAll()).then((records) => records
+      .map(withoutData)
+      .sort((a, b) => (b.modifiedAt ?? 0) - (a.modifiedAt ?? 0)));
+  }
+
+  get(id) {
+    return requestToPromise(this.store('readonly').get(id)).then((record) => record ?? null);
+  }
+
+  put(record) {
+    return requestToPromise(this.store('readwrite').put(record));
+  }
+
+  delete(id) {
+    return requestToPromise(this.store('readwrite').delete(id));
+  }
+}
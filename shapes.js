@@ -0,0 +1,158 @@
+// Cell generators for the shape tools. Each returns an array of { x, y, z }
+// world cells and stops once `limit` cells have been produced; callers can
+// compare the result length against the limit to detect oversized shapes.
+
+import { AIR } from './voxel-core.js';
+
+export const DEFAULT_WALL_HEIGHT = 3;
+
+function bounds(a, b) {
+  return {
+    minX: Math.min(a.x, b.x),
+    maxX: Math.max(a.x, b.x),
+    minY: Math.min(a.y, b.y),
+    maxY: Math.max(a.y, b.y),
+    minZ: Math.min(a.z, b.z),
+    maxZ: Math.max(a.z, b.z),
+  };
+}
+
+function collectInBounds(box, limit, include) {
+  const cells = [];
+  for (let y = box.minY; y <= box.maxY; y += 1) {
+    for (let z = box.minZ; z <= box.maxZ; z += 1) {
+      for (let x = box.minX; x <= box.maxX; x += 1) {
+        if (include(x, y, z)) {
+          cells.push({ x, y, z });
+          if (cells.length >= limit) {
+            return cells;
+          }
+        }
+      }
+    }
+  }
+  return cells;
+}
+
+export function boxCells(a, b, limit = Infinity) {
+  return collectInBounds(bounds(a, b), limit, () => true);
+}
+
+export function hollowBoxCells(a, b, limit = Infinity) {
+  const box = bounds(a, b);
+  return collectInBounds(box, limit, (x, y, z) => (
+    x === box.minX || x === box.maxX
+    || y === box.minY || y === box.maxY
+    || z === box.minZ || z === box.maxZ
+  ));
+}
+
+// Perimeter walls of the dragged rectangle. A flat drag gets walls of
+// DEFAULT_WALL_HEIGHT; dragging upward sets the height explicitly.
+export function wallCells(a, b, limit = Infinity) {
+  const box = bounds(a, b);
+  if (box.minY === box.maxY) {
+    box.maxY = box.minY + DEFAULT_WALL_HEIGHT - 1;
+  }
+  return collectInBounds(box, limit, (x, y, z) => (
+    x === box.minX || x === box.maxX || z === box.minZ || z === box.maxZ
+  ));
+}
+
+// Ellipsoid inscribed in the box spanned by the two corners
+export function ellipsoidCells(a, b, limit = Infinity) {
+  const box = bounds(a, b);
+  const cx = (box.minX + box.maxX) / 2;
+  const cy = (box.minY + box.maxY) / 2;
+  const cz = (box.minZ + box.maxZ) / 2;
+  const rx = (box.maxX - box.minX) / 2 + 0.5;
+  const ry = (box.maxY - box.minY) / 2 + 0.5;
+  const rz = (box.maxZ - box.minZ) / 2 + 0.5;
+  return collectInBounds(box, limit, (x, y, z) => {
+    const dx = (x - cx) / rx;
+    const dy = (y - cy) / ry;
+    const dz = (z - cz) / rz;
+    return dx * dx + dy * dy + dz * dz <= 1;
+  });
+}
+
+// 3D Bresenham line including both end points
+export function lineCells(a, b, limit = Infinity) {
+  const cells = [];
+  const dx = Math.abs(b.x - a.x);
+  const dy = Math.abs(b.y - a.y);
+  const dz = Math.abs(b.z - a.z);
+  const sx = Math.sign(b.x - a.x);
+  const sy = Math.sign(b.y - a.y);
+  const sz = Math.sign(b.z - a.z);
+  const steps = Math.max(dx, dy, dz);
+  let { x, y, z } = a;
+  let errY = steps / 2;
+  let errX = steps / 2;
+  let errZ = steps / 2;
+
+  for (let i = 0; i <= steps && cells.length < limit; i += 1) {
+    cells.push({ x, y, z });
+    errX -= dx;
+    errY -= dy;
+    errZ -= dz;
+    if (errX < 0) {
+      x += sx;
+      errX += steps;
+    }
+    if (errY < 0) {
+      y += sy;
+      errY += steps;
+    }
+    if (errZ < 0) {
+      z += sz;
+      errZ += steps;
+    }
+  }
+  return cells;
+}
+
+const NEIGHBOUR_OFFSETS = [
+  [1, 0, 0],
+  [-1, 0, 0],
+  [0, 1, 0],
+  [0, -1, 0],
+  [0, 0, 1],
+  [0, 0, -1],
+];
+
+// Face-connected cells sharing the start cell's block id
+export function floodFillCells(world, start, limit = Infinity) {
+  const target = world.getBlock(start.x, start.y, start.z);
+  const cells = [];
+  const visited = new Set([`${start.x},${start.y},${start.z}`]);
+  const queue = [start];
+  let head = 0;
+
+  while (head < queue.length && cells.length < limit) {
+    const cell = queue[head];
+    head += 1;
+    cells.push({ x: cell.x, y: cell.y, z: cell.z });
+    NEIGHBOUR_OFFSETS.forEach(([ox, oy, oz]) => {
+      const next = { x: cell.x + ox, y: cell.y + oy, z: cell.z + oz };
+      const key = `${next.x},${next.y},${next.z}`;
+      if (visited.has(key) || !world.inBounds(next.x, next.y, next.z)) {
+        return;
+      }
+      visited.add(key);
+      if (world.getBlock(next.x, next.y, next.z) === target) {
+        queue.push(next);
+      }
+    });
+  }
+  return cells;
+}
+
+// { cell, to } edits that draw a shape's cells with `value`, a block id or a
+// packed cell value carrying the placement state. Shapes only fill empty
+// cells; with `overwrite` (flood fill) every cell is repainted.
+export function shapeEdits(world, cells, value, { overwrite = false } = {}) {
+  return cells
+    .filter((cell) => overwrite || world.getBlock(cell.x, cell.y, cell.z) === AIR)
+    .map((cell) => ({ cell, to: value }));
+}
@@ -0,0 +1,228 @@
+// Seeded island terrain.
+//
+// An island is a flat buildable plateau over an inverted cone that hangs
+// beneath it, with a noisy coastline, sand that gathers towards the shore and
+// caves carved out of the underside. Everything comes from the parameters
+// below, so the same parameters always rebuild the same island.
+//
+// Parameters:
+//   seed            unsigned 32-bit integer driving every noise field
+//   radius          plateau radius in cells
+//   plateauHeight   y of the top surface
+//   undersideDepth  how far the underside hangs below the rim at the centre
+//   sandRatio       0..1, how much of the surface turns to sand, spreading in
+//                   from the shore
+//   caveDensity     0..0.5, roughly the share of the deep underside carved out
+
+export const TERRAIN_PARAM_RANGES = {
+  radius: { min: 3, max: 24, step: 0.5, default: 7.5 },
+  plateauHeight: { min: 2, max: 20, step: 1, default: 5 },
+  undersideDepth: { min: 2, max: 24, step: 1, default: 9 },
+  sandRatio: { min: 0, max: 1, step: 0.05, default: 0.25 },
+  caveDensity: { min: 0, max: 0.5, step: 0.01, default: 0.12 },
+};
+
+// Column the island is centred on, in world cells
+export const ISLAND_CENTER = { x: 8, z: 8 };
+
+const NOISE_OCTAVES = 4;
+// Perlin fBm is roughly normally distributed round zero with this spread
+const NOISE_SPREAD = 0.18;
+
+// Small seeded PRNG (mulberry32); returns () => 0..1
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomTerrainSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// Numbers are used as they are; any other text is hashed, so "cliffs" is a
+// valid seed too
+export function normalizeSeed(value) {
+  const text = String(value ?? '').trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i += 1) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Fills in defaults and clamps every parameter to its range
+export function normalizeTerrainParams(params = {}) {
+  const result = {
+    seed: params.seed === undefined ? randomTerrainSeed() : normalizeSeed(params.seed),
+  };
+  Object.entries(TERRAIN_PARAM_RANGES).forEach(([key, range]) => {
+    const value = Number(params[key]);
+    result[key] = Number.isFinite(value)
+      ? Math.min(range.max, Math.max(range.min, value))
+      : range.default;
+  });
+  return result;
+}
+
+const GRADIENTS = [
+  [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+  [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+  [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1],
+];
+
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+// Classic 3D Perlin noise over a seeded permutation; returns about -1..1
+export function createNoise(seed) {
+  const random = createRandom(seed);
+  const permutation = new Uint8Array(256);
+  for (let i = 0; i < 256; i += 1) {
+    permutation[i] = i;
+  }
+  for (let i = 255; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+  }
+  const perm = new Uint8Array(512);
+  for (let i = 0; i < 512; i += 1) {
+    perm[i] = permutation[i & 255];
+  }
+
+  const dot = (hash, x, y, z) => {
+    const g = GRADIENTS[hash % 12];
+    return g[0] * x + g[1] * y + g[2] * z;
+  };
+
+  return (x, y, z) => {
+    const X = Math.floor(x);
+    const Y = Math.floor(y);
+    const Z = Math.floor(z);
+    const fx = x - X;
+    const fy = y - Y;
+    const fz = z - Z;
+    const xi = X & 255;
+    const yi = Y & 255;
+    const zi = Z & 255;
+    const u = fade(fx);
+    const v = fade(fy);
+    const w = fade(fz);
+    const a = perm[xi] + yi;
+    const aa = perm[a] + zi;
+    const ab = perm[a + 1] + zi;
+    const b = perm[xi + 1] + yi;
+    const ba = perm[b] + zi;
+    const bb = perm[b + 1] + zi;
+    return lerp(
+      lerp(
+        lerp(dot(perm[aa], fx, fy, fz), dot(perm[ba], fx - 1, fy, fz), u),
+        lerp(dot(perm[ab], fx, fy - 1, fz), dot(perm[bb], fx - 1, fy - 1, fz), u),
+        v,
+      ),
+      lerp(
+        lerp(dot(perm[aa + 1], fx, fy, fz - 1), dot(perm[ba + 1], fx - 1, fy, fz - 1), u),
+        lerp(dot(perm[ab + 1], fx, fy - 1, fz - 1), dot(perm[bb + 1], fx - 1, fy - 1, fz - 1), u),
+        v,
+      ),
+      w,
+    );
+  };
+}
+
+// Octaves of `noise` summed at doubling frequency and halving amplitude;
+// returns about -1..1, mostly close to zero
+export function fractalNoise(noise, x, y, z, octaves = NOISE_OCTAVES) {
+  let sum = 0;
+  let amplitude = 1;
+  let frequency = 1;
+  let total = 0;
+  for (let i = 0; i < octaves; i += 1) {
+    sum += noise(x * frequency, y * frequency, z * frequency) * amplitude;
+    total += amplitude;
+    amplitude *= 0.5;
+    frequency *= 2;
+  }
+  return sum / total;
+}
+
+// Spreads fractal noise evenly over 0..1, so thresholding it at 1 - p keeps
+// about a share p of the cells
+export function noiseRank(value) {
+  return 1 / (1 + Math.exp((-1.702 * value) / NOISE_SPREAD));
+}
+
+// Generates the island described by `params` (see normalizeTerrainParams),
+// calling place(x, y, z, blockKey) for every solid cell with 'grass', 'sand'
+// or 'stone'. Returns the number of cells placed.
+export function generateTerrain(params, place) {
+  const {
+    seed,
+    radius,
+    plateauHeight,
+    undersideDepth,
+    sandRatio,
+    caveDensity,
+  } = normalizeTerrainParams(params);
+  // Separate fields so changing one parameter leaves the others' shapes alone
+  const coastNoise = createNoise(seed);
+  const sandNoise = createNoise((seed + 1) >>> 0);
+  const undersideNoise = createNoise((seed + 2) >>> 0);
+  const caveNoise = createNoise((seed + 3) >>> 0);
+  // Offsets keep integer cells off the lattice points, where Perlin is 0
+  const OFFSET = 0.37;
+
+  let placed = 0;
+  const reach = Math.ceil(radius * 1.25) + 1;
+  for (let x = ISLAND_CENTER.x - reach; x <= ISLAND_CENTER.x + reach; x += 1) {
+    for (let z = ISLAND_CENTER.z - reach; z <= ISLAND_CENTER.z + reach; z += 1) {
+      const dx = x - ISLAND_CENTER.x;
+      const dz = z - ISLAND_CENTER.z;
+      const r = Math.sqrt(dx * dx + dz * dz);
+      const coast = radius * (1 + 0.5 * fractalNoise(coastNoise, x * 0.09 + OFFSET, 0.5, z * 0.09 + OFFSET));
+      if (r > coast) {
+        continue;
+      }
+
+      // Sand collects along the shore: (r / coast)^2 spreads evenly over the
+      // island's area, so the blend ranks columns from centre to shore
+      const edgeFactor = 1 - r / coast;
+      const sandiness = 0.65 * (r / coast) ** 2
+        + 0.35 * noiseRank(fractalNoise(sandNoise, x * 0.2 + OFFSET, 0.5, z * 0.2 + OFFSET));
+      const topKey = sandiness > 1 - sandRatio ? 'sand' : 'grass';
+
+      // The underside thickens towards the centre, more ragged the deeper it hangs
+      const shape = Math.pow(edgeFactor, 1.1);
+      const ragged = fractalNoise(undersideNoise, x * 0.25 + OFFSET, 0.5, z * 0.25 + OFFSET)
+        * 8 * (0.3 + shape);
+      const thickness = Math.max(2, Math.floor(2 + shape * undersideDepth + ragged));
+      const topY = plateauHeight;
+
+      for (let y = topY - thickness; y <= topY; y += 1) {
+        const depthFromTop = topY - y;
+        if (depthFromTop > 2 && caveDensity > 0) {
+          const cave = fractalNoise(caveNoise, x * 0.21 + OFFSET, y * 0.27 + OFFSET, z * 0.21 + OFFSET, 2);
+          if (noiseRank(cave) > 1 - caveDensity) {
+            continue;
+          }
+        }
+        place(x, y, z, depthFromTop === 0 ? topKey : 'stone');
+        placed += 1;
+      }
+    }
+  }
+  return placed;
+}
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MAX_LIGHT, VoxelLighting } from '../lighting.js';
+import { VoxelWorld } from '../voxel-core.js';
+
+const LIMITS = { minX: -1, maxX: 1, minY: -1, maxY: 1, minZ: -1, maxZ: 1 };
+const STONE = 1;
+const LAMP = 2;
+
+function createLighting(world) {
+  return new VoxelLighting(world, {
+    opacity: (blockId) => (blockId === STONE ? MAX_LIGHT : 0),
+    emission: (blockId) => (blockId === LAMP ? 12 : 0),
+  });
+}
+
+// A 4x4x4-chunk world with a stone floor at y = 0 in chunk (0, 0, 0)
+function createFloor() {
+  const world = new VoxelWorld(4, 4, 4, LIMITS);
+  for (let x = 0; x < 4; x += 1) {
+    for (let z = 0; z < 4; z += 1) {
+      world.setBlock(x, 0, z, STONE);
+    }
+  }
+  return world;
+}
+
+// Relights the way the renderer does after each batch of edits
+function relight(lighting, world) {
+  const dirty = world.takeDirty();
+  lighting.updateChunks(dirty.chunks);
+  const cells = [];
+  dirty.cells.forEach((indices, key) => {
+    const chunk = world.chunks.get(key);
+    indices.forEach((index) => {
+      cells.push({
+        x: chunk.cx * 4 + (index % 4),
+        y: chunk.cy * 4 + Math.floor(index / 16),
+        z: chunk.cz * 4 + (Math.floor(index / 4) % 4),
+      });
+    });
+  });
+  lighting.update(cells);
+  return lighting.takeChanged();
+}
+
+function assertMatchesRebuild(lighting, world) {
+  const expected = createLighting(world);
+  expected.rebuild();
+  world.forEachChunk((chunk) => {
+    assert.deepEqual(lighting.levels.get(chunk.key), expected.levels.get(chunk.key), chunk.key);
+  });
+}
+
+test('the first relight rebuilds every chunk', () => {
+  const world = createFloor();
+  const lighting = createLighting(world);
+  const changed = relight(lighting, world);
+  assert.ok(changed.chunks.has('0,0,0'));
+  assert.equal(lighting.getSkyLight(1, 1, 1), MAX_LIGHT);
+  assert.equal(lighting.getSkyLight(1, 0, 1), 0);
+  assertMatchesRebuild(lighting, world);
+});
+
+test('a chunk allocated by an edit is lit without rebuilding the others', () => {
+  const world = createFloor();
+  const lighting = createLighting(world);
+  relight(lighting, world);
+  const floorLevels = lighting.levels.get('0,0,0');
+
+  // A roof in the chunk above shades the floor chunk; a lamp lights under it
+  for (let x = 0; x < 4; x += 1) {
+    for (let z = 0; z < 4; z += 1) {
+      world.setBlock(x, 5, z, STONE);
+    }
+  }
+  world.setBlock(1, 4, 1, LAMP);
+  const changed = relight(lighting, world);
+
+  assert.equal(lighting.levels.get('0,0,0'), floorLevels);
+  assert.ok(changed.chunks.has('0,0,0'));
+  assert.ok(changed.cells.get('0,0,0').has(world.chunks.get('0,0,0').getIndex(1, 3, 1)));
+  assert.ok(lighting.getSkyLight(1, 1, 1) < MAX_LIGHT);
+  assert.equal(lighting.getBlockLight(1, 3, 1), 11);
+  assertMatchesRebuild(lighting, world);
+});
+
+test('chunks that were already lit are left alone', () => {
+  const world = createFloor();
+  const lighting = createLighting(world);
+  relight(lighting, world);
+  world.markAllDirty();
+  const changed = relight(lighting, world);
+  assert.equal(changed.chunks.size, 0);
+  assert.equal(changed.cells.size, 0);
+});
+
+test('clearing and reloading the world rebuilds the light', () => {
+  const world = createFloor();
+  const lighting = createLighting(world);
+  relight(lighting, world);
+  world.clear();
+  world.setBlock(-2, 1, -2, STONE);
+  relight(lighting, world);
+  assert.equal(lighting.levels.has('0,0,0'), false);
+  assertMatchesRebuild(lighting, world);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildChunkFaces } from '../mesher.js';
+import { VoxelWorld } from '../voxel-core.js';
+
+const LIMITS = { minX: 0, maxX: 0, minY: 0, maxY: 0, minZ: 0, maxZ: 0 };
+const WATER = 2;
+const FLOWING = 5;
+
+const liquidOptions = {
+  greedy: false,
+  isOpaque: (blockId) => blockId !== WATER,
+  blockHeight: (blockId, state) => (state === FLOWING ? 0.5 : 1),
+};
+
+function countFaces(world) {
+  const buffers = buildChunkFaces(world, world.getChunk(0, 0, 0), liquidOptions).get(WATER);
+  return buffers.indices.length / 6;
+}
+
+test('liquid cells of the same level hide their shared side', () => {
+  const world = new VoxelWorld(4, 4, 4, LIMITS);
+  world.setBlock(0, 0, 0, WATER);
+  world.setBlock(1, 0, 0, WATER);
+  assert.equal(countFaces(world), 10);
+});
+
+test('a liquid cell beside a lower flowing one keeps its side face', () => {
+  const world = new VoxelWorld(4, 4, 4, LIMITS);
+  world.setBlock(0, 0, 0, WATER);
+  world.setBlock(1, 0, 0, WATER, FLOWING);
+  assert.equal(countFaces(world), 11);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { connectSandbox, voxelSandbox } from '../sandbox-api.js';
+import {
+  EditHistory,
+  VoxelWorld,
+  applyTransaction,
+  createTransaction,
+  writeCellChanges,
+} from '../voxel-core.js';
+
+const BLOCK_TYPES = [
+  { id: 0, key: 'air' },
+  { id: 1, key: 'grass' },
+  { id: 3, key: 'stone' },
+];
+
+const world = new VoxelWorld(16, 12, 16, { minX: -1, maxX: 1, minY: -1, maxY: 1, minZ: -1, maxZ: 1 });
+const history = new EditHistory();
+
+test('calls throw until the app connects', () => {
+  assert.throws(() => voxelSandbox.getBlock(0, 0, 0), /not connected/);
+  connectSandbox({
+    getCell: (x, y, z) => world.getCell(x, y, z),
+    inBounds: (x, y, z) => world.inBounds(x, y, z),
+    commit: (edits, label) => {
+      const changes = writeCellChanges(world, edits);
+      if (changes.length === 0) {
+        return null;
+      }
+      const transaction = createTransaction(changes, label);
+      history.push(transaction);
+      return transaction;
+    },
+    getBlockType: (id) => BLOCK_TYPES.find((blockType) => blockType.id === id) ?? null,
+    getBlockTypeByKey: (key) => BLOCK_TYPES.find((blockType) => blockType.key === key) ?? null,
+  });
+  assert.equal(voxelSandbox.getBlock(0, 0, 0).key, 'air');
+});
+
+test('setBlock accepts keys and ids and reports changes', () => {
+  assert.equal(voxelSandbox.setBlock(1, 2, 3, 'stone'), true);
+  assert.equal(voxelSandbox.setBlock(1, 2, 3, 3), false, 'already stone');
+  assert.deepEqual(voxelSandbox.getBlock(1, 2, 3), { id: 3, key: 'stone', state: 0 });
+  assert.equal(voxelSandbox.setBlock(999, 0, 0, 'stone'), false, 'outside the world');
+  assert.throws(() => voxelSandbox.setBlock(0, 0, 0, 'lava'), /Unknown block/);
+  assert.throws(() => voxelSandbox.setBlock(0.5, 0, 0, 'stone'), /Invalid cell/);
+});
+
+test('every scripted call is one undo step', () => {
+  history.clear();
+  assert.equal(voxelSandbox.fillRegion({ x: 3, y: 0, z: 0 }, { x: 0, y: 1, z: 1 }, 'grass'), 16);
+  voxelSandbox.setBlock(0, 5, 0, 'stone');
+  assert.equal(history.undoStack.length, 2);
+  history.undo((action) => applyTransaction(world, action));
+  history.undo((action) => applyTransaction(world, action));
+  assert.equal(voxelSandbox.getBlock(2, 1, 1).key, 'air');
+});
+
+test('fillRegion can replace one block type only', () => {
+  voxelSandbox.fillRegion({ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, 'grass');
+  voxelSandbox.setBlock(2, 0, 0, 'stone');
+  assert.equal(voxelSandbox.fillRegion({ x: 0, y: 0, z: 0 }, { x: 2, y: 0, z: 0 }, 'air', { replace: 'grass' }), 2);
+  assert.equal(voxelSandbox.getBlock(2, 0, 0).key, 'stone');
+});
+
+test('a batch commits its edits together and sees its own writes', () => {
+  history.clear();
+  const seen = voxelSandbox.batch(() => {
+    voxelSandbox.setBlock(5, 5, 5, 'stone');
+    voxelSandbox.setBlock(6, 5, 5, 'stone');
+    voxelSandbox.setBlock(5, 5, 5, 'grass');
+    return voxelSandbox.getBlock(5, 5, 5).key;
+  });
+  assert.equal(seen, 'grass');
+  assert.equal(history.undoStack.length, 1);
+  assert.equal(history.undoStack[0].changes.length, 2);
+});
+
+test('a failing batch writes nothing', () => {
+  assert.throws(() => voxelSandbox.batch(() => {
+    voxelSandbox.setBlock(7, 7, 7, 'stone');
+    throw new Error('script bug');
+  }), /script bug/);
+  assert.equal(voxelSandbox.getBlock(7, 7, 7).key, 'air');
+});
+
+test('scripted edits emit block events until unsubscribed', () => {
+  const events = [];
+  const offPlaced = voxelSandbox.on('blockPlaced', (detail) => events.push(['placed', detail]));
+  voxelSandbox.on('blockRemoved', (detail) => events.push(['removed', detail]));
+  voxelSandbox.setBlock(8, 8, 8, 'stone');
+  voxelSandbox.setBlock(8, 8, 8, 'air');
+  assert.deepEqual(events, [
+    ['placed', { cell: { x: 8, y: 8, z: 8 }, blockId: 3, key: 'stone', state: 0, source: 'script' }],
+    ['removed', { cell: { x: 8, y: 8, z: 8 }, blockId: 3, key: 'stone', state: 0, source: 'script' }],
+  ]);
+  offPlaced();
+  voxelSandbox.setBlock(8, 8, 8, 'grass');
+  assert.equal(events.length, 2);
+  assert.throws(() => voxelSandbox.on('exploded', () => {}), /Unknown event/);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Facing, packCellValue, packState } from '../block-state.js';
+import { boxCells, floodFillCells, lineCells, shapeEdits } from '../shapes.js';
+import { VoxelWorld, writeCellChanges } from '../voxel-core.js';
+
+const LIMITS = { minX: -1, maxX: 1, minY: -1, maxY: 1, minZ: -1, maxZ: 1 };
+const STONE = 1;
+const LOG = 2;
+const STAIRS = 3;
+
+function createWorld() {
+  return new VoxelWorld(16, 12, 16, LIMITS);
+}
+
+test('a dragged box of logs keeps the axis they were placed along', () => {
+  const world = createWorld();
+  world.setBlock(1, 0, 0, STONE);
+  const log = packCellValue(LOG, packState({ facing: Facing.POS_X }));
+  const cells = boxCells({ x: 0, y: 0, z: 0 }, { x: 2, y: 1, z: 1 });
+  const changes = writeCellChanges(world, shapeEdits(world, cells, log));
+
+  assert.equal(changes.length, cells.length - 1);
+  assert.equal(world.getCell(2, 1, 1), log);
+  assert.equal(world.getBlock(1, 0, 0), STONE);
+});
+
+test('a line of upper stairs keeps its facing and half', () => {
+  const world = createWorld();
+  const stairs = packCellValue(STAIRS, packState({ facing: Facing.NEG_Z, upper: true }));
+  const cells = lineCells({ x: 0, y: 2, z: 0 }, { x: 4, y: 2, z: 0 });
+  writeCellChanges(world, shapeEdits(world, cells, stairs));
+
+  cells.forEach(({ x, y, z }) => {
+    assert.equal(world.getState(x, y, z), packState({ facing: Facing.NEG_Z, upper: true }));
+  });
+});
+
+test('flood fill repaints the filled cells with the placement state', () => {
+  const world = createWorld();
+  for (let x = 0; x < 3; x += 1) {
+    world.setBlock(x, 0, 0, STONE);
+  }
+  const log = packCellValue(LOG, packState({ facing: Facing.POS_Z }));
+  const cells = floodFillCells(world, { x: 0, y: 0, z: 0 });
+  writeCellChanges(world, shapeEdits(world, cells, log, { overwrite: true }));
+
+  assert.deepEqual([0, 1, 2].map((x) => world.getCell(x, 0, 0)), [log, log, log]);
+});
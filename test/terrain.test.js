@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  TERRAIN_PARAM_RANGES,
+  generateTerrain,
+  normalizeSeed,
+  normalizeTerrainParams,
+} from '../terrain.js';
+import { VoxelWorld, encodeWorld } from '../voxel-core.js';
+
+const IDS = { grass: 1, sand: 2, stone: 3 };
+const LIMITS = { minX: -8, maxX: 7, minY: -2, maxY: 5, minZ: -8, maxZ: 7 };
+
+function generateIsland(params) {
+  const world = new VoxelWorld(16, 12, 16, LIMITS);
+  generateTerrain(params, (x, y, z, blockKey) => {
+    world.setBlock(x, y, z, IDS[blockKey]);
+  });
+  return world;
+}
+
+function snapshot(world) {
+  return encodeWorld(world, { blocks: { 1: 'grass', 2: 'sand', 3: 'stone' } });
+}
+
+test('the same parameters always build the same island', () => {
+  const params = { seed: 1234, radius: 10, caveDensity: 0.3 };
+  assert.equal(snapshot(generateIsland(params)), snapshot(generateIsland(params)));
+});
+
+test('different seeds build different islands', () => {
+  assert.notEqual(snapshot(generateIsland({ seed: 1 })), snapshot(generateIsland({ seed: 2 })));
+});
+
+test('text seeds hash to a stable number', () => {
+  assert.equal(normalizeSeed('cliffs'), normalizeSeed(' cliffs '));
+  assert.notEqual(normalizeSeed('cliffs'), normalizeSeed('dunes'));
+  assert.equal(normalizeSeed('42'), 42);
+});
+
+test('parameters are clamped and defaulted', () => {
+  const params = normalizeTerrainParams({ seed: 7, radius: 1000, sandRatio: 'lots' });
+  assert.equal(params.seed, 7);
+  assert.equal(params.radius, TERRAIN_PARAM_RANGES.radius.max);
+  assert.equal(params.sandRatio, TERRAIN_PARAM_RANGES.sandRatio.default);
+  assert.equal(params.plateauHeight, TERRAIN_PARAM_RANGES.plateauHeight.default);
+});
+
+test('the plateau is flat at the requested height', () => {
+  const world = generateIsland({ seed: 99, plateauHeight: 7 });
+  let highest = -Infinity;
+  world.forEachBlock((blockId, x, y) => {
+    highest = Math.max(highest, y);
+  });
+  assert.equal(highest, 7);
+  assert.ok([IDS.grass, IDS.sand].includes(world.getBlock(8, 7, 8)));
+});
+
+test('sand ratio and cave density shape the island', () => {
+  const count = (params, blockId) => {
+    let total = 0;
+    generateIsland({ seed: 5, ...params }).forEachBlock((id) => {
+      total += blockId === undefined || id === blockId ? 1 : 0;
+    });
+    return total;
+  };
+  assert.equal(count({ sandRatio: 0 }, IDS.sand), 0);
+  assert.equal(count({ sandRatio: 1 }, IDS.grass), 0);
+  assert.ok(count({ caveDensity: 0.5 }) < count({ caveDensity: 0 }));
+});
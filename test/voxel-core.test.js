@@ -0,0 +1,250 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { packCellValue } from '../block-state.js';
+import { SAVE_FORMAT_VERSION } from '../save-format.js';
+import {
+  AIR,
+  EditHistory,
+  VoxelChunk,
+  VoxelWorld,
+  applyTransaction,
+  createTransaction,
+  decodeWorld,
+  encodeWorld,
+  invertAction,
+  writeCellChanges,
+} from '../voxel-core.js';
+
+const LIMITS = { minX: -2, maxX: 1, minY: -1, maxY: 1, minZ: -2, maxZ: 1 };
+const STONE = 3;
+const GRASS = 1;
+const IDS_BY_KEY = new Map([['grass', GRASS], ['stone', STONE]]);
+const BLOCKS = { [GRASS]: 'grass', [STONE]: 'stone' };
+
+function createWorld() {
+  return new VoxelWorld(16, 12, 16, LIMITS);
+}
+
+test('chunk cells are indexed y-major, then z, then x', () => {
+  const chunk = new VoxelChunk(4, 3, 5);
+  assert.equal(chunk.getIndex(0, 0, 0), 0);
+  assert.equal(chunk.getIndex(1, 0, 0), 1);
+  assert.equal(chunk.getIndex(0, 0, 1), 4);
+  assert.equal(chunk.getIndex(0, 1, 0), 20);
+  assert.equal(chunk.getIndex(3, 2, 4), chunk.cellCount() - 1);
+});
+
+test('chunk ignores writes outside its box and counts solid cells', () => {
+  const chunk = new VoxelChunk(4, 4, 4);
+  chunk.setBlock(4, 0, 0, STONE);
+  chunk.setBlock(-1, 0, 0, STONE);
+  assert.equal(chunk.countSolid(), 0);
+  assert.equal(chunk.getBlock(4, 0, 0), AIR);
+
+  chunk.setBlock(1, 2, 3, STONE, 5);
+  chunk.setBlock(1, 2, 3, GRASS, 2);
+  assert.equal(chunk.countSolid(), 1);
+  assert.equal(chunk.getState(1, 2, 3), 2);
+  chunk.setBlock(1, 2, 3, AIR, 7);
+  assert.equal(chunk.countSolid(), 0);
+  assert.equal(chunk.getState(1, 2, 3), 0, 'air never keeps a state');
+});
+
+test('world maps negative coordinates to the right chunk', () => {
+  const world = createWorld();
+  assert.deepEqual(world.chunkCoords(-1, -1, -1), { cx: -1, cy: -1, cz: -1 });
+  assert.deepEqual(world.chunkCoords(16, 11, 15), { cx: 1, cy: 0, cz: 0 });
+  assert.ok(world.setBlock(-1, -1, -1, STONE));
+  const chunk = world.getChunk(-1, -1, -1);
+  assert.ok(chunk);
+  assert.equal(chunk.getBlock(15, 11, 15), STONE);
+  assert.equal(world.getBlock(-1, -1, -1), STONE);
+});
+
+test('world rejects cells beyond its chunk limits', () => {
+  const world = createWorld();
+  assert.ok(world.inBounds(31, 23, 31));
+  assert.ok(world.inBounds(-32, -12, -32));
+  assert.equal(world.inBounds(32, 0, 0), false);
+  assert.equal(world.inBounds(0, 24, 0), false);
+  assert.equal(world.inBounds(0, -13, 0), false);
+  assert.equal(world.setBlock(32, 0, 0, STONE), false);
+  assert.equal(world.chunks.size, 0);
+});
+
+test('writing air into empty space allocates no chunk', () => {
+  const world = createWorld();
+  assert.ok(world.setBlock(5, 5, 5, AIR));
+  assert.equal(world.chunks.size, 0);
+});
+
+test('edits are reported once through takeDirty, with border neighbours', () => {
+  const world = createWorld();
+  world.setBlock(16, 0, 0, STONE);
+  world.takeDirty();
+  world.setBlock(15, 0, 0, STONE);
+  const dirty = world.takeDirty();
+  assert.deepEqual([...dirty.chunks], ['0,0,0']);
+  assert.deepEqual([...dirty.cells.get('0,0,0')], [15]);
+  assert.deepEqual([...dirty.borders], ['1,0,0']);
+  assert.equal(world.takeDirty().cells.size, 0);
+});
+
+test('writeCellChanges records only cells that change', () => {
+  const world = createWorld();
+  world.setBlock(0, 0, 0, STONE);
+  const changes = writeCellChanges(world, [
+    { cell: { x: 0, y: 0, z: 0 }, to: STONE },
+    { cell: { x: 1, y: 0, z: 0 }, to: packCellValue(GRASS, 3) },
+    { cell: { x: 999, y: 0, z: 0 }, to: STONE },
+    { cell: null, to: STONE },
+  ]);
+  assert.deepEqual(changes, [{ cell: { x: 1, y: 0, z: 0 }, from: AIR, to: packCellValue(GRASS, 3) }]);
+  assert.equal(world.getState(1, 0, 0), 3);
+});
+
+test('inverting a transaction reverses its order and values', () => {
+  const action = createTransaction([
+    { cell: { x: 0, y: 0, z: 0 }, from: AIR, to: STONE },
+    { cell: { x: 0, y: 0, z: 0 }, from: STONE, to: GRASS },
+  ], 'place');
+  const inverse = invertAction(action);
+  assert.equal(inverse.label, 'place');
+  assert.deepEqual(inverse.changes.map(({ from, to }) => [from, to]), [[GRASS, STONE], [STONE, AIR]]);
+  assert.equal(invertAction(null), null);
+});
+
+test('undo and redo replay a sequence of edits', () => {
+  const world = createWorld();
+  const history = new EditHistory();
+  const apply = (action) => applyTransaction(world, action);
+  const edit = (cell, to) => {
+    history.push(createTransaction(writeCellChanges(world, [{ cell, to }])));
+  };
+
+  edit({ x: 0, y: 0, z: 0 }, STONE);
+  edit({ x: 0, y: 1, z: 0 }, GRASS);
+  edit({ x: 0, y: 0, z: 0 }, GRASS);
+  assert.equal(history.undoStack.length, 3);
+
+  assert.ok(history.undo(apply));
+  assert.equal(world.getBlock(0, 0, 0), STONE);
+  assert.ok(history.undo(apply));
+  assert.equal(world.getBlock(0, 1, 0), AIR);
+  assert.ok(history.redo(apply));
+  assert.equal(world.getBlock(0, 1, 0), GRASS);
+  assert.ok(history.undo(apply));
+  assert.ok(history.undo(apply));
+  assert.equal(world.countBlocks(), 0);
+  assert.equal(history.undo(apply), false, 'nothing left to undo');
+
+  assert.ok(history.redo(apply));
+  assert.equal(world.getBlock(0, 0, 0), STONE);
+  // A new edit drops the redo stack
+  edit({ x: 2, y: 0, z: 0 }, STONE);
+  assert.equal(history.canRedo(), false);
+  assert.equal(history.redo(apply), false);
+});
+
+test('history keeps an entry when applying it fails', () => {
+  const history = new EditHistory();
+  history.push(createTransaction([{ cell: { x: 0, y: 0, z: 0 }, from: AIR, to: STONE }]));
+  assert.equal(history.undo(() => false), false);
+  assert.equal(history.canRedo(), false);
+});
+
+test('squashed edits undo as one step', () => {
+  const world = createWorld();
+  const history = new EditHistory();
+  const apply = (action) => applyTransaction(world, action);
+  const edit = (cell, to, label) => {
+    history.push(createTransaction(writeCellChanges(world, [{ cell, to }]), label));
+  };
+
+  edit({ x: 5, y: 0, z: 0 }, GRASS, 'place');
+  const start = history.undoStack.length;
+  edit({ x: 0, y: 0, z: 0 }, STONE, 'paint');
+  edit({ x: 1, y: 0, z: 0 }, STONE, 'paint');
+  edit({ x: 0, y: 0, z: 0 }, GRASS, 'paint');
+  history.squash(start, 'stroke');
+  assert.equal(history.undoStack.length, 2);
+  assert.equal(history.undoStack[1].label, 'stroke');
+
+  assert.ok(history.undo(apply));
+  assert.equal(world.getBlock(0, 0, 0), AIR);
+  assert.equal(world.getBlock(1, 0, 0), AIR);
+  assert.equal(world.getBlock(5, 0, 0), GRASS);
+  assert.ok(history.redo(apply));
+  assert.equal(world.getBlock(0, 0, 0), GRASS);
+  assert.equal(world.getBlock(1, 0, 0), STONE);
+
+  // A single entry is left as it is
+  history.squash(0, 'stroke');
+  history.squash(history.undoStack.length - 1, 'other');
+  assert.deepEqual(history.undoStack.map((action) => action.label), ['stroke']);
+});
+
+test('empty transactions are not recorded', () => {
+  const history = new EditHistory();
+  history.push(createTransaction([]));
+  history.push(null);
+  assert.equal(history.canUndo(), false);
+});
+
+test('a world survives a save round trip', () => {
+  const world = createWorld();
+  world.setBlock(0, 0, 0, STONE);
+  world.setBlock(-5, -3, 20, GRASS, 4);
+  world.setBlock(31, 23, 31, STONE);
+  const serialized = encodeWorld(world, {
+    blocks: BLOCKS,
+    environment: { timeOfDay: 0.25 },
+    metadata: { createdAt: 1 },
+  });
+
+  const restored = createWorld();
+  restored.setBlock(7, 7, 7, GRASS);
+  const save = decodeWorld(restored, serialized, IDS_BY_KEY);
+  assert.equal(save.version, SAVE_FORMAT_VERSION);
+  assert.equal(save.metadata.blockCount, 3);
+  assert.deepEqual(save.environment, { timeOfDay: 0.25 });
+  assert.equal(restored.countBlocks(), 3);
+  assert.equal(restored.getBlock(7, 7, 7), AIR, 'decoding replaces the old contents');
+  assert.equal(restored.getBlock(-5, -3, 20), GRASS);
+  assert.equal(restored.getState(-5, -3, 20), 4);
+  assert.equal(restored.getBlock(31, 23, 31), STONE);
+});
+
+test('decoding remaps block ids through their keys', () => {
+  const world = createWorld();
+  world.setBlock(1, 1, 1, STONE);
+  const serialized = encodeWorld(world, { blocks: { [STONE]: 'stone' } });
+  const restored = createWorld();
+  decodeWorld(restored, serialized, new Map([['stone', 9]]));
+  assert.equal(restored.getBlock(1, 1, 1), 9);
+
+  const unknown = createWorld();
+  decodeWorld(unknown, serialized, new Map());
+  assert.equal(unknown.countBlocks(), 0, 'unknown blocks become air');
+});
+
+test('legacy single-chunk saves still load', () => {
+  const chunk = new VoxelChunk(16, 12, 16);
+  chunk.setBlock(3, 4, 5, 5);
+  const legacy = btoa(String.fromCharCode(...chunk.data));
+  const world = createWorld();
+  decodeWorld(world, legacy, new Map([['wood', 5]]));
+  assert.equal(world.getBlock(3, 4, 5), 5);
+  assert.equal(world.countBlocks(), 1);
+});
+
+test('saves with other chunk sizes are re-addressed by world position', () => {
+  const small = new VoxelWorld(8, 8, 8, LIMITS);
+  small.setBlock(9, 9, 9, STONE);
+  small.setBlock(-1, 0, 0, GRASS);
+  const world = createWorld();
+  decodeWorld(world, encodeWorld(small, { blocks: BLOCKS }), IDS_BY_KEY);
+  assert.equal(world.getBlock(9, 9, 9), STONE);
+  assert.equal(world.getBlock(-1, 0, 0), GRASS);
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EYE_HEIGHT, Walker } from '../walker.js';
+import { VoxelWorld } from '../voxel-core.js';
+
+const STONE = 1;
+const WATER = 2;
+const SLAB = 3;
+const LIMITS = { minX: -8, maxX: 7, minY: -2, maxY: 5, minZ: -8, maxZ: 7 };
+const FULL_BOX = [[[0, 0, 0], [1, 1, 1]]];
+const SLAB_BOX = [[[0, 0, 0], [1, 0.5, 1]]];
+
+// A 9x9 stone floor at y = 0, with its top at y = 1 in cell units
+function createFloor() {
+  const world = new VoxelWorld(16, 12, 16, LIMITS);
+  for (let x = 0; x < 9; x += 1) {
+    for (let z = 0; z < 9; z += 1) {
+      world.setBlock(x, 0, z, STONE);
+    }
+  }
+  return world;
+}
+
+function createWalker(world) {
+  return new Walker({
+    getBoxes: (x, y, z) => {
+      const blockId = world.getBlock(x, y, z);
+      if (blockId === SLAB) {
+        return SLAB_BOX;
+      }
+      return blockId === STONE ? FULL_BOX : [];
+    },
+    isLiquid: (x, y, z) => world.getBlock(x, y, z) === WATER,
+    fallLimit: -30,
+  });
+}
+
+function run(walker, seconds, input) {
+  for (let t = 0; t < seconds; t += 1 / 60) {
+    walker.update(1 / 60, input);
+  }
+}
+
+test('the player falls onto the floor and stands on it', () => {
+  const walker = createWalker(createFloor());
+  walker.spawnAt({ x: 4.5, y: 5, z: 4.5 });
+  run(walker, 1.5);
+  assert.ok(Math.abs(walker.position.y - 1) < 1e-3);
+  assert.equal(walker.onGround, true);
+  assert.equal(walker.eyePosition().y, walker.position.y + EYE_HEIGHT);
+});
+
+test('jumping clears one block but not two', () => {
+  const world = createFloor();
+  for (let z = 0; z < 9; z += 1) {
+    world.setBlock(6, 1, z, STONE);
+    world.setBlock(7, 1, z, STONE);
+    world.setBlock(8, 2, z, STONE);
+    world.setBlock(8, 3, z, STONE);
+  }
+  const walker = createWalker(world);
+  walker.yaw = -Math.PI / 2;
+  walker.spawnAt({ x: 4.5, y: 1, z: 4.5 });
+  run(walker, 2, { forward: 1, jump: true });
+  assert.ok(walker.position.x > 6 && walker.position.x < 8);
+  run(walker, 1, { forward: 1 });
+  assert.ok(Math.abs(walker.position.y - 2) < 1e-3);
+});
+
+test('walls stop walking without a jump', () => {
+  const world = createFloor();
+  world.setBlock(4, 1, 2, STONE);
+  const walker = createWalker(world);
+  walker.spawnAt({ x: 4.5, y: 1, z: 4.5 });
+  run(walker, 2, { forward: 1 });
+  assert.ok(Math.abs(walker.position.z - 3.3) < 1e-3);
+  assert.equal(walker.againstWall, true);
+});
+
+test('slabs are stepped onto', () => {
+  const world = createFloor();
+  world.setBlock(4, 1, 2, SLAB);
+  const walker = createWalker(world);
+  walker.spawnAt({ x: 4.5, y: 1, z: 4.5 });
+  run(walker, 0.4, { forward: 1 });
+  assert.ok(Math.abs(walker.position.y - 1.5) < 1e-3);
+  assert.ok(walker.position.z < 3);
+});
+
+test('the player swims in water and rises while jump is held', () => {
+  const world = createFloor();
+  for (let y = 1; y <= 4; y += 1) {
+    world.setBlock(4, y, 4, WATER);
+  }
+  const walker = createWalker(world);
+  walker.spawnAt({ x: 4.5, y: 3, z: 4.5 });
+  run(walker, 0.2);
+  assert.equal(walker.swimming, true);
+  assert.ok(walker.velocity.y >= -2);
+  const sinking = walker.position.y;
+  run(walker, 0.5, { jump: true });
+  assert.ok(walker.position.y > sinking);
+});
+
+test('falling off the island respawns the player', () => {
+  const walker = createWalker(createFloor());
+  walker.spawnAt({ x: 4.5, y: 1, z: 4.5 });
+  walker.position = { x: 20, y: 1, z: 20 };
+  let respawned = false;
+  for (let t = 0; t < 5 && !respawned; t += 1 / 60) {
+    respawned = walker.update(1 / 60);
+  }
+  assert.equal(respawned, true);
+  assert.deepEqual(walker.position, { x: 4.5, y: 1, z: 4.5 });
+});
+
+test('blocks placed inside the player push them up', () => {
+  const world = createFloor();
+  const walker = createWalker(world);
+  walker.spawnAt({ x: 4.5, y: 1, z: 4.5 });
+  assert.equal(walker.overlapsCell(4, 1, 4), true);
+  assert.equal(walker.overlapsCell(4, 3, 4), false);
+  world.setBlock(4, 1, 4, STONE);
+  walker.update(1 / 60);
+  assert.ok(walker.position.y >= 2);
+});
@@ -0,0 +1,63 @@
+// Square texture atlas of equally sized block face tiles.
+// Tiles are addressed by index, row-major from the top-left of the canvas;
+// the atlas shader maps a tile index plus a wrapped face UV into the atlas.
+// Tiles are de-duplicated by key, so blocks sharing a face share a tile.
+
+import * as THREE from 'three';
+
+export class TextureAtlas {
+  constructor(tileSize = 32, columns = 16) {
+    this.tileSize = tileSize;
+    this.columns = columns;
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = tileSize * columns;
+    this.canvas.height = tileSize * columns;
+    this.context = this.canvas.getContext('2d');
+    this.tileIndexByKey = new Map();
+
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture.colorSpace = THREE.SRGBColorSpace;
+    this.texture.magFilter = THREE.NearestFilter;
+    this.texture.minFilter = THREE.NearestFilter;
+    this.texture.generateMipmaps = false;
+  }
+
+  get capacity() {
+    return this.columns * this.columns;
+  }
+
+  tileOrigin(index) {
+    return {
+      x: (index % this.columns) * this.tileSize,
+      y: Math.floor(index / this.columns) * this.tileSize,
+    };
+  }
+
+  // Returns the tile for `key`, painting it with `paint(tileSize)` (RGBA
+  // pixels) the first time the key is seen.
+  tile(key, paint) {
+    if (this.tileIndexByKey.has(key)) {
+      return this.tileIndexByKey.get(key);
+    }
+    const index = this.tileIndexByKey.size;
+    if (index >= this.capacity) {
+      console.warn(`[voxel] texture atlas is full, "${key}" reuses tile 0`);
+      return 0;
+    }
+    this.tileIndexByKey.set(key, index);
+    const { x, y } = this.tileOrigin(index);
+    const pixels = paint(this.tileSize);
+    this.context.putImageData(new ImageData(pixels, this.tileSize, this.tileSize), x, y);
+    this.texture.needsUpdate = true;
+    return index;
+  }
+
+  // Paints an already allocated tile with an image once it is available
+  drawImage(index, image) {
+    const { x, y } = this.tileOrigin(index);
+    this.context.imageSmoothingEnabled = false;
+    this.context.clearRect(x, y, this.tileSize, this.tileSize);
+    this.context.drawImage(image, x, y, this.tileSize, this.tileSize);
+    this.texture.needsUpdate = true;
+  }
+}
@@ -0,0 +1,176 @@
+// Procedural pixel tiles for the block texture atlas.
+// Each painter returns RGBA pixels for a size x size tile, row 0 at the top
+// of the block face. Block packs pick a TEXTURE_SETS entry by name, which
+// maps each face (top / side / bottom) to a painter.
+
+function hashNoise(ax, ay) {
+  return (x, y) => {
+    // deterministic hash noise
+    const s = Math.sin(x * ax + y * ay) * 43758.5453;
+    return s - Math.floor(s);
+  };
+}
+
+function paintTile(size, palette, pickIndex) {
+  const data = new Uint8ClampedArray(size * size * 4);
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const idx = Math.max(0, Math.min(palette.length - 1, pickIndex(x, y)));
+      const off = (y * size + x) * 4;
+      const col = palette[idx];
+      data[off + 0] = col[0];
+      data[off + 1] = col[1];
+      data[off + 2] = col[2];
+      data[off + 3] = 255;
+    }
+  }
+  return data;
+}
+
+const STONE_PALETTE = [
+  [200, 200, 200], // light
+  [170, 170, 170],
+  [140, 140, 140],
+  [115, 115, 115], // dark
+];
+
+function paintStone(size) {
+  const rng = hashNoise(127.1, 311.7);
+  return paintTile(size, STONE_PALETTE, (x, y) => {
+    // blocky pattern: quantize into 4x4 macro tiles
+    const qx = Math.floor(x / 4);
+    const qy = Math.floor(y / 4);
+    let idx = Math.floor(rng(qx + 0.5 * qy, qy + 0.7 * qx) * STONE_PALETTE.length) % STONE_PALETTE.length;
+    // add subtle streaks
+    if (rng(x * 0.2, y * 1.7) > 0.82) idx += 1;
+    return idx;
+  });
+}
+
+// greens from light to dark
+const GRASS_PALETTE = [
+  [146, 216, 125],
+  [126, 196, 110],
+  [108, 176, 96],
+  [92, 156, 84],
+  [76, 136, 72],
+];
+
+const grassRng = hashNoise(97.1, 213.7);
+
+function grassIndex(x, y) {
+  // combine fine and coarse noise to form patches
+  const c = Math.floor(x / 4) + Math.floor(y / 4) * 13;
+  const t = grassRng(x * 0.9, y * 0.9) * 0.6 + grassRng(c, c * 1.37) * 0.4;
+  let idx = Math.floor(t * GRASS_PALETTE.length);
+  // sparse brighter specks to mimic blades
+  if (grassRng(x * 1.7 + 7.0, y * 1.3 + 3.0) > 0.96) idx -= 1;
+  return idx;
+}
+
+function paintGrassTop(size) {
+  return paintTile(size, GRASS_PALETTE, grassIndex);
+}
+
+const DIRT_PALETTE = [
+  [134, 96, 67],
+  [116, 82, 56],
+  [98, 69, 47],
+  [80, 56, 38],
+];
+
+const dirtRng = hashNoise(61.3, 187.9);
+
+function dirtIndex(x, y) {
+  const n1 = dirtRng(x * 0.9, y * 0.9);
+  const n2 = dirtRng(Math.floor(x / 3), Math.floor(y / 3));
+  return Math.floor((n1 * 0.5 + n2 * 0.5) * DIRT_PALETTE.length);
+}
+
+function paintDirt(size) {
+  return paintTile(size, DIRT_PALETTE, dirtIndex);
+}
+
+// Dirt with a ragged band of grass hanging over the top edge
+function paintGrassSide(size) {
+  const palette = [...GRASS_PALETTE, ...DIRT_PALETTE];
+  const band = Math.max(2, Math.round(size * 0.18));
+  return paintTile(size, palette, (x, y) => {
+    const drip = Math.floor(grassRng(x * 3.1, 11.0) * (band * 0.75));
+    if (y < band + drip) {
+      return grassIndex(x, y);
+    }
+    return GRASS_PALETTE.length + dirtIndex(x, y);
+  });
+}
+
+const SAND_PALETTE = [
+  [242, 230, 182], // light
+  [233, 215, 156],
+  [214, 196, 143],
+  [202, 191, 138],
+];
+
+function paintSand(size) {
+  const rng = hashNoise(91.7, 151.3);
+  return paintTile(size, SAND_PALETTE, (x, y) => {
+    // fine speckles with slight clustering
+    const n1 = rng(x * 0.8, y * 0.8);
+    const n2 = rng(Math.floor(x / 2), Math.floor(y / 2));
+    return Math.floor((n1 * 0.7 + n2 * 0.3) * SAND_PALETTE.length);
+  });
+}
+
+const WOOD_PALETTE = [
+  [91, 55, 30], // deep
+  [115, 72, 40],
+  [139, 90, 50],
+  [176, 119, 69], // light
+];
+
+// Vertical bark-like banding for the sides of a log
+function paintWoodSide(size) {
+  const rng = hashNoise(123.7, 45.1);
+  return paintTile(size, WOOD_PALETTE, (x, y) => {
+    // vertical banding with jitter
+    let idx = Math.floor(rng(Math.floor(x / 3), y * 0.6) * WOOD_PALETTE.length);
+    // occasional darker streaks
+    if (rng(x * 0.35, y * 1.5) > 0.82) idx -= 1;
+    // small knot clusters
+    if (rng(Math.floor(x / 6), Math.floor(y / 6)) > 0.88) idx -= 1;
+    return idx;
+  });
+}
+
+// End grain: growth rings around the centre with a dark bark border
+function paintWoodEnd(size) {
+  const rng = hashNoise(57.3, 33.9);
+  const centre = (size - 1) / 2;
+  return paintTile(size, WOOD_PALETTE, (x, y) => {
+    const edge = Math.min(x, y, size - 1 - x, size - 1 - y);
+    if (edge < Math.max(1, Math.round(size / 16))) {
+      return 0;
+    }
+    const radius = Math.hypot(x - centre, y - centre) + rng(x, y) * 1.2;
+    const ring = Math.floor(radius / Math.max(2, size / 10)) % 2;
+    return ring === 0 ? 3 : 2;
+  });
+}
+
+export const TILE_PAINTERS = {
+  stone: paintStone,
+  'grass-top': paintGrassTop,
+  'grass-side': paintGrassSide,
+  dirt: paintDirt,
+  sand: paintSand,
+  'wood-side': paintWoodSide,
+  'wood-end': paintWoodEnd,
+};
+
+export const TEXTURE_SETS = {
+  grass: { top: 'grass-top', side: 'grass-side', bottom: 'dirt' },
+  dirt: { top: 'dirt', side: 'dirt', bottom: 'dirt' },
+  stone: { top: 'stone', side: 'stone', bottom: 'stone' },
+  sand: { top: 'sand', side: 'sand', bottom: 'sand' },
+  wood: { top: 'wood-end', side: 'wood-side', bottom: 'wood-end' },
+};
@@ -0,0 +1,192 @@
+// Time-of-day model for the day/night cycle.
+//
+// Time is a fraction of a day: 0 is midnight, 0.25 sunrise, 0.5 noon and
+// 0.75 sunset. skyStateAt() blends the keyframes below into everything the
+// scene needs for one moment: sky and fog colours, light intensities,
+// exposure, star visibility and the sun and moon directions. Colours are
+// sRGB hex values.
+
+export const DEFAULT_TIME_OF_DAY = 0.42;
+
+// The sun's path is tilted this far from the zenith, so noon shadows stay
+// readable instead of pointing straight down
+const SUN_PATH_TILT = Math.PI / 5;
+
+const SKY_KEYFRAMES = [
+  {
+    time: 0,
+    topColor: 0x0a1230,
+    horizonColor: 0x1b2748,
+    bottomColor: 0x222f52,
+    fogColor: 0x18223d,
+    sunColor: 0xffb27a,
+    sunIntensity: 0,
+    moonIntensity: 0.28,
+    ambientIntensity: 0.14,
+    hemiIntensity: 0.1,
+    exposure: 0.9,
+    stars: 1,
+  },
+  {
+    time: 0.21,
+    topColor: 0x1a2556,
+    horizonColor: 0x4a4470,
+    bottomColor: 0x3a3a62,
+    fogColor: 0x33345a,
+    sunColor: 0xff9a5c,
+    sunIntensity: 0,
+    moonIntensity: 0.12,
+    ambientIntensity: 0.16,
+    hemiIntensity: 0.12,
+    exposure: 0.92,
+    stars: 0.7,
+  },
+  {
+    time: 0.27,
+    topColor: 0x6a92d8,
+    horizonColor: 0xffbf94,
+    bottomColor: 0xffd6b3,
+    fogColor: 0xf0c6a6,
+    sunColor: 0xffb27a,
+    sunIntensity: 0.7,
+    moonIntensity: 0,
+    ambientIntensity: 0.28,
+    hemiIntensity: 0.18,
+    exposure: 1,
+    stars: 0,
+  },
+  {
+    time: 0.36,
+    topColor: 0x6fb5ff,
+    horizonColor: 0xaed8ff,
+    bottomColor: 0xb5d6ff,
+    fogColor: 0xb5d6ff,
+    sunColor: 0xffe0bc,
+    sunIntensity: 1.15,
+    moonIntensity: 0,
+    ambientIntensity: 0.36,
+    hemiIntensity: 0.24,
+    exposure: 1.05,
+    stars: 0,
+  },
+  {
+    time: 0.64,
+    topColor: 0x6fb5ff,
+    horizonColor: 0xaed8ff,
+    bottomColor: 0xb5d6ff,
+    fogColor: 0xb5d6ff,
+    sunColor: 0xffe0bc,
+    sunIntensity: 1.15,
+    moonIntensity: 0,
+    ambientIntensity: 0.36,
+    hemiIntensity: 0.24,
+    exposure: 1.05,
+    stars: 0,
+  },
+  {
+    time: 0.73,
+    topColor: 0x5668b0,
+    horizonColor: 0xff9b6a,
+    bottomColor: 0xffbd8c,
+    fogColor: 0xe6a682,
+    sunColor: 0xff9a5c,
+    sunIntensity: 0.6,
+    moonIntensity: 0,
+    ambientIntensity: 0.26,
+    hemiIntensity: 0.16,
+    exposure: 0.98,
+    stars: 0,
+  },
+  {
+    time: 0.79,
+    topColor: 0x1c2450,
+    horizonColor: 0x6e4a78,
+    bottomColor: 0x453862,
+    fogColor: 0x363257,
+    sunColor: 0xff9a5c,
+    sunIntensity: 0,
+    moonIntensity: 0.12,
+    ambientIntensity: 0.16,
+    hemiIntensity: 0.12,
+    exposure: 0.92,
+    stars: 0.6,
+  },
+];
+
+const COLOR_KEYS = ['topColor', 'horizonColor', 'bottomColor', 'fogColor', 'sunColor'];
+const NUMBER_KEYS = [
+  'sunIntensity',
+  'moonIntensity',
+  'ambientIntensity',
+  'hemiIntensity',
+  'exposure',
+  'stars',
+];
+
+export function normalizeTime(time) {
+  const value = Number(time);
+  if (!Number.isFinite(value)) {
+    return DEFAULT_TIME_OF_DAY;
+  }
+  return ((value % 1) + 1) % 1;
+}
+
+function lerpColor(a, b, t) {
+  let result = 0;
+  for (let shift = 16; shift >= 0; shift -= 8) {
+    const from = (a >> shift) & 0xff;
+    const to = (b >> shift) & 0xff;
+    result |= Math.round(from + (to - from) * t) << shift;
+  }
+  return result;
+}
+
+// Unit vector towards the sun; the moon sits opposite
+export function sunDirectionAt(time) {
+  const angle = (normalizeTime(time) - 0.25) * Math.PI * 2;
+  return {
+    x: Math.cos(angle),
+    y: Math.sin(angle) * Math.cos(SUN_PATH_TILT),
+    z: Math.sin(angle) * Math.sin(SUN_PATH_TILT),
+  };
+}
+
+function horizonFade(height) {
+  return Math.min(1, Math.max(0, (height + 0.02) / 0.12));
+}
+
+export function skyStateAt(time) {
+  const t = normalizeTime(time);
+  // Keyframes wrap around midnight
+  let next = SKY_KEYFRAMES.findIndex((keyframe) => keyframe.time > t);
+  if (next === -1) {
+    next = 0;
+  }
+  const from = SKY_KEYFRAMES[(next - 1 + SKY_KEYFRAMES.length) % SKY_KEYFRAMES.length];
+  const to = SKY_KEYFRAMES[next];
+  const span = (to.time - from.time + 1) % 1 || 1;
+  const blend = ((t - from.time + 1) % 1) / span;
+  const eased = blend * blend * (3 - 2 * blend);
+
+  const state = { time: t };
+  COLOR_KEYS.forEach((key) => {
+    state[key] = lerpColor(from[key], to[key], eased);
+  });
+  NUMBER_KEYS.forEach((key) => {
+    state[key] = from[key] + (to[key] - from[key]) * eased;
+  });
+  const sun = sunDirectionAt(t);
+  state.sunDirection = sun;
+  state.moonDirection = { x: -sun.x, y: -sun.y, z: -sun.z };
+  // Neither body lights the island from below the horizon
+  state.sunIntensity *= horizonFade(sun.y);
+  state.moonIntensity *= horizonFade(-sun.y);
+  return state;
+}
+
+// "HH:MM" on a 24-hour clock
+export function formatTimeOfDay(time) {
+  const minutes = Math.floor(normalizeTime(time) * 24 * 60);
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,173 @@
+// MagicaVoxel .vox reader / writer (SIZE, XYZI and RGBA chunks).
+// Only the first model of a file is read; scene graph chunks (nTRN, nSHP,
+// MATL, ...) are skipped. MagicaVoxel is Z-up, the sandbox is Y-up, so
+// callers receive and provide voxels in .vox axes and swap as needed.
+
+const VOX_VERSION = 150;
+const MAX_VOX_DIMENSION = 256;
+
+// MagicaVoxel's built-in palette, used when a file has no RGBA chunk.
+// Index 0 is unused; 1..215 are a 6x6x6 colour cube (r outermost, b innermost,
+// black excluded) followed by 10-step red, green, blue and grey ramps.
+function createDefaultPalette() {
+  const palette = [[0, 0, 0, 0]];
+  const steps = [0xff, 0xcc, 0x99, 0x66, 0x33, 0x00];
+  steps.forEach((r) => {
+    steps.forEach((g) => {
+      steps.forEach((b) => {
+        if (r || g || b) {
+          palette.push([r, g, b, 255]);
+        }
+      });
+    });
+  });
+  const ramp = [0xee, 0xdd, 0xbb, 0xaa, 0x88, 0x77, 0x55, 0x44, 0x22, 0x11];
+  ramp.forEach((v) => palette.push([v, 0, 0, 255]));
+  ramp.forEach((v) => palette.push([0, v, 0, 255]));
+  ramp.forEach((v) => palette.push([0, 0, v, 255]));
+  ramp.forEach((v) => palette.push([v, v, v, 255]));
+  return palette;
+}
+
+export const DEFAULT_VOX_PALETTE = createDefaultPalette();
+
+function readChunkId(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3),
+  );
+}
+
+// Returns { size: { x, y, z }, voxels: [{ x, y, z, colorIndex }], palette }
+// where palette[colorIndex] is [r, g, b, a].
+export function readVox(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 8 || readChunkId(view, 0) !== 'VOX ') {
+    throw new Error('Not a MagicaVoxel .vox file');
+  }
+  if (readChunkId(view, 8) !== 'MAIN') {
+    throw new Error('Missing MAIN chunk in .vox file');
+  }
+
+  let size = null;
+  let voxels = null;
+  let palette = null;
+  // MAIN has no content of its own; its children follow the 12-byte header
+  let offset = 8 + 12 + view.getUint32(12, true);
+
+  while (offset + 12 <= view.byteLength) {
+    const id = readChunkId(view, offset);
+    const contentSize = view.getUint32(offset + 4, true);
+    const childrenSize = view.getUint32(offset + 8, true);
+    const content = offset + 12;
+
+    if (id === 'SIZE' && !size) {
+      size = {
+        x: view.getUint32(content, true),
+        y: view.getUint32(content + 4, true),
+        z: view.getUint32(content + 8, true),
+      };
+    } else if (id === 'XYZI' && !voxels) {
+      const count = view.getUint32(content, true);
+      voxels = [];
+      for (let i = 0; i < count; i += 1) {
+        const base = content + 4 + i * 4;
+        voxels.push({
+          x: view.getUint8(base),
+          y: view.getUint8(base + 1),
+          z: view.getUint8(base + 2),
+          colorIndex: view.getUint8(base + 3),
+        });
+      }
+    } else if (id === 'RGBA') {
+      // RGBA entry i describes colour index i + 1
+      palette = [[0, 0, 0, 0]];
+      for (let i = 0; i < 255; i += 1) {
+        const base = content + i * 4;
+        palette.push([
+          view.getUint8(base),
+          view.getUint8(base + 1),
+          view.getUint8(base + 2),
+          view.getUint8(base + 3),
+        ]);
+      }
+    }
+
+    offset = content + contentSize + childrenSize;
+  }
+
+  if (!size || !voxels) {
+    throw new Error('.vox file contains no model');
+  }
+  return { size, voxels, palette: palette ?? DEFAULT_VOX_PALETTE };
+}
+
+// Writes a single-model .vox file. `palette` holds up to 255 [r, g, b, a]
+// entries for colour indices 1..255 (palette[0] is ignored).
+export function writeVox({ size, voxels, palette }) {
+  if (size.x > MAX_VOX_DIMENSION || size.y > MAX_VOX_DIMENSION || size.z > MAX_VOX_DIMENSION) {
+    throw new Error(`.vox models are limited to ${MAX_VOX_DIMENSION} voxels per axis`);
+  }
+  const sizeChunk = 12 + 12;
+  const xyziChunk = 12 + 4 + voxels.length * 4;
+  const rgbaChunk = 12 + 256 * 4;
+  const childrenSize = sizeChunk + xyziChunk + rgbaChunk;
+  const buffer = new ArrayBuffer(8 + 12 + childrenSize);
+  const view = new DataView(buffer);
+  let offset = 0;
+
+  const writeId = (id) => {
+    for (let i = 0; i < 4; i += 1) {
+      view.setUint8(offset + i, id.charCodeAt(i));
+    }
+    offset += 4;
+  };
+  const writeUint32 = (value) => {
+    view.setUint32(offset, value, true);
+    offset += 4;
+  };
+  const writeUint8 = (value) => {
+    view.setUint8(offset, value);
+    offset += 1;
+  };
+
+  writeId('VOX ');
+  writeUint32(VOX_VERSION);
+
+  writeId('MAIN');
+  writeUint32(0);
+  writeUint32(childrenSize);
+
+  writeId('SIZE');
+  writeUint32(12);
+  writeUint32(0);
+  writeUint32(size.x);
+  writeUint32(size.y);
+  writeUint32(size.z);
+
+  writeId('XYZI');
+  writeUint32(4 + voxels.length * 4);
+  writeUint32(0);
+  writeUint32(voxels.length);
+  voxels.forEach((voxel) => {
+    writeUint8(voxel.x);
+    writeUint8(voxel.y);
+    writeUint8(voxel.z);
+    writeUint8(voxel.colorIndex);
+  });
+
+  writeId('RGBA');
+  writeUint32(256 * 4);
+  writeUint32(0);
+  for (let i = 1; i <= 256; i += 1) {
+    const color = palette[i] ?? [0, 0, 0, 255];
+    writeUint8(color[0]);
+    writeUint8(color[1]);
+    writeUint8(color[2]);
+    writeUint8(color[3] ?? 255);
+  }
+
+  return buffer;
+}
@@ -0,0 +1,500 @@
+// Headless voxel core: the world model, edit history and island
+// serialization, free of the DOM and WebGL so it runs in Node as well as in
+// the browser app.
+//
+// Cells hold a block id (0 is air) and a block state byte; see
+// block-state.js for the packed cell values the history and tools pass
+// around.
+
+import { cellValueBlock, cellValueState, packCellValue } from './block-state.js';
+import {
+  createBlockRemap,
+  createSave,
+  parseSave,
+  serializeSave,
+} from './save-format.js';
+
+export const AIR = 0;
+
+export class VoxelChunk {
+  constructor(width, height, depth) {
+    this.width = width;
+    this.height = height;
+    this.depth = depth;
+    this.data = new Uint8Array(width * height * depth);
+    // Block state per cell (see block-state.js); reset whenever the block changes
+    this.states = new Uint8Array(width * height * depth);
+    this.solidCount = 0;
+  }
+
+  getIndex(x, y, z) {
+    return y * this.width * this.depth + z * this.width + x;
+  }
+
+  inBounds(x, y, z) {
+    return (
+      x >= 0 && x < this.width && y >= 0 && y < this.height && z >= 0 && z < this.depth
+    );
+  }
+
+  getBlock(x, y, z) {
+    if (!this.inBounds(x, y, z)) {
+      return AIR;
+    }
+    return this.data[this.getIndex(x, y, z)];
+  }
+
+  getState(x, y, z) {
+    if (!this.inBounds(x, y, z)) {
+      return 0;
+    }
+    return this.states[this.getIndex(x, y, z)];
+  }
+
+  setBlock(x, y, z, value, state = 0) {
+    if (!this.inBounds(x, y, z)) {
+      return;
+    }
+    const index = this.getIndex(x, y, z);
+    const previous = this.data[index];
+    if (previous === AIR && value !== AIR) {
+      this.solidCount += 1;
+    } else if (previous !== AIR && value === AIR) {
+      this.solidCount -= 1;
+    }
+    this.data[index] = value;
+    this.states[index] = value === AIR ? 0 : state;
+  }
+
+  forEach(callback) {
+    for (let y = 0; y < this.height; y += 1) {
+      for (let z = 0; z < this.depth; z += 1) {
+        for (let x = 0; x < this.width; x += 1) {
+          const value = this.getBlock(x, y, z);
+          callback(value, x, y, z);
+        }
+      }
+    }
+  }
+
+  cellCount() {
+    return this.width * this.height * this.depth;
+  }
+
+  countSolid() {
+    return this.solidCount;
+  }
+
+  // Call after writing `data` directly (e.g. when decoding a save)
+  recountSolid() {
+    let total = 0;
+    for (let i = 0; i < this.data.length; i += 1) {
+      if (this.data[i] !== AIR) {
+        total += 1;
+      }
+    }
+    this.solidCount = total;
+    return total;
+  }
+}
+
+// Sparse grid of VoxelChunks addressed in world cell coordinates.
+// Chunk (0, 0, 0) covers the original 16x12x16 island box; neighbours are
+// created on demand when a block is written outside the existing chunks.
+// `limits` bounds the chunk coordinates: { minX, maxX, minY, maxY, minZ, maxZ }.
+export class VoxelWorld {
+  constructor(chunkWidth, chunkHeight, chunkDepth, limits) {
+    this.chunkWidth = chunkWidth;
+    this.chunkHeight = chunkHeight;
+    this.chunkDepth = chunkDepth;
+    this.limits = limits;
+    this.chunks = new Map();
+    // Chunks that need a full rebuild (new, cleared or reloaded)
+    this.dirtyChunks = new Set();
+    // Edited cells per chunk key, as local data indices
+    this.dirtyCells = new Map();
+    // Chunks whose border faces may have changed because of an edit next door
+    this.borderChunks = new Set();
+  }
+
+  static chunkKey(cx, cy, cz) {
+    return `${cx},${cy},${cz}`;
+  }
+
+  chunkCoords(x, y, z) {
+    return {
+      cx: Math.floor(x / this.chunkWidth),
+      cy: Math.floor(y / this.chunkHeight),
+      cz: Math.floor(z / this.chunkDepth),
+    };
+  }
+
+  inBounds(x, y, z) {
+    const { cx, cy, cz } = this.chunkCoords(x, y, z);
+    const { minX, maxX, minY, maxY, minZ, maxZ } = this.limits;
+    return cx >= minX && cx <= maxX && cy >= minY && cy <= maxY && cz >= minZ && cz <= maxZ;
+  }
+
+  getChunk(cx, cy, cz) {
+    return this.chunks.get(VoxelWorld.chunkKey(cx, cy, cz)) ?? null;
+  }
+
+  getOrCreateChunk(cx, cy, cz) {
+    const key = VoxelWorld.chunkKey(cx, cy, cz);
+    let chunk = this.chunks.get(key);
+    if (!chunk) {
+      chunk = new VoxelChunk(this.chunkWidth, this.chunkHeight, this.chunkDepth);
+      chunk.key = key;
+      chunk.cx = cx;
+      chunk.cy = cy;
+      chunk.cz = cz;
+      this.chunks.set(key, chunk);
+      this.dirtyChunks.add(key);
+    }
+    return chunk;
+  }
+
+  getBlock(x, y, z) {
+    const { cx, cy, cz } = this.chunkCoords(x, y, z);
+    const chunk = this.getChunk(cx, cy, cz);
+    if (!chunk) {
+      return AIR;
+    }
+    return chunk.getBlock(
+      x - cx * this.chunkWidth,
+      y - cy * this.chunkHeight,
+      z - cz * this.chunkDepth,
+    );
+  }
+
+  getState(x, y, z) {
+    const { cx, cy, cz } = this.chunkCoords(x, y, z);
+    const chunk = this.getChunk(cx, cy, cz);
+    if (!chunk) {
+      return 0;
+    }
+    return chunk.getState(
+      x - cx * this.chunkWidth,
+      y - cy * this.chunkHeight,
+      z - cz * this.chunkDepth,
+    );
+  }
+
+  // Block id and state packed together, see packCellValue
+  getCell(x, y, z) {
+    return packCellValue(this.getBlock(x, y, z), this.getState(x, y, z));
+  }
+
+  setCell(x, y, z, value) {
+    return this.setBlock(x, y, z, cellValueBlock(value), cellValueState(value));
+  }
+
+  // Returns false when the cell lies outside the world limits
+  setBlock(x, y, z, value, state = 0) {
+    if (!this.inBounds(x, y, z)) {
+      return false;
+    }
+    const { cx, cy, cz } = this.chunkCoords(x, y, z);
+    let chunk = this.getChunk(cx, cy, cz);
+    if (!chunk) {
+      if (value === AIR) {
+        return true;
+      }
+      chunk = this.getOrCreateChunk(cx, cy, cz);
+    }
+    const lx = x - cx * this.chunkWidth;
+    const ly = y - cy * this.chunkHeight;
+    const lz = z - cz * this.chunkDepth;
+    const nextState = value === AIR ? 0 : state;
+    if (chunk.getBlock(lx, ly, lz) === value && chunk.getState(lx, ly, lz) === nextState) {
+      return true;
+    }
+    chunk.setBlock(lx, ly, lz, value, nextState);
+    let cells = this.dirtyCells.get(chunk.key);
+    if (!cells) {
+      cells = new Set();
+      this.dirtyCells.set(chunk.key, cells);
+    }
+    cells.add(chunk.getIndex(lx, ly, lz));
+    this.markBorderNeighboursDirty(cx, cy, cz, lx, ly, lz);
+    return true;
+  }
+
+  // Face culling in a chunk depends on the cells just across its border
+  markBorderNeighboursDirty(cx, cy, cz, lx, ly, lz) {
+    const touch = (dx, dy, dz) => {
+      const neighbour = this.getChunk(cx + dx, cy + dy, cz + dz);
+      if (neighbour) {
+        this.borderChunks.add(neighbour.key);
+      }
+    };
+    if (lx === 0) touch(-1, 0, 0);
+    if (lx === this.chunkWidth - 1) touch(1, 0, 0);
+    if (ly === 0) touch(0, -1, 0);
+    if (ly === this.chunkHeight - 1) touch(0, 1, 0);
+    if (lz === 0) touch(0, 0, -1);
+    if (lz === this.chunkDepth - 1) touch(0, 0, 1);
+  }
+
+  markAllDirty() {
+    this.chunks.forEach((chunk) => this.dirtyChunks.add(chunk.key));
+  }
+
+  forEachChunk(callback) {
+    this.chunks.forEach((chunk) => callback(chunk));
+  }
+
+  // Visits every non-air cell with world coordinates.
+  forEachBlock(callback) {
+    this.chunks.forEach((chunk) => {
+      const ox = chunk.cx * this.chunkWidth;
+      const oy = chunk.cy * this.chunkHeight;
+      const oz = chunk.cz * this.chunkDepth;
+      chunk.forEach((value, x, y, z) => {
+        if (value !== AIR) {
+          callback(value, ox + x, oy + y, oz + z);
+        }
+      });
+    });
+  }
+
+  countBlocks() {
+    let total = 0;
+    this.chunks.forEach((chunk) => {
+      total += chunk.countSolid();
+    });
+    return total;
+  }
+
+  // Returns and resets everything edited since the last call.
+  takeDirty() {
+    const dirty = {
+      chunks: new Set(this.dirtyChunks),
+      cells: new Map(this.dirtyCells),
+      borders: new Set(this.borderChunks),
+    };
+    this.dirtyChunks.clear();
+    this.dirtyCells.clear();
+    this.borderChunks.clear();
+    return dirty;
+  }
+
+  clear() {
+    this.chunks.forEach((chunk) => this.dirtyChunks.add(chunk.key));
+    this.chunks.clear();
+  }
+}
+
+export function cloneCell(cell) {
+  if (!cell) {
+    return null;
+  }
+  return { x: cell.x, y: cell.y, z: cell.z };
+}
+
+// History entries are transactions: an ordered list of cell changes that
+// undo and redo as a unit. Single-cell edits are one-entry transactions.
+export function createTransaction(changes, label = 'edit') {
+  return {
+    type: 'transaction',
+    label,
+    // from / to are packed cell values (block id plus state)
+    changes: changes.map((change) => ({
+      cell: cloneCell(change.cell),
+      from: change.from,
+      to: change.to,
+    })),
+  };
+}
+
+export function cloneAction(action) {
+  return createTransaction(action.changes, action.label);
+}
+
+export function invertAction(action) {
+  if (!action || action.type !== 'transaction') {
+    return null;
+  }
+  const changes = action.changes
+    .slice()
+    .reverse()
+    .map((change) => ({ cell: change.cell, from: change.to, to: change.from }));
+  return createTransaction(changes, action.label);
+}
+
+export function isEmptyAction(action) {
+  return !action || action.type !== 'transaction' || action.changes.length === 0;
+}
+
+// Writes { cell, to } edits into the world, where `to` is a block id or a
+// packed cell value. Cells outside the world or already holding `to` are
+// skipped. Returns the { cell, from, to } changes actually made.
+export function writeCellChanges(world, edits) {
+  const changes = [];
+  edits.forEach(({ cell, to }) => {
+    if (!cell || !world.inBounds(cell.x, cell.y, cell.z)) {
+      return;
+    }
+    const from = world.getCell(cell.x, cell.y, cell.z);
+    if (from === to) {
+      return;
+    }
+    world.setCell(cell.x, cell.y, cell.z, to);
+    changes.push({ cell, from, to });
+  });
+  return changes;
+}
+
+// Undo and redo stacks of transactions. undo() and redo() hand the
+// transaction to write to `apply(action)`, which returns whether it applied;
+// only then does the entry move to the other stack.
+export class EditHistory {
+  constructor() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  clear() {
+    this.undoStack.length = 0;
+    this.redoStack.length = 0;
+  }
+
+  // Records a new edit; anything that was undone can no longer be redone
+  push(action) {
+    if (isEmptyAction(action)) {
+      return;
+    }
+    this.undoStack.push(cloneAction(action));
+    this.redoStack.length = 0;
+  }
+
+  // Folds every entry recorded since the undo stack was `fromLength` long into
+  // one transaction, so a gesture made of several edits undoes in one step
+  squash(fromLength, label) {
+    if (this.undoStack.length - fromLength < 2) {
+      return;
+    }
+    const actions = this.undoStack.splice(fromLength);
+    const changes = actions.flatMap((action) => action.changes);
+    this.undoStack.push(createTransaction(changes, label ?? actions[0].label));
+  }
+
+  undo(apply) {
+    if (this.undoStack.length === 0) {
+      return false;
+    }
+    const action = this.undoStack.pop();
+    const inverse = invertAction(action);
+    if (!inverse || !apply(inverse)) {
+      return false;
+    }
+    this.redoStack.push(cloneAction(action));
+    return true;
+  }
+
+  redo(apply) {
+    if (this.redoStack.length === 0) {
+      return false;
+    }
+    const action = this.redoStack.pop();
+    if (!apply(cloneAction(action))) {
+      return false;
+    }
+    this.undoStack.push(cloneAction(action));
+    return true;
+  }
+}
+
+// Writes a transaction's `to` values into the world without recording it
+export function applyTransaction(world, action) {
+  if (isEmptyAction(action)) {
+    return false;
+  }
+  action.changes.forEach(({ cell, to }) => {
+    world.setCell(cell.x, cell.y, cell.z, to);
+  });
+  return true;
+}
+
+export function encodeBytes(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+export function decodeBytes(target, encoded) {
+  const binaryString = atob(encoded);
+  if (binaryString.length !== target.length) {
+    throw new Error('Stored chunk length mismatch');
+  }
+  for (let i = 0; i < target.length; i += 1) {
+    target[i] = binaryString.charCodeAt(i);
+  }
+}
+
+export function encodeChunkData(chunk) {
+  return encodeBytes(chunk.data);
+}
+
+export function decodeChunkData(chunk, encoded) {
+  decodeBytes(chunk.data, encoded);
+  chunk.recountSolid();
+}
+
+// Serializes the world's non-empty chunks in the current save format.
+// options.blocks      { id: key } for every block id the world may hold
+// options.environment per-island settings (see save-format.js)
+// options.metadata    createdAt and the like; blockCount is filled in
+export function encodeWorld(world, { blocks, environment = {}, metadata = {} }) {
+  const chunks = {};
+  const states = {};
+  world.forEachChunk((chunk) => {
+    if (chunk.countSolid() > 0) {
+      chunks[chunk.key] = encodeChunkData(chunk);
+      if (chunk.states.some((state) => state !== 0)) {
+        states[chunk.key] = encodeBytes(chunk.states);
+      }
+    }
+  });
+  return serializeSave(createSave({
+    chunkSize: [world.chunkWidth, world.chunkHeight, world.chunkDepth],
+    blocks,
+    chunks,
+    states,
+    environment,
+    metadata: { ...metadata, blockCount: world.countBlocks() },
+  }));
+}
+
+// Replaces the world's contents with a stored save of any supported version
+// and returns the parsed save. Block ids are remapped through their keys to
+// `idByKey` (Map of key -> id); unknown blocks become air. Saves written with
+// other chunk dimensions are decoded at their stored size and re-addressed
+// through world coordinates, so nothing is dropped.
+export function decodeWorld(world, serialized, idByKey) {
+  const save = parseSave(serialized);
+  const [width, height, depth] = save.chunkSize;
+  const remap = createBlockRemap(save.blocks, idByKey);
+  world.clear();
+  Object.entries(save.chunks ?? {}).forEach(([key, encoded]) => {
+    const [cx, cy, cz] = key.split(',').map(Number);
+    const stored = new VoxelChunk(width, height, depth);
+    decodeChunkData(stored, encoded);
+    if (save.states?.[key]) {
+      decodeBytes(stored.states, save.states[key]);
+    }
+    stored.forEach((value, x, y, z) => {
+      const blockId = remap[value];
+      if (blockId !== AIR) {
+        world.setBlock(cx * width + x, cy * height + y, cz * depth + z, blockId, stored.getState(x, y, z));
+      }
+    });
+  });
+  return save;
+}
@@ -0,0 +1,261 @@
+// First-person walking: a box-shaped player under gravity that collides with
+// the solid parts of cells, steps up slabs and stairs, and swims in liquids.
+//
+// Positions are in cell units, with cell (x, y, z) spanning x..x+1, y..y+1
+// and z..z+1; `position` is the centre of the player's feet. The world is read
+// through two callbacks, so this module knows nothing about block types:
+//   getBoxes(x, y, z)  the cell's solid boxes as [[minX, minY, minZ],
+//                      [maxX, maxY, maxZ]] in 0..1 cell-local units; [] for
+//                      air and liquids
+//   isLiquid(x, y, z)  whether the player swims in the cell
+//
+// `yaw` turns the view about the vertical axis (0 faces -z, as an unrotated
+// camera does) and `pitch` tilts it up (positive) or down.
+
+export const PLAYER_WIDTH = 0.6;
+export const PLAYER_HEIGHT = 1.8;
+export const EYE_HEIGHT = 1.62;
+
+// Speeds in cells per second, accelerations in cells per second squared
+const WALK_SPEED = 4.3;
+const SWIM_SPEED = 2.4;
+const GRAVITY = 28;
+// Clears one block with a little to spare
+const JUMP_SPEED = 8.6;
+const MAX_FALL_SPEED = 40;
+const WATER_GRAVITY = 5;
+const SWIM_UP_SPEED = 3.2;
+const MAX_SINK_SPEED = 2;
+// Tallest ledge walked onto without jumping: slabs, stair steps, snow
+const STEP_HEIGHT = 0.55;
+// Longest physics step; slower frames are split so nothing tunnels
+const MAX_STEP_SECONDS = 0.05;
+const MAX_PITCH = Math.PI / 2 - 0.01;
+const EPSILON = 1e-4;
+
+const AXES = ['x', 'y', 'z'];
+
+export class Walker {
+  // options.fallLimit  the player respawns once their feet drop below this y
+  constructor({ getBoxes, isLiquid, fallLimit = -64 }) {
+    this.getBoxes = getBoxes;
+    this.isLiquid = isLiquid;
+    this.fallLimit = fallLimit;
+    this.spawn = { x: 0, y: 0, z: 0 };
+    this.position = { x: 0, y: 0, z: 0 };
+    this.velocity = { x: 0, y: 0, z: 0 };
+    this.yaw = 0;
+    this.pitch = 0;
+    this.onGround = false;
+    this.swimming = false;
+    this.againstWall = false;
+  }
+
+  spawnAt(point) {
+    this.spawn = { ...point };
+    this.respawn();
+  }
+
+  respawn() {
+    this.position = { ...this.spawn };
+    this.velocity = { x: 0, y: 0, z: 0 };
+    this.onGround = false;
+    this.swimming = false;
+  }
+
+  look(deltaYaw, deltaPitch) {
+    this.yaw = (this.yaw + deltaYaw) % (Math.PI * 2);
+    this.pitch = Math.min(MAX_PITCH, Math.max(-MAX_PITCH, this.pitch + deltaPitch));
+  }
+
+  eyePosition() {
+    return { x: this.position.x, y: this.position.y + EYE_HEIGHT, z: this.position.z };
+  }
+
+  bounds(position = this.position) {
+    const half = PLAYER_WIDTH / 2;
+    return {
+      min: { x: position.x - half, y: position.y, z: position.z - half },
+      max: { x: position.x + half, y: position.y + PLAYER_HEIGHT, z: position.z + half },
+    };
+  }
+
+  // Whether a block in cell (x, y, z) would overlap the player
+  overlapsCell(x, y, z) {
+    const { min, max } = this.bounds();
+    return min.x < x + 1 && max.x > x
+      && min.y < y + 1 && max.y > y
+      && min.z < z + 1 && max.z > z;
+  }
+
+  // Calls visit(box) with every solid box, in cell units, in the cells that
+  // `bounds` touches
+  forEachBox(bounds, visit) {
+    const x0 = Math.floor(bounds.min.x);
+    const y0 = Math.floor(bounds.min.y);
+    const z0 = Math.floor(bounds.min.z);
+    const x1 = Math.floor(bounds.max.x);
+    const y1 = Math.floor(bounds.max.y);
+    const z1 = Math.floor(bounds.max.z);
+    for (let x = x0; x <= x1; x += 1) {
+      for (let y = y0; y <= y1; y += 1) {
+        for (let z = z0; z <= z1; z += 1) {
+          this.getBoxes(x, y, z).forEach(([min, max]) => {
+            visit({
+              min: { x: x + min[0], y: y + min[1], z: z + min[2] },
+              max: { x: x + max[0], y: y + max[1], z: z + max[2] },
+            });
+          });
+        }
+      }
+    }
+  }
+
+  // Moves along one axis as far as `distance` allows without entering a
+  // solid box; returns the distance actually moved
+  moveAxis(axis, distance) {
+    if (distance === 0) {
+      return 0;
+    }
+    const bounds = this.bounds();
+    const swept = {
+      min: { ...bounds.min },
+      max: { ...bounds.max },
+    };
+    if (distance > 0) {
+      swept.max[axis] += distance;
+    } else {
+      swept.min[axis] += distance;
+    }
+    const others = AXES.filter((other) => other !== axis);
+    let allowed = distance;
+    this.forEachBox(swept, (box) => {
+      const overlaps = others.every((other) => (
+        box.min[other] < bounds.max[other] - EPSILON && box.max[other] > bounds.min[other] + EPSILON
+      ));
+      if (!overlaps) {
+        return;
+      }
+      if (allowed > 0 && box.min[axis] >= bounds.max[axis] - EPSILON) {
+        allowed = Math.min(allowed, box.min[axis] - bounds.max[axis]);
+      } else if (allowed < 0 && box.max[axis] <= bounds.min[axis] + EPSILON) {
+        allowed = Math.max(allowed, box.max[axis] - bounds.min[axis]);
+      }
+    });
+    this.position[axis] += allowed;
+    return allowed;
+  }
+
+  // Lifts the player out of blocks placed or grown into them
+  unstick() {
+    for (let attempt = 0; attempt < 4; attempt += 1) {
+      const bounds = this.bounds();
+      let top = null;
+      this.forEachBox(bounds, (box) => {
+        const overlaps = AXES.every((axis) => (
+          box.min[axis] < bounds.max[axis] - EPSILON && box.max[axis] > bounds.min[axis] + EPSILON
+        ));
+        if (overlaps) {
+          top = top === null ? box.max.y : Math.max(top, box.max.y);
+        }
+      });
+      if (top === null) {
+        return;
+      }
+      this.position.y = top;
+      this.velocity.y = 0;
+    }
+  }
+
+  inLiquid() {
+    const { x, y, z } = this.position;
+    return this.isLiquid(Math.floor(x), Math.floor(y + 0.4), Math.floor(z));
+  }
+
+  // Advances the player by `delta` seconds.
+  // input.forward, input.right  -1..1 movement relative to the view
+  // input.jump                  jumps from the ground, or swims up
+  // Returns true if the player fell off and was respawned.
+  update(delta, input = {}) {
+    let remaining = Math.min(delta, 0.25);
+    while (remaining > 0) {
+      const step = Math.min(remaining, MAX_STEP_SECONDS);
+      remaining -= step;
+      if (this.step(step, input)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  step(delta, { forward = 0, right = 0, jump = false }) {
+    this.unstick();
+    const wasSwimming = this.swimming;
+    this.swimming = this.inLiquid();
+
+    let moveForward = forward;
+    let moveRight = right;
+    const amount = Math.hypot(moveForward, moveRight);
+    if (amount > 1) {
+      moveForward /= amount;
+      moveRight /= amount;
+    }
+    const speed = this.swimming ? SWIM_SPEED : WALK_SPEED;
+    const sin = Math.sin(this.yaw);
+    const cos = Math.cos(this.yaw);
+    this.velocity.x = (-sin * moveForward + cos * moveRight) * speed;
+    this.velocity.z = (-cos * moveForward - sin * moveRight) * speed;
+
+    if (this.swimming) {
+      this.velocity.y -= WATER_GRAVITY * delta;
+      if (jump) {
+        this.velocity.y = Math.max(this.velocity.y, SWIM_UP_SPEED);
+      }
+      this.velocity.y = Math.max(this.velocity.y, -MAX_SINK_SPEED);
+    } else {
+      // Swimming up against a bank hops out onto it
+      const climbingOut = wasSwimming && jump && this.againstWall;
+      if (jump && (this.onGround || climbingOut)) {
+        this.velocity.y = JUMP_SPEED;
+      }
+      this.velocity.y = Math.max(this.velocity.y - GRAVITY * delta, -MAX_FALL_SPEED);
+    }
+
+    const dy = this.velocity.y * delta;
+    const movedY = this.moveAxis('y', dy);
+    this.onGround = dy < 0 && movedY > dy + EPSILON;
+    if (Math.abs(movedY - dy) > EPSILON) {
+      this.velocity.y = 0;
+    }
+
+    this.moveHorizontally(this.velocity.x * delta, this.velocity.z * delta);
+
+    if (this.position.y < this.fallLimit) {
+      this.respawn();
+      return true;
+    }
+    return false;
+  }
+
+  moveHorizontally(dx, dz) {
+    const start = { ...this.position };
+    const movedX = this.moveAxis('x', dx);
+    const movedZ = this.moveAxis('z', dz);
+    let blocked = Math.abs(movedX - dx) > EPSILON || Math.abs(movedZ - dz) > EPSILON;
+    if (blocked && this.onGround) {
+      // Try again from a step higher, then settle back onto whatever is below
+      const flat = { ...this.position };
+      this.position = { ...start };
+      const lifted = this.moveAxis('y', STEP_HEIGHT);
+      const stepX = this.moveAxis('x', dx);
+      const stepZ = this.moveAxis('z', dz);
+      this.moveAxis('y', -lifted);
+      if (Math.hypot(stepX, stepZ) > Math.hypot(movedX, movedZ) + EPSILON) {
+        blocked = Math.abs(stepX - dx) > EPSILON || Math.abs(stepZ - dz) > EPSILON;
+      } else {
+        this.position = flat;
+      }
+    }
+    this.againstWall = blocked;
+  }
+}
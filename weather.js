@@ -0,0 +1,225 @@
+// Weather states, the transitions between them and where precipitation
+// settles on the island.
+//
+// WeatherController either cycles through the states by itself or holds a
+// forced one; update() returns the blended conditions the scene renders:
+//   clouds    cloud cover 0..1
+//   overcast  how far the sky, fog and lights are dimmed, 0..1
+//   fog       how much closer the fog comes in, 0..1
+//   rain      rain intensity 0..1
+//   snow      snow intensity 0..1
+
+export const Weather = {
+  CLEAR: 'clear',
+  CLOUDY: 'cloudy',
+  RAIN: 'rain',
+  SNOW: 'snow',
+};
+
+export const WEATHER_AUTO = 'auto';
+
+const WEATHER_CONDITIONS = {
+  [Weather.CLEAR]: { clouds: 0.2, overcast: 0, fog: 0, rain: 0, snow: 0 },
+  [Weather.CLOUDY]: { clouds: 0.75, overcast: 0.35, fog: 0.2, rain: 0, snow: 0 },
+  [Weather.RAIN]: { clouds: 1, overcast: 0.7, fog: 0.5, rain: 1, snow: 0 },
+  [Weather.SNOW]: { clouds: 0.9, overcast: 0.5, fog: 0.6, rain: 0, snow: 1 },
+};
+
+// Which states automatic weather moves on to, with relative weights
+const AUTO_TRANSITIONS = {
+  [Weather.CLEAR]: { [Weather.CLEAR]: 1, [Weather.CLOUDY]: 3 },
+  [Weather.CLOUDY]: { [Weather.CLEAR]: 3, [Weather.RAIN]: 2, [Weather.SNOW]: 1 },
+  [Weather.RAIN]: { [Weather.CLOUDY]: 3, [Weather.CLEAR]: 1 },
+  [Weather.SNOW]: { [Weather.CLOUDY]: 3, [Weather.CLEAR]: 1 },
+};
+
+const CONDITION_KEYS = Object.keys(WEATHER_CONDITIONS[Weather.CLEAR]);
+
+export function isWeather(value) {
+  return Object.values(Weather).includes(value);
+}
+
+function blendConditions(from, to, t) {
+  const result = {};
+  CONDITION_KEYS.forEach((key) => {
+    result[key] = from[key] + (to[key] - from[key]) * t;
+  });
+  return result;
+}
+
+export class WeatherController {
+  // options.random            () => 0..1, for auto transitions
+  // options.transitionSeconds how long a change of state takes to blend
+  // options.minDuration, options.maxDuration  seconds an auto state lasts
+  constructor({
+    random = Math.random,
+    transitionSeconds = 10,
+    minDuration = 90,
+    maxDuration = 240,
+  } = {}) {
+    this.random = random;
+    this.transitionSeconds = transitionSeconds;
+    this.minDuration = minDuration;
+    this.maxDuration = maxDuration;
+    this.mode = WEATHER_AUTO;
+    this.state = Weather.CLEAR;
+    this.from = { ...WEATHER_CONDITIONS[Weather.CLEAR] };
+    this.progress = 1;
+    this.conditions = { ...this.from };
+    this.remaining = this.pickDuration();
+  }
+
+  pickDuration() {
+    return this.minDuration + this.random() * (this.maxDuration - this.minDuration);
+  }
+
+  pickNextState() {
+    const options = Object.entries(AUTO_TRANSITIONS[this.state]);
+    const total = options.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = this.random() * total;
+    for (let i = 0; i < options.length; i += 1) {
+      roll -= options[i][1];
+      if (roll < 0) {
+        return options[i][0];
+      }
+    }
+    return options[options.length - 1][0];
+  }
+
+  // Starts blending from the current conditions towards `state`
+  transitionTo(state) {
+    if (state === this.state) {
+      return;
+    }
+    this.from = { ...this.conditions };
+    this.state = state;
+    this.progress = 0;
+  }
+
+  // 'auto' or one of Weather to hold it
+  setMode(mode) {
+    if (mode !== WEATHER_AUTO && !isWeather(mode)) {
+      return;
+    }
+    this.mode = mode;
+    if (mode === WEATHER_AUTO) {
+      this.remaining = this.pickDuration();
+    } else {
+      this.transitionTo(mode);
+    }
+  }
+
+  update(delta) {
+    if (this.mode === WEATHER_AUTO) {
+      this.remaining -= delta;
+      if (this.remaining <= 0) {
+        this.transitionTo(this.pickNextState());
+        this.remaining = this.pickDuration();
+      }
+    }
+    if (this.progress < 1) {
+      this.progress = Math.min(1, this.progress + delta / this.transitionSeconds);
+    }
+    this.conditions = blendConditions(this.from, WEATHER_CONDITIONS[this.state], this.progress);
+    return this.conditions;
+  }
+}
+
+// Blends an sRGB hex colour towards a darker grey of the same brightness
+export function overcastColor(hex, amount) {
+  const r = (hex >> 16) & 0xff;
+  const g = (hex >> 8) & 0xff;
+  const b = hex & 0xff;
+  const grey = (0.3 * r + 0.59 * g + 0.11 * b) * 0.72;
+  const mix = (channel) => Math.round(channel + (grey - channel) * amount);
+  return (mix(r) << 16) | (mix(g) << 8) | mix(b);
+}
+
+// Highest non-air cell of a column within the allocated chunks, or null
+export function findSurface(world, x, z) {
+  let top = null;
+  world.chunks.forEach((chunk) => {
+    if (
+      x >= chunk.cx * world.chunkWidth && x < (chunk.cx + 1) * world.chunkWidth
+      && z >= chunk.cz * world.chunkDepth && z < (chunk.cz + 1) * world.chunkDepth
+    ) {
+      const chunkTop = (chunk.cy + 1) * world.chunkHeight - 1;
+      top = top === null ? chunkTop : Math.max(top, chunkTop);
+    }
+  });
+  if (top === null) {
+    return null;
+  }
+  const bottom = world.limits.minY * world.chunkHeight;
+  for (let y = top; y >= bottom; y -= 1) {
+    const blockId = world.getBlock(x, y, z);
+    if (blockId !== 0) {
+      return { x, y, z, blockId };
+    }
+  }
+  return null;
+}
+
+function hasChunkAt(world, x, y, z) {
+  const { cx, cy, cz } = world.chunkCoords(x, y, z);
+  return world.getChunk(cx, cy, cz) !== null;
+}
+
+// Cell a raindrop landing on column (x, z) turns into still water: a
+// flowing liquid surface becomes a source, and open air above a floor
+// becomes one when the air pocket at that height is walled in all round.
+// options.isLiquid  (blockId) => boolean
+// options.isSource  (x, y, z) => boolean, for liquid cells
+// options.maxCells  largest basin that still counts as one
+// Returns { x, y, z } or null.
+export function findRainCell(world, x, z, { isLiquid, isSource, maxCells = 48 }) {
+  const surface = findSurface(world, x, z);
+  if (!surface) {
+    return null;
+  }
+  if (isLiquid(surface.blockId) && !isSource(surface.x, surface.y, surface.z)) {
+    return { x, y: surface.y, z };
+  }
+  const y = surface.y + 1;
+  if (!world.inBounds(x, y, z) || !hasChunkAt(world, x, y, z)) {
+    return null;
+  }
+
+  const visited = new Set([`${x},${z}`]);
+  const queue = [[x, z]];
+  for (let head = 0; head < queue.length; head += 1) {
+    const [cx, cz] = queue[head];
+    // Nothing underneath means the water would drain out
+    if (world.getBlock(cx, y - 1, cz) === 0) {
+      return null;
+    }
+    const neighbours = [[cx + 1, cz], [cx - 1, cz], [cx, cz + 1], [cx, cz - 1]];
+    for (let i = 0; i < neighbours.length; i += 1) {
+      const [nx, nz] = neighbours[i];
+      const key = `${nx},${nz}`;
+      if (visited.has(key) || world.getBlock(nx, y, nz) !== 0) {
+        continue;
+      }
+      if (!hasChunkAt(world, nx, y, nz) || visited.size >= maxCells) {
+        return null;
+      }
+      visited.add(key);
+      queue.push([nx, nz]);
+    }
+  }
+  return { x, y, z };
+}
+
+// Cell above column (x, z) that a snow layer settles into, or null.
+// options.canHoldSnow (blockId) => boolean, blocks with a flat full top
+export function findSnowCell(world, x, z, { canHoldSnow }) {
+  const surface = findSurface(world, x, z);
+  if (!surface || !canHoldSnow(surface.blockId)) {
+    return null;
+  }
+  const y = surface.y + 1;
+  if (!world.inBounds(x, y, z)) {
+    return null;
+  }
+  return { x, y, z };
+}